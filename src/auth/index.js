@@ -0,0 +1,120 @@
+const fs = require('fs');
+const { createLocalJWKSet, errors } = require('jose');
+const logger = require('../config/logger');
+const { verifyJwt, TokenError } = require('./jwt');
+
+/**
+ * Bearer token authentication for tokens issued by the user service.
+ *
+ * Tokens are verified with JWT_SECRET (HS*) and/or the keys in the local
+ * JWKS file at JWT_JWKS_PATH (RS*, PS*, ES*). The user ID comes from the
+ * `sub` claim (or `user_id` / `userId`); roles come from `role` or `roles`.
+ */
+let jwksCache = null;
+
+function getAuthConfig() {
+  return {
+    secret: process.env.JWT_SECRET || null,
+    jwksPath: process.env.JWT_JWKS_PATH || null,
+    issuer: process.env.JWT_ISSUER || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    clockTolerance: parseInt(process.env.JWT_CLOCK_TOLERANCE_SEC, 10) || 30,
+    adminRole: process.env.JWT_ADMIN_ROLE || 'admin'
+  };
+}
+
+function isAuthConfigured(config = getAuthConfig()) {
+  return Boolean(config.secret || config.jwksPath);
+}
+
+function loadJwks(jwksPath) {
+  const { keys } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+  if (!Array.isArray(keys)) {
+    throw new Error(`${jwksPath} is not a JWKS document (missing "keys")`);
+  }
+
+  const signing = keys.filter(jwk => !jwk.use || jwk.use === 'sig');
+  return { count: signing.length, keySet: createLocalJWKSet({ keys: signing }) };
+}
+
+function getJwks(jwksPath, { reload = false } = {}) {
+  if (reload || !jwksCache || jwksCache.path !== jwksPath) {
+    jwksCache = { path: jwksPath, ...loadJwks(jwksPath) };
+  }
+  return jwksCache;
+}
+
+/**
+ * Key lookup for verifyJwt. Re-reads the JWKS file once when a token names
+ * an unknown kid, so rotated keys are picked up without a restart.
+ */
+function createKeyResolver(jwksPath) {
+  return async header => {
+    try {
+      return await getJwks(jwksPath).keySet(header);
+    } catch (error) {
+      if (!(error instanceof errors.JWKSNoMatchingKey) || !header.kid) throw error;
+      return getJwks(jwksPath, { reload: true }).keySet(header);
+    }
+  };
+}
+
+function rolesOf(claims) {
+  if (Array.isArray(claims.roles)) return claims.roles.map(String);
+  if (claims.role) return [String(claims.role)];
+  return [];
+}
+
+/**
+ * Verify a bearer token and resolve to the principal:
+ * { userId, roles, isAdmin, claims }. Rejects with TokenError when invalid.
+ */
+async function authenticateToken(token, config = getAuthConfig()) {
+  const claims = await verifyJwt(token, {
+    secret: config.secret,
+    getKey: config.jwksPath ? createKeyResolver(config.jwksPath) : null,
+    issuer: config.issuer,
+    audience: config.audience,
+    clockTolerance: config.clockTolerance
+  });
+
+  const roles = rolesOf(claims);
+  const subject = claims.sub || claims.user_id || claims.userId;
+
+  return {
+    userId: subject !== undefined && subject !== null ? String(subject) : null,
+    roles,
+    isAdmin: roles.includes(config.adminRole),
+    claims
+  };
+}
+
+/**
+ * The token from an `Authorization: Bearer <token>` header, or null
+ */
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+function checkAuthConfig() {
+  const config = getAuthConfig();
+  if (!isAuthConfigured(config)) {
+    logger.warn('Neither JWT_SECRET nor JWT_JWKS_PATH is set: user API requests will be rejected');
+    return;
+  }
+  if (config.jwksPath) {
+    const { count } = getJwks(config.jwksPath, { reload: true });
+    logger.info(`Loaded ${count} JWT verification keys from ${config.jwksPath}`);
+  }
+}
+
+module.exports = {
+  getAuthConfig,
+  isAuthConfigured,
+  authenticateToken,
+  getBearerToken,
+  checkAuthConfig,
+  TokenError
+};
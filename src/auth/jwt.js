@@ -0,0 +1,110 @@
+const { jwtVerify, decodeProtectedHeader, errors } = require('jose');
+
+/**
+ * JWT verification on `jose`.
+ * Supports HMAC (HS*) with a shared secret and RSA, RSA-PSS and ECDSA
+ * (RS*, PS*, ES*) with keys from a JWKS.
+ */
+const ALGORITHMS = [
+  'HS256', 'HS384', 'HS512',
+  'RS256', 'RS384', 'RS512',
+  'PS256', 'PS384', 'PS512',
+  'ES256', 'ES384', 'ES512'
+];
+
+// Messages for the claims jose reports as invalid
+const CLAIM_ERRORS = {
+  exp: 'Token has no expiry',
+  nbf: 'Token is not valid yet',
+  iss: 'Unexpected token issuer',
+  aud: 'Unexpected token audience'
+};
+
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+function headerOf(token) {
+  try {
+    return decodeProtectedHeader(token);
+  } catch (error) {
+    return {};
+  }
+}
+
+function keyNotFound(header) {
+  return new TokenError('INVALID_TOKEN', `No verification key found for ${header.alg} token${header.kid ? ` (kid ${header.kid})` : ''}`);
+}
+
+// Translate a jose error into a TokenError
+function toTokenError(error, token) {
+  if (error instanceof TokenError) return error;
+  if (error instanceof errors.JWTExpired) {
+    return new TokenError('TOKEN_EXPIRED', 'Token has expired');
+  }
+  if (error instanceof errors.JWTClaimValidationFailed) {
+    return new TokenError('INVALID_TOKEN', CLAIM_ERRORS[error.claim] || error.message);
+  }
+  if (error instanceof errors.JWSSignatureVerificationFailed) {
+    return new TokenError('INVALID_TOKEN', 'Invalid token signature');
+  }
+  if (error instanceof errors.JOSEAlgNotAllowed || error instanceof errors.JOSENotSupported) {
+    return new TokenError('INVALID_TOKEN', `Unsupported token algorithm: ${headerOf(token).alg}`);
+  }
+  if (error instanceof errors.JWKSNoMatchingKey) {
+    return keyNotFound(headerOf(token));
+  }
+  if (error instanceof errors.JWSInvalid || error instanceof errors.JWTInvalid) {
+    return new TokenError('INVALID_TOKEN', 'Malformed token');
+  }
+  if (error instanceof errors.JOSEError) {
+    return new TokenError('INVALID_TOKEN', error.message);
+  }
+  return error;
+}
+
+/**
+ * Verify `token` and resolve to its claims. Rejects with TokenError on any
+ * problem, including a missing `exp` claim.
+ *
+ * Options:
+ *   secret          shared secret for HS* tokens
+ *   getKey(header)  resolves to the key for RS*, PS* and ES* tokens, or null
+ *   issuer, audience  expected iss / aud claims (checked when set)
+ *   clockTolerance  seconds of leeway for exp and nbf
+ *   now             current time in ms
+ */
+async function verifyJwt(token, { secret, getKey, issuer, audience, clockTolerance = 0, now = Date.now() } = {}) {
+  const resolveKey = async header => {
+    if (header.alg.startsWith('HS')) {
+      if (!secret) {
+        throw new TokenError('INVALID_TOKEN', `No shared secret configured for ${header.alg} tokens`);
+      }
+      return new TextEncoder().encode(secret);
+    }
+    const key = getKey ? await getKey(header) : null;
+    if (!key) throw keyNotFound(header);
+    return key;
+  };
+
+  try {
+    const { payload } = await jwtVerify(String(token), resolveKey, {
+      algorithms: ALGORITHMS,
+      // A token without an expiry would stay valid forever once leaked
+      requiredClaims: ['exp'],
+      issuer: issuer || undefined,
+      audience: audience || undefined,
+      clockTolerance,
+      currentDate: new Date(now)
+    });
+    return payload;
+  } catch (error) {
+    throw toTokenError(error, token);
+  }
+}
+
+module.exports = { verifyJwt, TokenError, ALGORITHMS };
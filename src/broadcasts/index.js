@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getCollection } = require('../storage');
+const { scheduleJob, cancelJob } = require('../scheduler');
+const { deliveryStatus } = require('../deliveries');
+
+/**
+ * Admin broadcasts: one announcement fanned out to a list of users or to a
+ * segment. Recipients are resolved through the user service in chunks of
+ * BROADCAST_CHUNK_SIZE and progress is saved after every chunk, so a
+ * broadcast interrupted by a restart resumes where it stopped.
+ *
+ * Statuses: scheduled -> sending -> completed | cancelled | failed
+ */
+const broadcasts = getCollection('broadcasts');
+
+const JOB_TYPE = 'broadcast';
+const MAX_USER_IDS = 10000;
+const FINISHED = ['completed', 'cancelled', 'failed'];
+
+class BroadcastError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BroadcastError';
+    this.code = code;
+  }
+}
+
+function getBroadcastConfig() {
+  return {
+    chunkSize: parseInt(process.env.BROADCAST_CHUNK_SIZE, 10) || 100
+  };
+}
+
+function jobKey(id) {
+  return `broadcast:${id}`;
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateInput({ title, message, user_ids: userIds, segment, send_at: sendAt }) {
+  if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+    throw new BroadcastError('VALIDATION_ERROR', 'title must be a non-empty string of at most 200 characters');
+  }
+  if (typeof message !== 'string' || !message.trim() || message.length > 5000) {
+    throw new BroadcastError('VALIDATION_ERROR', 'message must be a non-empty string of at most 5000 characters');
+  }
+  if (userIds === undefined && segment === undefined) {
+    throw new BroadcastError('VALIDATION_ERROR', 'user_ids or segment is required');
+  }
+  if (userIds !== undefined &&
+    (!Array.isArray(userIds) || !userIds.length || userIds.length > MAX_USER_IDS || !userIds.every(isScalar))) {
+    throw new BroadcastError('VALIDATION_ERROR', `user_ids must be an array of 1 to ${MAX_USER_IDS} user IDs`);
+  }
+  if (segment !== undefined && (
+    !segment || typeof segment !== 'object' || Array.isArray(segment) || !Object.keys(segment).length ||
+    !Object.values(segment).every(value => isScalar(value) || (Array.isArray(value) && value.length && value.every(isScalar)))
+  )) {
+    throw new BroadcastError('VALIDATION_ERROR', 'segment must map user fields to a value or a list of values');
+  }
+
+  let sendTime = new Date();
+  if (sendAt !== undefined && sendAt !== null) {
+    sendTime = new Date(sendAt);
+    if (typeof sendAt !== 'string' || Number.isNaN(sendTime.getTime())) {
+      throw new BroadcastError('VALIDATION_ERROR', 'send_at must be an ISO 8601 timestamp');
+    }
+  }
+
+  return {
+    title: title.trim(),
+    message: message.trim(),
+    user_ids: userIds ? [...new Set(userIds.map(String))] : null,
+    segment: segment || null,
+    send_at: sendTime.toISOString()
+  };
+}
+
+/**
+ * Whether a user-service contact matches every field of the segment.
+ * List values match any of their entries.
+ */
+function matchesSegment(contact, segment) {
+  if (!segment) return true;
+  return Object.entries(segment).every(([field, expected]) => {
+    const actual = contact[field];
+    const wanted = Array.isArray(expected) ? expected.map(String) : [String(expected)];
+    return actual !== undefined && actual !== null && wanted.includes(String(actual));
+  });
+}
+
+function emptyProgress() {
+  return { total: null, processed: 0, delivered: 0, skipped: 0, failed: 0, channels: {} };
+}
+
+async function createBroadcast(input, { createdBy = null } = {}) {
+  const fields = validateInput(input || {});
+  const now = new Date().toISOString();
+  const broadcast = {
+    id: crypto.randomUUID(),
+    ...fields,
+    status: 'scheduled',
+    created_by: createdBy,
+    created_at: now,
+    started_at: null,
+    finished_at: null,
+    error: null,
+    recipients: null,
+    progress: emptyProgress()
+  };
+
+  await broadcasts.set(broadcast.id, broadcast);
+  await scheduleJob({ type: JOB_TYPE, runAt: broadcast.send_at, payload: { broadcast_id: broadcast.id }, key: jobKey(broadcast.id) });
+  logger.info(`Broadcast ${broadcast.id} "${broadcast.title}" scheduled for ${broadcast.send_at}`);
+  return broadcast;
+}
+
+function getBroadcast(id) {
+  return broadcasts.get(id);
+}
+
+/**
+ * Broadcasts, newest first, optionally with one status
+ */
+function listBroadcasts({ status, limit = 50, offset = 0 } = {}) {
+  const matching = broadcasts.values()
+    .filter(broadcast => !status || broadcast.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  // Recipient lists can be long; they are only returned for single broadcasts
+  const items = matching.slice(offset, offset + limit).map(({ recipients, ...broadcast }) => broadcast);
+  return { total: matching.length, items };
+}
+
+async function updateBroadcast(id, changes) {
+  const broadcast = broadcasts.get(id);
+  return broadcasts.set(id, { ...broadcast, ...changes });
+}
+
+/**
+ * Cancel a scheduled or sending broadcast. A sending broadcast stops after
+ * its current chunk. Returns null when not found; throws when already finished.
+ */
+async function cancelBroadcast(id) {
+  const broadcast = broadcasts.get(id);
+  if (!broadcast) return null;
+
+  if (FINISHED.includes(broadcast.status)) {
+    throw new BroadcastError('BROADCAST_FINISHED', `Broadcast is already ${broadcast.status}`);
+  }
+
+  await cancelJob(jobKey(id));
+  logger.info(`Broadcast ${id} cancelled after ${broadcast.progress.processed} recipients`);
+  return updateBroadcast(id, { status: 'cancelled', finished_at: new Date().toISOString() });
+}
+
+function countChannels(channels, results) {
+  const counts = { ...channels };
+  for (const [channel, result] of Object.entries(results || {})) {
+    if (!result) continue;
+    // The in-app result is the stored notification itself
+    const status = channel === 'in_app' ? 'sent' : deliveryStatus(result);
+    counts[channel] = { ...counts[channel], [status]: ((counts[channel] || {})[status] || 0) + 1 };
+  }
+  return counts;
+}
+
+/**
+ * Send a broadcast. Run by the scheduler at `send_at`.
+ *
+ *   fetchUsers(ids)     contacts for a chunk of user IDs (getUsersBatch); throws
+ *                       when the user service is unavailable
+ *   listKnownUsers()    candidate user IDs for segment-only broadcasts
+ *   deliver(contact, broadcast)  sends to one user, resolves to channel results
+ *   lastAttempt         mark the broadcast failed if this run throws
+ *
+ * Throws (so the scheduler retries) when a chunk's users cannot be fetched.
+ */
+async function runBroadcast(id, { lastAttempt = false, ...options }) {
+  const broadcast = broadcasts.get(id);
+  if (!broadcast || FINISHED.includes(broadcast.status)) {
+    return broadcast;
+  }
+
+  try {
+    return await sendChunks(broadcast, options);
+  } catch (error) {
+    logger.error(`Broadcast ${id} stopped: ${error.message}${lastAttempt ? '' : ' (will resume)'}`);
+    await updateBroadcast(id, lastAttempt
+      ? { status: 'failed', error: error.message, finished_at: new Date().toISOString() }
+      : { error: error.message });
+    throw error;
+  }
+}
+
+async function sendChunks(initial, { fetchUsers, listKnownUsers, deliver, config = getBroadcastConfig() }) {
+  const { id } = initial;
+  let broadcast = initial;
+
+  if (!broadcast.recipients) {
+    const recipients = broadcast.user_ids || [...new Set((await listKnownUsers()).map(String))];
+    broadcast = await updateBroadcast(id, {
+      status: 'sending',
+      started_at: new Date().toISOString(),
+      recipients,
+      progress: { ...broadcast.progress, total: recipients.length }
+    });
+    logger.info(`Broadcast ${id} sending to ${recipients.length} candidate recipients`);
+  }
+
+  while (broadcast.progress.processed < broadcast.recipients.length) {
+    // Re-read so a cancellation made while the last chunk was sending is seen
+    if (broadcasts.get(id).status === 'cancelled') {
+      return broadcasts.get(id);
+    }
+
+    const { processed } = broadcast.progress;
+    const chunk = broadcast.recipients.slice(processed, processed + config.chunkSize);
+    let users;
+    try {
+      users = await fetchUsers(chunk);
+    } catch (error) {
+      throw new Error(`Could not fetch recipients ${processed + 1}-${processed + chunk.length}: ${error.message}`);
+    }
+    // Users the service does not know (e.g. deleted since) are skipped below
+    const contacts = new Map(users.map(contact => [String(contact.id), contact]));
+    const progress = { ...broadcast.progress, channels: { ...broadcast.progress.channels } };
+
+    for (const userId of chunk) {
+      const contact = contacts.get(userId);
+      if (!contact || !matchesSegment(contact, broadcast.segment)) {
+        progress.skipped += 1;
+        continue;
+      }
+
+      try {
+        const results = await deliver(contact, broadcast);
+        progress.channels = countChannels(progress.channels, results);
+        progress.delivered += 1;
+      } catch (error) {
+        progress.failed += 1;
+        logger.warn(`Broadcast ${id} to user ${userId} failed: ${error.message}`);
+      }
+    }
+
+    progress.processed = processed + chunk.length;
+    const current = broadcasts.get(id);
+    broadcast = await updateBroadcast(id, { progress, error: null, status: current.status === 'cancelled' ? 'cancelled' : 'sending' });
+  }
+
+  if (broadcast.status === 'cancelled') {
+    return broadcast;
+  }
+
+  const { delivered, skipped, failed } = broadcast.progress;
+  logger.info(`Broadcast ${id} completed: ${delivered} delivered, ${skipped} skipped, ${failed} failed`);
+  return updateBroadcast(id, { status: 'completed', finished_at: new Date().toISOString() });
+}
+
+module.exports = {
+  BroadcastError,
+  JOB_TYPE,
+  MAX_USER_IDS,
+  getBroadcastConfig,
+  matchesSegment,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  runBroadcast
+};
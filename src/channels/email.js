@@ -0,0 +1,127 @@
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+const { escapeHtml } = require('../utils/templateEngine');
+
+/**
+ * Email delivery through nodemailer.
+ *
+ * EMAIL_MODE=smtp sends through SMTP_HOST/SMTP_PORT with SMTP_USER/SMTP_PASSWORD.
+ * EMAIL_MODE=mock renders the message with nodemailer's JSON transport and only logs it.
+ * Defaults to mock when no SMTP_HOST is configured or when running under test.
+ */
+let transporter = null;
+
+function getEmailConfig() {
+  const mode = process.env.EMAIL_MODE ||
+    (process.env.SMTP_HOST && process.env.NODE_ENV !== 'test' ? 'smtp' : 'mock');
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  return {
+    mode,
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.EMAIL_FROM || `FitSync <${process.env.SMTP_USER || 'noreply@fitsync.com'}>`
+  };
+}
+
+/**
+ * Get (and lazily create) the configured transport
+ */
+function getTransport() {
+  if (transporter) return transporter;
+
+  const config = getEmailConfig();
+
+  if (config.mode === 'mock') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else if (config.mode === 'smtp') {
+    transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.password } : undefined
+    });
+  } else {
+    throw new Error(`Unknown EMAIL_MODE: ${config.mode}`);
+  }
+
+  return transporter;
+}
+
+/**
+ * Drop the cached transport so the next send picks up new config
+ */
+function resetTransport() {
+  if (transporter && typeof transporter.close === 'function') {
+    transporter.close();
+  }
+  transporter = null;
+}
+
+/**
+ * Build an HTML body from plain text when no HTML version is supplied
+ */
+function textToHtml(text) {
+  return `<p>${escapeHtml(text).replace(/\n{2,}/g, '</p><p>').replace(/\n/g, '<br>')}</p>`;
+}
+
+/**
+ * Send an email.
+ *
+ * `body` is either a plain-text string or `{ text, html }`.
+ * Never throws; resolves to `{ success, messageId, response }` or `{ success: false, error }`
+ * (with `skipped: true` when there is no address and retrying cannot help).
+ */
+async function sendEmail(to, subject, body) {
+  const config = getEmailConfig();
+  const text = typeof body === 'string' ? body : body.text;
+  const html = typeof body === 'string' ? textToHtml(body) : (body.html || textToHtml(body.text || ''));
+
+  if (!to) {
+    logger.warn(`Skipping email "${subject}": no recipient address`);
+    return { success: false, skipped: true, error: 'No recipient address' };
+  }
+
+  try {
+    const info = await getTransport().sendMail({
+      from: config.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (config.mode === 'mock') {
+      logger.info(`[MOCK EMAIL] To: ${to}, Subject: ${subject}`);
+      logger.info(`[MOCK EMAIL] Body: ${text}`);
+    } else {
+      logger.info(`Email sent to ${to} (${info.messageId})`);
+    }
+
+    return { success: true, messageId: info.messageId, response: info.response };
+  } catch (error) {
+    logger.error(`Failed to send email to ${to}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check that the transport can talk to its server
+ */
+async function verifyTransport() {
+  const transport = getTransport();
+  if (getEmailConfig().mode === 'mock') return true;
+  return transport.verify();
+}
+
+module.exports = {
+  sendEmail,
+  verifyTransport,
+  getTransport,
+  resetTransport,
+  getEmailConfig,
+  textToHtml
+};
@@ -0,0 +1,182 @@
+const axios = require('axios');
+const webpush = require('web-push');
+const logger = require('../../config/logger');
+const {
+  SubscriptionError,
+  checkEndpoint,
+  saveSubscription,
+  listSubscriptions,
+  hasSubscriptions,
+  removeSubscription,
+  removeByEndpoint
+} = require('./subscriptions');
+
+/**
+ * Web Push delivery: `web-push` encrypts each payload (RFC 8291, aes128gcm)
+ * and signs the VAPID authorization (RFC 8292); the request is sent here so
+ * every endpoint goes through checkEndpoint and redirects are not followed.
+ * VAPID keys are the base64url raw P-256 keys most tooling generates.
+ */
+// Largest payload that fits in one 4096-byte aes128gcm record
+const MAX_PAYLOAD_BYTES = 4096 - 16 - 1;
+const ELLIPSIS = '…';
+
+function getVapidConfig() {
+  return {
+    publicKey: process.env.VAPID_PUBLIC_KEY || null,
+    privateKey: process.env.VAPID_PRIVATE_KEY || null,
+    subject: process.env.VAPID_SUBJECT || null
+  };
+}
+
+function isVapidConfigured(config = getVapidConfig()) {
+  return Boolean(config.publicKey && config.privateKey && config.subject);
+}
+
+function getPushConfig() {
+  return {
+    ttl: parseInt(process.env.PUSH_TTL_SECONDS, 10) || 86400,
+    timeout: parseInt(process.env.PUSH_TIMEOUT_MS, 10) || 5000
+  };
+}
+
+function payloadBytes(payload) {
+  return Buffer.byteLength(JSON.stringify(payload));
+}
+
+// Shorten the body until the payload fits in one push message. Titles and
+// data are left alone, so a payload that is too large without a body is
+// not sent.
+function fitPayload(payload) {
+  if (typeof payload.body !== 'string' || payloadBytes(payload) <= MAX_PAYLOAD_BYTES) {
+    return payload;
+  }
+
+  // Split by code point so multibyte characters are never cut in half
+  const chars = Array.from(payload.body);
+  const shortened = length => ({ ...payload, body: chars.slice(0, length).join('').trimEnd() + ELLIPSIS });
+  let low = 0;
+  let high = chars.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (payloadBytes(shortened(middle)) <= MAX_PAYLOAD_BYTES) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return shortened(low);
+}
+
+/**
+ * Send one push message to one subscription. A body too long for one push
+ * message is shortened; in-app and email keep the full text.
+ * Never throws; resolves to `{ success, statusCode }` or `{ success: false, error }`
+ * with `expired: true` when the push service reports the subscription gone (404/410)
+ * or the endpoint may no longer be used (see checkEndpoint).
+ */
+async function sendPush(subscription, payload, { ttl, urgency = 'normal', topic } = {}) {
+  const config = getPushConfig();
+
+  try {
+    await checkEndpoint(subscription.endpoint);
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return { success: false, expired: true, error: error.message };
+    }
+    return { success: false, error: error.message };
+  }
+
+  try {
+    const message = JSON.stringify(fitPayload(payload));
+    if (Buffer.byteLength(message) > MAX_PAYLOAD_BYTES) {
+      throw new Error(`Push payload is ${Buffer.byteLength(message)} bytes; the limit is ${MAX_PAYLOAD_BYTES}`);
+    }
+
+    const { endpoint, headers, body } = webpush.generateRequestDetails(subscription, message, {
+      vapidDetails: getVapidConfig(),
+      TTL: ttl === undefined ? config.ttl : ttl,
+      urgency,
+      topic
+    });
+
+    const response = await axios.post(endpoint, body, {
+      headers,
+      timeout: config.timeout,
+      // A redirect could lead to an internal host
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return { success: true, statusCode: response.status };
+    }
+
+    const error = `Push service responded ${response.status}`;
+    if (response.status === 404 || response.status === 410) {
+      return { success: false, expired: true, statusCode: response.status, error };
+    }
+    return { success: false, statusCode: response.status, error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Push `payload` ({ title, body, data }) to every device of a user.
+ * Subscriptions the push service reports gone are removed.
+ * Never throws; resolves to `{ success, sent, failed, removed }`, or
+ * `{ success: false, skipped: true, error }` when there is nothing to send to.
+ */
+async function sendPushToUser(userId, payload, options) {
+  if (!isVapidConfigured()) {
+    return { success: false, skipped: true, error: 'Web Push is not configured' };
+  }
+
+  const devices = listSubscriptions(userId);
+  if (!devices.length) {
+    return { success: false, skipped: true, error: 'No push subscriptions' };
+  }
+
+  let sent = 0;
+  let removed = 0;
+  const errors = [];
+
+  for (const device of devices) {
+    const result = await sendPush(device, payload, options);
+    if (result.success) {
+      sent += 1;
+    } else if (result.expired) {
+      await removeByEndpoint(device.endpoint);
+      removed += 1;
+      logger.info(`Removed expired push subscription ${device.device_id} of user ${userId} (${result.statusCode || result.error})`);
+    } else {
+      errors.push(`${device.device_id}: ${result.error}`);
+    }
+  }
+
+  if (sent) {
+    logger.info(`Push sent to ${sent}/${devices.length} devices of user ${userId}`);
+    return { success: true, sent, failed: errors.length, removed };
+  }
+  if (!errors.length) {
+    return { success: false, skipped: true, removed, error: 'All push subscriptions expired' };
+  }
+
+  logger.error(`Failed to send push to user ${userId}: ${errors.join('; ')}`);
+  return { success: false, sent, failed: errors.length, removed, error: errors.join('; ') };
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  sendPush,
+  sendPushToUser,
+  getPushConfig,
+  getVapidConfig,
+  isVapidConfigured,
+  SubscriptionError,
+  saveSubscription,
+  listSubscriptions,
+  hasSubscriptions,
+  removeSubscription
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { getCollection } = require('../../storage');
+
+/**
+ * Browser push subscriptions, one per user and device.
+ * An endpoint belongs to one user at a time: registering it again (e.g. after
+ * a different user signs in on the same browser) moves it.
+ *
+ * The service POSTs to whatever endpoint a user registers, so endpoints must
+ * be https and must not point at loopback, private or link-local addresses.
+ * PUSH_ALLOW_INSECURE_ENDPOINTS=true lifts both rules, e.g. for a local push
+ * service stub; never set it in production.
+ */
+const subscriptions = getCollection('push_subscriptions');
+
+class SubscriptionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.code = code;
+  }
+}
+
+function keyFor(userId, deviceId) {
+  return `${userId}:${deviceId}`;
+}
+
+function allowInsecureEndpoints() {
+  return process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true';
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    if (lower === '::' || lower === '::1') return true;
+
+    // IPv4-mapped, which URL parsing turns into hex (::ffff:7f00:1)
+    const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+      const v4 = mapped[1] || [mapped[2], mapped[3]]
+        .map(group => parseInt(group, 16))
+        .flatMap(value => [value >> 8, value & 0xff])
+        .join('.');
+      return isPrivateAddress(v4);
+    }
+
+    // Unique local (fc00::/7) and link-local (fe80::/10)
+    return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  return false;
+}
+
+function isInternalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+function parseEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    throw new SubscriptionError('VALIDATION_ERROR', 'subscription.endpoint must be a URL');
+  }
+
+  if (allowInsecureEndpoints()) {
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new SubscriptionError('VALIDATION_ERROR', 'subscription.endpoint must be an http(s) URL');
+    }
+    return url;
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new SubscriptionError('VALIDATION_ERROR', 'subscription.endpoint must be an https URL');
+  }
+  if (isInternalHost(url.hostname)) {
+    throw new SubscriptionError('VALIDATION_ERROR', 'subscription.endpoint must not point at a local or private address');
+  }
+  return url;
+}
+
+/**
+ * Check an endpoint right before sending to it, including where its host
+ * resolves to now. Throws SubscriptionError when it must not be used.
+ */
+async function checkEndpoint(endpoint, { lookup = dns.promises.lookup } = {}) {
+  const url = parseEndpoint(endpoint);
+  if (allowInsecureEndpoints() || net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) return;
+
+  const addresses = await lookup(url.hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new SubscriptionError('VALIDATION_ERROR', `Push endpoint host ${url.hostname} resolves to a private address`);
+  }
+}
+
+function hasKeyLength(value, length) {
+  return typeof value === 'string' && Buffer.from(value, 'base64url').length === length;
+}
+
+/**
+ * Validate a browser PushSubscription ({ endpoint, keys: { p256dh, auth } })
+ */
+function validateSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object') {
+    throw new SubscriptionError('VALIDATION_ERROR', 'subscription must be an object with endpoint and keys');
+  }
+
+  parseEndpoint(subscription.endpoint);
+
+  const keys = subscription.keys || {};
+  if (!hasKeyLength(keys.p256dh, 65) || !hasKeyLength(keys.auth, 16)) {
+    throw new SubscriptionError('VALIDATION_ERROR', 'subscription.keys must hold base64url p256dh (65 bytes) and auth (16 bytes)');
+  }
+
+  return { endpoint: subscription.endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+function defaultDeviceId(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 16);
+}
+
+async function saveSubscription(userId, subscription, { deviceId, userAgent = null } = {}) {
+  const { endpoint, keys } = validateSubscription(subscription);
+  const device = deviceId ? String(deviceId) : defaultDeviceId(endpoint);
+  const key = keyFor(userId, device);
+
+  for (const [otherKey, record] of subscriptions.entries()) {
+    if (record.endpoint === endpoint && otherKey !== key) {
+      await subscriptions.delete(otherKey);
+    }
+  }
+
+  const existing = subscriptions.get(key);
+  const now = new Date().toISOString();
+  const record = {
+    user_id: String(userId),
+    device_id: device,
+    endpoint,
+    keys,
+    user_agent: userAgent,
+    created_at: existing && existing.endpoint === endpoint ? existing.created_at : now,
+    updated_at: now
+  };
+
+  await subscriptions.set(key, record);
+  return record;
+}
+
+function listSubscriptions(userId) {
+  return subscriptions.values().filter(record => record.user_id === String(userId));
+}
+
+function hasSubscriptions(userId) {
+  return listSubscriptions(userId).length > 0;
+}
+
+async function removeSubscription(userId, deviceId) {
+  return subscriptions.delete(keyFor(userId, deviceId));
+}
+
+async function removeByEndpoint(endpoint) {
+  let removed = 0;
+  for (const [key, record] of subscriptions.entries()) {
+    if (record.endpoint === endpoint) {
+      await subscriptions.delete(key);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  SubscriptionError,
+  validateSubscription,
+  checkEndpoint,
+  saveSubscription,
+  listSubscriptions,
+  hasSubscriptions,
+  removeSubscription,
+  removeByEndpoint
+};
@@ -0,0 +1,70 @@
+const logger = require('../../config/logger');
+const { normalizePhoneNumber } = require('./phone');
+const { createLogProvider } = require('./logProvider');
+const { createTwilioProvider } = require('./twilioProvider');
+
+/**
+ * SMS delivery through a pluggable provider selected by SMS_PROVIDER (twilio | log).
+ */
+let provider = null;
+
+function createProvider(name = process.env.SMS_PROVIDER || 'log') {
+  switch (name) {
+    case 'log':
+      return createLogProvider();
+    case 'twilio':
+      return createTwilioProvider({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER,
+        apiUrl: process.env.TWILIO_API_URL
+      });
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  }
+}
+
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (or reset to config when called without one)
+ */
+function setProvider(next = null) {
+  provider = next;
+}
+
+/**
+ * Send an SMS to a raw phone number.
+ * Never throws; resolves to `{ success, messageId, to }` or `{ success: false, error }`
+ * (with `skipped: true` when the number is unusable and retrying cannot help).
+ */
+async function sendSMS(rawPhone, message) {
+  const to = normalizePhoneNumber(rawPhone);
+  if (!to) {
+    logger.warn(`Skipping SMS: "${rawPhone}" is not a valid phone number`);
+    return { success: false, skipped: true, error: 'Invalid phone number' };
+  }
+
+  try {
+    const active = getProvider();
+    const result = await active.send(to, message);
+    logger.info(`SMS sent to ${to} via ${active.name} (${result.messageId})`);
+    return { success: true, to, messageId: result.messageId, status: result.status };
+  } catch (error) {
+    logger.error(`Failed to send SMS to ${to}:`, error.message);
+    return { success: false, to, error: error.message };
+  }
+}
+
+module.exports = {
+  sendSMS,
+  createProvider,
+  getProvider,
+  setProvider,
+  normalizePhoneNumber
+};
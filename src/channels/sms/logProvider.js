@@ -0,0 +1,20 @@
+const logger = require('../../config/logger');
+
+/**
+ * SMS provider that only logs messages (development and tests)
+ */
+function createLogProvider() {
+  let counter = 0;
+
+  return {
+    name: 'log',
+
+    async send(to, message) {
+      logger.info(`[MOCK SMS] To: ${to}, Message: ${message}`);
+      counter += 1;
+      return { messageId: `log-${Date.now()}-${counter}`, status: 'logged' };
+    }
+  };
+}
+
+module.exports = { createLogProvider };
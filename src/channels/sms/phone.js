@@ -0,0 +1,30 @@
+/**
+ * E.164 phone number normalization
+ */
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalize a user-entered phone number to E.164 (`+<country><number>`).
+ * Numbers without an international prefix get `defaultCountryCode`, with a
+ * leading trunk `0` dropped. Returns null when the result is not valid E.164.
+ */
+function normalizePhoneNumber(raw, defaultCountryCode = process.env.SMS_DEFAULT_COUNTRY_CODE) {
+  if (raw === undefined || raw === null) return null;
+
+  let value = String(raw).trim().replace(/[\s().-]/g, '');
+  if (!value) return null;
+
+  if (value.startsWith('00')) {
+    value = `+${value.slice(2)}`;
+  }
+
+  if (!value.startsWith('+')) {
+    if (!defaultCountryCode) return null;
+    const countryCode = String(defaultCountryCode).replace(/^\+/, '');
+    value = `+${countryCode}${value.replace(/^0/, '')}`;
+  }
+
+  return E164_PATTERN.test(value) ? value : null;
+}
+
+module.exports = { normalizePhoneNumber, E164_PATTERN };
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+/**
+ * Twilio-style HTTP SMS provider.
+ * Posts form-encoded To/From/Body to the Messages resource with basic auth.
+ * `apiUrl` can point at a local stub for testing.
+ */
+function createTwilioProvider({ accountSid, authToken, from, apiUrl = 'https://api.twilio.com', timeout = 5000 }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio SMS provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+  }
+
+  const client = axios.create({
+    baseURL: apiUrl,
+    timeout,
+    auth: { username: accountSid, password: authToken }
+  });
+
+  return {
+    name: 'twilio',
+
+    async send(to, message) {
+      const body = new URLSearchParams({ To: to, From: from, Body: message });
+
+      try {
+        const response = await client.post(
+          `/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+          body.toString(),
+          { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+        );
+        return { messageId: response.data.sid, status: response.data.status };
+      } catch (error) {
+        const detail = error.response && error.response.data && error.response.data.message;
+        throw new Error(detail ? `${error.message}: ${detail}` : error.message);
+      }
+    }
+  };
+}
+
+module.exports = { createTwilioProvider };
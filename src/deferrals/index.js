@@ -0,0 +1,85 @@
+const logger = require('../config/logger');
+const { scheduleJob } = require('../scheduler');
+const { getChannelSettings } = require('../preferences');
+const { recordDelivery } = require('../deliveries');
+
+/**
+ * Quiet hours: email, SMS and push for non-transactional categories that
+ * come in during a user's quiet hours are held in a `deferred_delivery` job
+ * until the window ends. When the job runs the channel is checked again, so
+ * a channel the user turned off in the meantime is dropped, and the attempt
+ * is recorded in the delivery audit trail against the original notification.
+ */
+const JOB_TYPE = 'deferred_delivery';
+
+// What each channel needs to be sent later
+function channelPayload(channel, { recipient, content, push }) {
+  if (channel === 'email') {
+    return { to: recipient, subject: content.subject, html: content.html, text: content.text };
+  }
+  if (channel === 'sms') {
+    return { to: recipient, message: content.sms };
+  }
+  return { push };
+}
+
+/**
+ * Hold an email, SMS or push until `deliverAt`. `audit` links the eventual
+ * attempt to the notification: { notification_id, type, source }.
+ */
+async function deferDelivery({ userId, category, channel, deliverAt, recipient, content, push, audit }) {
+  const job = await scheduleJob({
+    type: JOB_TYPE,
+    runAt: deliverAt,
+    payload: {
+      user_id: String(userId),
+      category,
+      channel,
+      ...channelPayload(channel, { recipient, content, push }),
+      audit
+    }
+  });
+  logger.info(`Deferred ${channel} for user ${userId} until ${job.run_at} (quiet hours)`);
+  return { success: true, deferred: true, deliver_at: job.run_at, job_id: job.id };
+}
+
+/**
+ * Send a deferred delivery once quiet hours are over. `send` has the email,
+ * sms and push senders. Throws when sending failed, so the job is retried.
+ */
+async function releaseDelivery(payload, { send }) {
+  const audit = payload.audit || {};
+  const delivery = {
+    userId: payload.user_id,
+    notificationId: audit.notification_id || null,
+    channel: payload.channel,
+    recipient: payload.to || payload.user_id,
+    category: payload.category,
+    type: audit.type || null,
+    source: audit.source
+  };
+
+  const channels = await getChannelSettings(payload.user_id, payload.category);
+  if (!channels[payload.channel]) {
+    logger.info(`Dropping deferred ${payload.channel} for user ${payload.user_id}: the channel was turned off during quiet hours`);
+    await recordDelivery({ ...delivery, result: { success: false, suppressed: true } });
+    return { success: false, suppressed: true };
+  }
+
+  let result;
+  if (payload.channel === 'email') {
+    result = await send.email(payload.to, payload.subject, { html: payload.html, text: payload.text });
+  } else if (payload.channel === 'sms') {
+    result = await send.sms({ id: payload.user_id, phone: payload.to }, payload.message);
+  } else {
+    result = await send.push(payload.user_id, payload.push);
+  }
+  await recordDelivery({ ...delivery, result });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+module.exports = { JOB_TYPE, deferDelivery, releaseDelivery };
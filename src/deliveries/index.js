@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getCollection } = require('../storage');
+const metrics = require('../metrics');
+
+/**
+ * Delivery audit trail: one record per channel delivery attempt, linked to
+ * the stored notification and the event that caused it.
+ * Records are kept for DELIVERY_RETENTION_DAYS.
+ */
+const deliveries = getCollection('deliveries');
+
+const STATUSES = ['queued', 'sent', 'failed', 'suppressed'];
+const PURGE_INTERVAL_MS = 3600000;
+
+let lastPurge = 0;
+
+function retentionMs() {
+  return (parseFloat(process.env.DELIVERY_RETENTION_DAYS) || 30) * 86400000;
+}
+
+/**
+ * Status of a channel result as returned by the channel senders
+ */
+function deliveryStatus(result) {
+  if (!result) return 'failed';
+  if (result.deferred) return 'queued';
+  if (result.success) return 'sent';
+  if (result.suppressed || result.skipped) return 'suppressed';
+  return 'failed';
+}
+
+// What the provider told us, without the fields already captured on the record
+function providerResponse(result) {
+  if (!result) return null;
+  const { success, error, suppressed, skipped, deferred, ...response } = result;
+  return Object.keys(response).length ? response : null;
+}
+
+/**
+ * Record one attempt. `result` is the channel result; `source` is
+ * { event_channel, event_id, event_key } of the triggering event.
+ * Never throws: a failed audit write must not fail the delivery.
+ */
+async function recordDelivery({ userId, notificationId = null, channel, recipient = null, category = null, type = null, source = {}, result, now = new Date() }) {
+  const record = {
+    id: crypto.randomUUID(),
+    user_id: String(userId),
+    notification_id: notificationId,
+    channel,
+    recipient,
+    category,
+    type,
+    status: deliveryStatus(result),
+    response: providerResponse(result),
+    error: result && !result.success ? result.error || null : null,
+    event_channel: source.event_channel || null,
+    event_id: source.event_id || null,
+    event_key: source.event_key || null,
+    attempted_at: now.toISOString()
+  };
+
+  metrics.deliveries.inc({ channel, status: record.status });
+
+  try {
+    await deliveries.set(record.id, record);
+    if (now.getTime() - lastPurge >= PURGE_INTERVAL_MS) {
+      lastPurge = now.getTime();
+      await purgeDeliveries(now);
+    }
+  } catch (error) {
+    logger.warn(`Failed to record ${channel} delivery for user ${userId}: ${error.message}`);
+  }
+
+  return record;
+}
+
+async function purgeDeliveries(now = new Date()) {
+  const cutoff = now.getTime() - retentionMs();
+  let removed = 0;
+  for (const record of deliveries.values()) {
+    if (new Date(record.attempted_at).getTime() < cutoff) {
+      await deliveries.delete(record.id);
+      removed += 1;
+    }
+  }
+  if (removed) {
+    logger.info(`Purged ${removed} delivery records older than the retention period`);
+  }
+  return removed;
+}
+
+/**
+ * Delivery records, newest first, filtered by any of: user_id, notification_id,
+ * channel, status, recipient, event_id, event_channel, since, until (Dates)
+ */
+function listDeliveries(filter = {}, { limit = 50, offset = 0 } = {}) {
+  const fields = ['user_id', 'notification_id', 'channel', 'status', 'recipient', 'event_id', 'event_channel'];
+  const matching = deliveries.values()
+    .filter(record => fields.every(field => filter[field] === undefined || record[field] === String(filter[field])))
+    .filter(record => !filter.since || new Date(record.attempted_at) >= filter.since)
+    .filter(record => !filter.until || new Date(record.attempted_at) < filter.until)
+    .sort((a, b) => b.attempted_at.localeCompare(a.attempted_at));
+
+  return { total: matching.length, items: matching.slice(offset, offset + limit) };
+}
+
+function getDelivery(id) {
+  return deliveries.get(id);
+}
+
+module.exports = {
+  STATUSES,
+  deliveryStatus,
+  recordDelivery,
+  purgeDeliveries,
+  listDeliveries,
+  getDelivery
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getCollection } = require('../storage');
+const { scheduleJob, findJobs } = require('../scheduler');
+const { renderTemplate } = require('../templates');
+const { escapeHtml } = require('../utils/templateEngine');
+const { zonedDateTime } = require('../utils/timezone');
+
+/**
+ * Digest emails: notifications in categories a user chose to batch are
+ * queued here instead of being emailed one by one. A `digest` job per user
+ * sends everything still undigested in one summary email at DIGEST_HOUR
+ * (daily) or on DIGEST_WEEKDAY (weekly) in the user's timezone, then marks
+ * the items with the digest they went out in so they are never sent again.
+ */
+const digestItems = getCollection('digest_items');
+
+const JOB_TYPE = 'digest';
+const RETENTION_MS = 30 * 86400000;
+
+function getDigestConfig() {
+  const hour = parseInt(process.env.DIGEST_HOUR, 10);
+  const weekday = parseInt(process.env.DIGEST_WEEKDAY, 10);
+  return {
+    hour: hour >= 0 && hour <= 23 ? hour : 8,
+    weekday: weekday >= 0 && weekday <= 6 ? weekday : 1
+  };
+}
+
+function jobKey(userId) {
+  return `digest:${userId}`;
+}
+
+// "YYYY-MM-DD" of `date` on the wall clock in `timezone`
+function localDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * When the next daily or weekly digest after `now` goes out in `timezone`
+ */
+function nextDigestTime(frequency, timezone, now = new Date(), { hour, weekday } = getDigestConfig()) {
+  const today = localDate(now, timezone);
+  const time = `${String(hour).padStart(2, '0')}:00`;
+
+  for (let days = 0; days <= 7; days++) {
+    const date = addDays(today, days);
+    if (frequency === 'weekly' && new Date(`${date}T00:00:00Z`).getUTCDay() !== weekday) continue;
+
+    const runAt = zonedDateTime(date, time, timezone);
+    if (runAt > now) return runAt;
+  }
+
+  return null;
+}
+
+// Make sure a digest job matching the user's current frequency is pending
+async function ensureDigestJob(userId, { frequency, timezone }, now) {
+  const pending = findJobs(job => job.status === 'pending' && job.key === jobKey(userId))[0];
+  if (pending && pending.payload.frequency === frequency) return pending;
+
+  return scheduleJob({
+    type: JOB_TYPE,
+    runAt: nextDigestTime(frequency, timezone, now),
+    payload: { user_id: String(userId), frequency, timezone },
+    key: jobKey(userId)
+  });
+}
+
+/**
+ * Queue a notification for the user's next digest.
+ * `item` is { category, type, title, message, notification_id, source };
+ * `settings` is { frequency, timezone } from the user's preferences.
+ * Returns a deferred channel result for the delivery audit trail.
+ */
+async function queueDigestItem(userId, item, settings, now = new Date()) {
+  const record = {
+    id: crypto.randomUUID(),
+    user_id: String(userId),
+    category: item.category,
+    type: item.type,
+    title: item.title,
+    message: item.message,
+    notification_id: item.notification_id || null,
+    source: item.source || {},
+    created_at: now.toISOString(),
+    digest_id: null,
+    digested_at: null
+  };
+
+  await digestItems.set(record.id, record);
+  const job = await ensureDigestJob(userId, settings, now);
+
+  return { success: true, deferred: true, digest: settings.frequency, deliver_at: job.run_at, job_id: job.id };
+}
+
+/**
+ * Items waiting for the user's next digest, oldest first
+ */
+function pendingDigestItems(userId) {
+  return digestItems.values()
+    .filter(item => item.user_id === String(userId) && !item.digested_at)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Render the digest email for `items` in the contact's locale
+ */
+function renderDigest(contact, items, frequency, locale) {
+  const html = items
+    .map(item => `<li><strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}</li>`)
+    .join('\n');
+  const text = items.map(item => `- ${item.title}\n  ${item.message}`).join('\n');
+
+  return renderTemplate('digest', {
+    client: contact,
+    weekly: frequency === 'weekly',
+    count: items.length,
+    items_html: html,
+    items_text: text
+  }, { locale });
+}
+
+async function purgeDigested(now) {
+  const cutoff = now.getTime() - RETENTION_MS;
+  for (const item of digestItems.values()) {
+    if (item.digested_at && new Date(item.digested_at).getTime() < cutoff) {
+      await digestItems.delete(item.id);
+    }
+  }
+}
+
+/**
+ * Send the user's digest. `send(items, digestId)` delivers the email and
+ * returns the channel result; a failure throws so the job is retried with
+ * the same items. Once sent (or skipped, e.g. no email on file) every item
+ * is marked as digested. Items queued while sending wait for the next period.
+ */
+async function runDigest(userId, { send, frequency, timezone, now = new Date() }) {
+  const items = pendingDigestItems(userId);
+  if (!items.length) return null;
+
+  const digestId = crypto.randomUUID();
+  const result = await send(items, digestId);
+  if (!result.success && !result.skipped && !result.suppressed) {
+    throw new Error(`Digest for user ${userId} was not sent: ${result.error}`);
+  }
+
+  const digestedAt = now.toISOString();
+  for (const item of items) {
+    await digestItems.set(item.id, { ...item, digest_id: digestId, digested_at: digestedAt });
+  }
+  logger.info(`Sent ${frequency} digest ${digestId} with ${items.length} item(s) to user ${userId}`);
+  await purgeDigested(now);
+
+  if (pendingDigestItems(userId).length) {
+    await scheduleJob({
+      type: JOB_TYPE,
+      runAt: nextDigestTime(frequency, timezone, now),
+      payload: { user_id: String(userId), frequency, timezone },
+      key: jobKey(userId)
+    });
+  }
+
+  return { digest_id: digestId, count: items.length, result };
+}
+
+module.exports = {
+  JOB_TYPE,
+  getDigestConfig,
+  nextDigestTime,
+  queueDigestItem,
+  pendingDigestItems,
+  renderDigest,
+  runDigest
+};
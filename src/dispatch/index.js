@@ -0,0 +1,290 @@
+const logger = require('../config/logger');
+const { getUserContact, getBookingDetails } = require('../utils/httpClient');
+const { sendEmail: deliverEmail } = require('../channels/email');
+const { sendSMS: deliverSMS } = require('../channels/sms');
+const { sendPushToUser, hasSubscriptions } = require('../channels/push');
+const { renderTemplate } = require('../templates');
+const { resolveLocale } = require('../utils/i18n');
+const { getChannelSettings, getQuietHoursEnd, getDigestSettings } = require('../preferences');
+const { once, getEventContext, createEventContext, runWithEventContext } = require('../events/context');
+const { recordDelivery } = require('../deliveries');
+const { deferDelivery } = require('../deferrals');
+const { queueDigestItem, renderDigest } = require('../digests');
+
+/**
+ * Notification fan-out: everything that turns rendered content into
+ * in-app, email, SMS and push deliveries, for event handlers, broadcasts,
+ * digests and booking reminders.
+ *
+ * `transports` sends on the channels; the defaults are the real channels.
+ *   email(to, subject, body), sms(phone, message), push(userId, payload),
+ *   hasSubscriptions(userId)
+ */
+const defaultTransports = {
+  email: deliverEmail,
+  sms: deliverSMS,
+  push: sendPushToUser,
+  hasSubscriptions
+};
+
+// A delivery is complete once sent, or once retrying cannot help
+function isDelivered(result) {
+  return result.success || Boolean(result.skipped);
+}
+
+// The event being handled, for the delivery audit trail
+function currentSource() {
+  const context = getEventContext();
+  return context
+    ? { event_channel: context.channel, event_id: context.eventId, event_key: context.eventKey }
+    : {};
+}
+
+function createDispatcher({ store, hub, transports = defaultTransports }) {
+  // Send email and report failures in the handler's context
+  async function sendEmail(to, subject, body) {
+    const result = await transports.email(to, subject, body);
+    if (!result.success) {
+      logger.warn(`Email "${subject}" to ${to} was not delivered: ${result.error}`);
+    }
+    return result;
+  }
+
+  // Send SMS when the user has a phone number on file
+  async function sendSMS(user, message) {
+    if (!user || !user.phone) {
+      return { success: false, skipped: true, error: 'No phone number' };
+    }
+    const result = await transports.sms(user.phone, message);
+    if (!result.success) {
+      logger.warn(`SMS to user ${user.id} was not delivered: ${result.error}`);
+    }
+    return result;
+  }
+
+  // Send a browser push to every device the user registered
+  async function sendPush(userId, payload) {
+    const result = await transports.push(userId, payload);
+    if (!result.success && !result.skipped) {
+      logger.warn(`Push "${payload.title}" to user ${userId} was not delivered: ${result.error}`);
+    }
+    return result;
+  }
+
+  async function storeNotification(userId, notification) {
+    const stored = await store.add(userId, notification);
+    await hub.notificationCreated(userId, stored);
+    return stored;
+  }
+
+  // Deliver rendered content on every channel the user has enabled for the category.
+  // The in-app record is always stored right away; email for categories the user
+  // batches goes into their next digest; email, SMS and push for
+  // non-transactional categories wait out the user's quiet hours.
+  // Each channel runs once per event, so a retried handler only repeats the
+  // channels that failed, and every attempt is recorded in the delivery audit trail.
+  // Throws when a channel failed in a way a retry could fix.
+  async function dispatchNotification(userId, user, category, content, notification) {
+    const channels = await getChannelSettings(userId, category);
+    const deliverAt = await getQuietHoursEnd(userId, category);
+    const digest = await getDigestSettings(userId, category);
+    const step = channel => `${userId}:${notification.type}:${channel}`;
+    const delivery = { userId, category, type: notification.type, source: currentSource() };
+    const results = {};
+
+    if (channels.in_app) {
+      results.in_app = await once(step('in_app'), async () => {
+        const stored = await storeNotification(userId, {
+          type: notification.type,
+          category,
+          title: content.title,
+          message: content.message,
+          metadata: notification.metadata
+        });
+        await recordDelivery({ ...delivery, notificationId: stored.id, channel: 'in_app', recipient: String(userId), result: { success: true } });
+        return stored;
+      });
+    } else {
+      results.in_app = null;
+      await once(step('in_app'), () => recordDelivery({ ...delivery, channel: 'in_app', recipient: String(userId), result: { success: false, suppressed: true } }));
+    }
+
+    delivery.notificationId = results.in_app ? results.in_app.id : null;
+    const audit = { notification_id: delivery.notificationId, type: notification.type, source: delivery.source };
+    const push = {
+      title: content.title,
+      body: content.message,
+      data: {
+        ...notification.metadata,
+        notification_id: delivery.notificationId,
+        type: notification.type,
+        category
+      }
+    };
+
+    // Run a channel at most once per event and record the attempt
+    const attempt = (channel, recipient, send, isComplete) => once(step(channel), async () => {
+      const result = await send();
+      await recordDelivery({ ...delivery, channel, recipient, result });
+      return result;
+    }, isComplete);
+    const suppress = async () => ({ success: false, suppressed: true });
+    // Hold a channel until the user's quiet hours end
+    const defer = (channel, recipient) => deferDelivery({
+      userId, category, channel, deliverAt, recipient, content, push, audit
+    });
+
+    const email = (user && user.email) || null;
+    if (!channels.email) {
+      results.email = await attempt('email', email, suppress);
+    } else if (digest && email) {
+      results.email = await attempt('email', email, () => queueDigestItem(userId, {
+        category,
+        type: notification.type,
+        title: content.title,
+        message: content.message,
+        notification_id: delivery.notificationId,
+        source: delivery.source
+      }, digest));
+    } else if (deliverAt && email) {
+      results.email = await attempt('email', email, () => defer('email', email));
+    } else {
+      results.email = await attempt('email', email, () => sendEmail(email, content.subject, content), isDelivered);
+    }
+
+    if (content.sms) {
+      const phone = (user && user.phone) || null;
+      if (!channels.sms) {
+        results.sms = await attempt('sms', phone, suppress);
+      } else if (deliverAt && phone) {
+        results.sms = await attempt('sms', phone, () => defer('sms', phone));
+      } else {
+        results.sms = await attempt('sms', phone, () => sendSMS(user, content.sms), isDelivered);
+      }
+    }
+
+    if (!channels.push) {
+      results.push = await attempt('push', String(userId), suppress);
+    } else if (deliverAt && transports.hasSubscriptions(userId)) {
+      results.push = await attempt('push', String(userId), () => defer('push', String(userId)));
+    } else {
+      results.push = await attempt('push', String(userId), () => sendPush(userId, push), isDelivered);
+    }
+
+    const failed = Object.entries(results)
+      .filter(([, result]) => result && result.success === false && !result.suppressed && !result.skipped);
+    if (failed.length) {
+      throw new Error(`${failed.map(([channel, result]) => `${channel}: ${result.error}`).join('; ')} (user ${userId})`);
+    }
+
+    return results;
+  }
+
+  // Send one broadcast to one user. Each recipient gets its own event context,
+  // so deliveries are linked to the broadcast in the audit trail.
+  async function deliverBroadcast(contact, broadcast) {
+    const context = createEventContext({
+      channel: 'broadcast',
+      eventId: broadcast.id,
+      eventKey: `broadcast:${broadcast.id}:${contact.id}`
+    });
+
+    return runWithEventContext(context, () => {
+      const content = renderTemplate('announcement', {
+        client: contact,
+        title: broadcast.title,
+        message: broadcast.message
+      }, { locale: resolveLocale(contact) });
+
+      return dispatchNotification(contact.id, contact, 'announcement', content, {
+        type: 'announcement',
+        metadata: { broadcast_id: broadcast.id }
+      });
+    });
+  }
+
+  // Email one digest of queued items. Items whose category had email turned
+  // off since they were queued are dropped, once per item, so a retried
+  // digest does not record them again; each item's audit trail records
+  // the digest it went out in.
+  async function sendDigest(userId, items, digestId, frequency) {
+    const contact = await getUserContact(userId);
+    if (!contact) {
+      return { success: false, error: 'Could not fetch user contact' };
+    }
+
+    const record = (item, result) => recordDelivery({
+      userId,
+      notificationId: item.notification_id,
+      channel: 'email',
+      recipient: contact.email || null,
+      category: item.category,
+      type: item.type,
+      source: item.source,
+      result
+    });
+
+    const included = [];
+    for (const item of items) {
+      const dropped = await once(`digest:${item.id}:suppressed`, async () => {
+        const channels = await getChannelSettings(userId, item.category);
+        if (channels.email) return false;
+        await record(item, { success: false, suppressed: true });
+        return true;
+      }, Boolean);
+      if (!dropped) {
+        included.push(item);
+      }
+    }
+    if (!included.length) {
+      return { success: false, suppressed: true };
+    }
+
+    let result;
+    if (contact.email) {
+      const content = renderDigest(contact, included, frequency, resolveLocale(contact));
+      result = await sendEmail(contact.email, content.subject, content);
+    } else {
+      result = { success: false, skipped: true, error: 'No email address' };
+    }
+
+    for (const item of included) {
+      await record(item, { ...result, digest_id: digestId });
+    }
+    return result;
+  }
+
+  // Runs when a scheduled reminder comes due
+  async function sendBookingReminder(payload) {
+    const { booking_id, client_id, booking_date, start_time } = payload;
+
+    // Skip reminders for bookings cancelled without a booking.cancelled event
+    const booking = await getBookingDetails(booking_id);
+    if (booking && booking.status === 'cancelled') {
+      logger.info(`Skipping reminder for cancelled booking ${booking_id}`);
+      return;
+    }
+
+    const client = await getUserContact(client_id);
+    if (!client) {
+      throw new Error(`Could not fetch client ${client_id} for booking reminder`);
+    }
+
+    const content = renderTemplate('booking_reminder', { client, booking_id, booking_date, start_time }, { locale: resolveLocale(client) });
+
+    await dispatchNotification(client_id, client, 'booking_reminder', content, {
+      type: 'booking_reminder',
+      metadata: { booking_id, booking_date, start_time, offset: payload.offset }
+    });
+  }
+
+  return {
+    send: { email: sendEmail, sms: sendSMS, push: sendPush },
+    dispatchNotification,
+    deliverBroadcast,
+    sendDigest,
+    sendBookingReminder
+  };
+}
+
+module.exports = { createDispatcher, isDelivered };
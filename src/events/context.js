@@ -0,0 +1,51 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-event context, available to everything a handler calls.
+ *
+ * Holds the channel, event id, deduplication key and attempt number, plus the delivery steps
+ * already completed so a retried handler does not repeat them.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * `completed` seeds the steps already done, e.g. by the attempts before an event was dead-lettered
+ */
+function createEventContext({ channel, eventId = null, eventKey = null, completed = {} }) {
+  return { channel, eventId, eventKey, attempt: 0, completed: new Map(Object.entries(completed)) };
+}
+
+function runWithEventContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getEventContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run `step` once per event: on a retry, the result from the attempt that
+ * completed it is returned instead of running it again. Results rejected by
+ * `isComplete` are not remembered, so the step runs again on the next attempt.
+ */
+async function once(key, step, isComplete = () => true) {
+  const context = getEventContext();
+  if (!context) return step();
+
+  if (context.completed.has(key)) {
+    return context.completed.get(key);
+  }
+
+  const result = await step();
+  if (isComplete(result)) {
+    context.completed.set(key, result);
+  }
+  return result;
+}
+
+module.exports = {
+  createEventContext,
+  runWithEventContext,
+  getEventContext,
+  once
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { getCollection } = require('../storage');
+
+/**
+ * Dead-letter store for events whose handler kept failing.
+ * `completed` keeps the results of the once() steps that did succeed, so a
+ * retry does not repeat them.
+ */
+const deadLetters = getCollection('dead_letters');
+
+async function addDeadLetter({ channel, payload, eventId = null, error, attempts, completed = {} }) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    channel,
+    event_id: eventId,
+    payload,
+    error: error.message,
+    stack: error.stack || null,
+    attempts,
+    completed,
+    first_failed_at: now,
+    last_failed_at: now
+  };
+  await deadLetters.set(record.id, record);
+  return record;
+}
+
+/**
+ * Dead letters, newest first, optionally for one channel
+ */
+function listDeadLetters({ channel, limit = 50, offset = 0 } = {}) {
+  const matching = deadLetters.values()
+    .filter(record => !channel || record.channel === channel)
+    .sort((a, b) => b.last_failed_at.localeCompare(a.last_failed_at));
+
+  return { total: matching.length, items: matching.slice(offset, offset + limit) };
+}
+
+function getDeadLetter(id) {
+  return deadLetters.get(id);
+}
+
+async function updateDeadLetter(id, changes) {
+  const record = deadLetters.get(id);
+  if (!record) return null;
+  return deadLetters.set(id, { ...record, ...changes });
+}
+
+async function removeDeadLetter(id) {
+  return deadLetters.delete(id);
+}
+
+function countDeadLetters() {
+  return deadLetters.size();
+}
+
+module.exports = {
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  removeDeadLetter,
+  countDeadLetters
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { getEventHandler } = require('../handlers');
+
+/**
+ * Deduplication keys for events.
+ *
+ * An explicit `event_id` in the payload wins. Otherwise the key is built from
+ * the fields that identify the business event, declared as `keyFields` by
+ * the channel's handler module, so a republished event maps to the same key.
+ * Channels without them fall back to a hash of the whole payload.
+ */
+function keyFieldsFor(channel) {
+  const handler = getEventHandler(channel);
+  return handler ? handler.keyFields : undefined;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function deriveEventKey(channel, payload, fields = keyFieldsFor(channel)) {
+  if (payload && payload.event_id) {
+    return `${channel}:id:${payload.event_id}`;
+  }
+
+  if (fields && fields.every(field => payload && payload[field] !== undefined && payload[field] !== null)) {
+    return `${channel}:${fields.map(field => String(payload[field])).join(':')}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+  return `${channel}:sha256:${hash}`;
+}
+
+module.exports = { deriveEventKey };
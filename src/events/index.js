@@ -0,0 +1,36 @@
+const { createPubSubConsumer } = require('./pubsubConsumer');
+const { createStreamConsumer, getStreamConfig } = require('./streamConsumer');
+const { parseEventPayload } = require('./payload');
+const { createEventProcessor, getRetryConfig } = require('./processor');
+const { deriveEventKey } = require('./eventKey');
+const { validateEventPayload } = require('./schemas');
+const { createInstanceLock, InstanceLockError } = require('./instanceLock');
+
+/**
+ * Create the event consumer selected by EVENT_CONSUMER_MODE (pubsub | streams).
+ * `handlers` maps channel names to async handler functions.
+ */
+function createEventConsumer({ client, handlers, mode = process.env.EVENT_CONSUMER_MODE || 'pubsub' }) {
+  switch (mode) {
+    case 'pubsub':
+      return createPubSubConsumer({ client, handlers });
+    case 'streams':
+      return createStreamConsumer({ client, handlers });
+    default:
+      throw new Error(`Unknown EVENT_CONSUMER_MODE: ${mode}`);
+  }
+}
+
+module.exports = {
+  createEventConsumer,
+  createPubSubConsumer,
+  createStreamConsumer,
+  getStreamConfig,
+  createEventProcessor,
+  getRetryConfig,
+  parseEventPayload,
+  deriveEventKey,
+  validateEventPayload,
+  createInstanceLock,
+  InstanceLockError
+};
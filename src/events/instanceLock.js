@@ -0,0 +1,114 @@
+const os = require('os');
+const logger = require('../config/logger');
+
+/**
+ * Single-instance guard.
+ *
+ * The processed-event ledger, notification store, preferences and scheduled
+ * jobs are local files under STORAGE_DIR, so a second instance consuming the
+ * same events would handle them again against its own copies. Before
+ * consuming, an instance takes a lock in Redis (SET NX PX) and renews it
+ * while running; an instance that finds the lock held by someone else
+ * refuses to start. The lock expires INSTANCE_LOCK_TTL_MS after its holder
+ * stops renewing it, e.g. after a crash.
+ *
+ * The lock uses its own duplicate of `client`, which may be in pub/sub mode.
+ */
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function getInstanceLockConfig() {
+  return {
+    key: process.env.INSTANCE_LOCK_KEY || 'notification-service:instance',
+    owner: `${os.hostname()}-${process.pid}`,
+    ttlMs: parseInt(process.env.INSTANCE_LOCK_TTL_MS, 10) || 30000
+  };
+}
+
+class InstanceLockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InstanceLockError';
+  }
+}
+
+/**
+ * `onLost` is called when a renewal finds the lock gone or taken over,
+ * after which this instance must stop consuming.
+ */
+function createInstanceLock({ client, onLost = () => {}, config = getInstanceLockConfig() }) {
+  let connection = null;
+  let timer = null;
+
+  async function renew() {
+    try {
+      const renewed = await connection.eval(RENEW_SCRIPT, { keys: [config.key], arguments: [config.owner, String(config.ttlMs)] });
+      if (!renewed) {
+        stopRenewing();
+        logger.error(`Lost the instance lock ${config.key}; another instance may be consuming events`);
+        onLost();
+      }
+    } catch (error) {
+      // Retried on the next tick; the lock only lapses after ttlMs without a renewal
+      logger.error(`Failed to renew the instance lock ${config.key}:`, error.message);
+    }
+  }
+
+  function stopRenewing() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    /**
+     * Take the lock or throw InstanceLockError when another instance holds it
+     */
+    async acquire() {
+      if (!connection) {
+        connection = client.duplicate();
+        connection.on('error', error => logger.error('Redis instance lock error:', error));
+        await connection.connect();
+      }
+
+      const taken = await connection.set(config.key, config.owner, { NX: true, PX: config.ttlMs });
+      if (!taken) {
+        const holder = await connection.get(config.key);
+        if (holder !== config.owner) {
+          throw new InstanceLockError(`Another instance (${holder}) holds ${config.key}; only one instance may consume events`);
+        }
+      }
+
+      timer = setInterval(renew, Math.floor(config.ttlMs / 3));
+      timer.unref();
+      logger.info(`Acquired the instance lock ${config.key} as ${config.owner}`);
+    },
+
+    /**
+     * Give the lock up, if still held, and close its connection
+     */
+    async release() {
+      stopRenewing();
+      if (!connection) return;
+
+      try {
+        if (connection.isReady) {
+          await connection.eval(RELEASE_SCRIPT, { keys: [config.key], arguments: [config.owner] });
+          await connection.quit();
+        } else if (connection.isOpen) {
+          await connection.disconnect();
+        }
+      } catch (error) {
+        // It expires on its own after ttlMs
+        logger.error(`Failed to release the instance lock ${config.key}:`, error.message);
+      } finally {
+        connection = null;
+      }
+    },
+
+    renew
+  };
+}
+
+module.exports = { createInstanceLock, getInstanceLockConfig, InstanceLockError };
@@ -0,0 +1,75 @@
+const logger = require('../config/logger');
+const { getCollection } = require('../storage');
+
+/**
+ * Processed-event ledger.
+ * Remembers the keys of handled events for EVENT_DEDUPE_TTL_HOURS so a
+ * redelivered event can be recognised and skipped.
+ */
+const processed = getCollection('processed_events');
+
+const PURGE_INTERVAL_MS = 60000;
+
+// Keys being handled right now, to catch duplicates that arrive concurrently
+const inFlight = new Set();
+let lastPurge = 0;
+
+function ttlMs() {
+  return (parseFloat(process.env.EVENT_DEDUPE_TTL_HOURS) || 72) * 3600000;
+}
+
+function isProcessed(key, now = Date.now()) {
+  const record = processed.get(key);
+  return Boolean(record) && new Date(record.expires_at).getTime() > now;
+}
+
+/**
+ * Claim `key` for handling. Returns false when the event was already
+ * processed or is being processed.
+ */
+function claim(key) {
+  if (inFlight.has(key) || isProcessed(key)) {
+    return false;
+  }
+  inFlight.add(key);
+  return true;
+}
+
+function release(key) {
+  inFlight.delete(key);
+}
+
+async function markProcessed(key, channel, now = Date.now()) {
+  await processed.set(key, {
+    channel,
+    processed_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlMs()).toISOString()
+  });
+
+  if (now - lastPurge >= PURGE_INTERVAL_MS) {
+    lastPurge = now;
+    await purgeExpired(now);
+  }
+}
+
+async function purgeExpired(now = Date.now()) {
+  let removed = 0;
+  for (const [key, record] of processed.entries()) {
+    if (new Date(record.expires_at).getTime() <= now) {
+      await processed.delete(key);
+      removed += 1;
+    }
+  }
+  if (removed) {
+    logger.info(`Purged ${removed} expired processed-event records`);
+  }
+  return removed;
+}
+
+module.exports = {
+  claim,
+  release,
+  isProcessed,
+  markProcessed,
+  purgeExpired
+};
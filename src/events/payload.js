@@ -0,0 +1,24 @@
+/**
+ * Decode an event payload from a pub/sub message or a stream entry.
+ *
+ * Pub/sub messages are JSON strings. Stream entries carry the JSON in a
+ * `data` (or `payload`) field; entries without one are treated as a flat
+ * field map.
+ */
+function parseEventPayload(message) {
+  if (typeof message === 'string') {
+    return JSON.parse(message);
+  }
+
+  if (message && typeof message === 'object') {
+    const encoded = message.data !== undefined ? message.data : message.payload;
+    if (encoded !== undefined) {
+      return typeof encoded === 'string' ? JSON.parse(encoded) : encoded;
+    }
+    return { ...message };
+  }
+
+  throw new Error('Event payload must be a JSON string or a stream entry');
+}
+
+module.exports = { parseEventPayload };
@@ -0,0 +1,167 @@
+const logger = require('../config/logger');
+const { createEventContext, runWithEventContext } = require('./context');
+const { addDeadLetter, getDeadLetter, updateDeadLetter, removeDeadLetter } = require('./deadLetters');
+const { deriveEventKey } = require('./eventKey');
+const { validateEventPayload } = require('./schemas');
+const { quarantineEvent } = require('./quarantine');
+const ledger = require('./ledger');
+const metrics = require('../metrics');
+
+/**
+ * Runs event handlers with retries and exponential backoff.
+ * Payloads that fail their channel's schema are quarantined without running the handler.
+ * Events that still fail after EVENT_MAX_ATTEMPTS go to the dead-letter store.
+ * Events already in the processed-event ledger are skipped as duplicates.
+ */
+function getRetryConfig() {
+  return {
+    maxAttempts: parseInt(process.env.EVENT_MAX_ATTEMPTS, 10) || 3,
+    baseDelayMs: parseInt(process.env.EVENT_RETRY_BASE_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.EVENT_RETRY_MAX_MS, 10) || 30000
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * `handlers` maps channels to handler functions; `schemas` optionally gives
+ * each channel a payload schema, and `keyFields` overrides the deduplication
+ * key fields its handler module declares.
+ */
+function createEventProcessor({ handlers, schemas = {}, keyFields = {}, config = getRetryConfig(), wait = sleep }) {
+  function backoff(attempt) {
+    return Math.min(config.baseDelayMs * 2 ** (attempt - 1), config.maxDelayMs);
+  }
+
+  async function attempt(channel, payload, meta, context) {
+    const handler = handlers[channel];
+    let lastError;
+
+    for (let attemptNumber = 1; attemptNumber <= config.maxAttempts; attemptNumber++) {
+      context.attempt = attemptNumber;
+      const endTimer = metrics.handlerDuration.startTimer({ channel });
+      try {
+        await runWithEventContext(context, () => handler(payload, meta));
+        endTimer({ outcome: 'success' });
+        return { status: 'handled', attempts: attemptNumber };
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        lastError = error;
+        logger.warn(`${channel} handler attempt ${attemptNumber}/${config.maxAttempts} failed: ${error.message}`);
+        if (attemptNumber < config.maxAttempts) {
+          await wait(backoff(attemptNumber));
+        }
+      }
+    }
+
+    return { status: 'failed', attempts: config.maxAttempts, error: lastError };
+  }
+
+  /**
+   * Handle one event. Resolves once it is handled, quarantined, skipped as a
+   * duplicate or dead-lettered; rejects only if the quarantine or dead letter
+   * record cannot be stored.
+   */
+  async function processEvent(channel, payload, meta = {}) {
+    metrics.eventsReceived.inc({ channel });
+
+    const errors = validateEventPayload(channel, payload, schemas);
+    if (errors.length) {
+      metrics.eventsFailed.inc({ channel, reason: 'invalid' });
+      const record = await quarantineEvent({ channel, payload, eventId: meta.id || null, errors });
+      logger.error(`Quarantined invalid ${channel} event (${record.id}): ${errors.join('; ')}`);
+      return { status: 'invalid', attempts: 0, errors, quarantine_id: record.id };
+    }
+
+    const key = deriveEventKey(channel, payload, keyFields[channel]);
+
+    if (!ledger.claim(key)) {
+      metrics.eventsDuplicate.inc({ channel });
+      logger.info(`Skipping duplicate ${channel} event ${key}`);
+      return { status: 'duplicate', attempts: 0, key };
+    }
+
+    const context = createEventContext({ channel, eventId: meta.id || null, eventKey: key });
+    try {
+      const result = await attempt(channel, payload, meta, context);
+
+      if (result.status === 'handled') {
+        metrics.eventsHandled.inc({ channel });
+        await ledger.markProcessed(key, channel);
+        return result;
+      }
+
+      metrics.eventsFailed.inc({ channel, reason: 'dead_lettered' });
+
+      const record = await addDeadLetter({
+        channel,
+        payload,
+        eventId: meta.id || null,
+        error: result.error,
+        attempts: result.attempts,
+        completed: Object.fromEntries(context.completed)
+      });
+      logger.error(`Dead-lettered ${channel} event after ${result.attempts} attempts (${record.id}): ${result.error.message}`);
+      return { status: 'dead_lettered', attempts: result.attempts, dead_letter_id: record.id };
+    } finally {
+      ledger.release(key);
+    }
+  }
+
+  /**
+   * Run a dead-lettered event through its handler once more, skipping the
+   * steps earlier attempts completed.
+   * Removes the dead letter on success; records the new failure otherwise.
+   */
+  async function retryDeadLetter(id) {
+    const record = getDeadLetter(id);
+    if (!record) return null;
+
+    const handler = handlers[record.channel];
+    if (!handler) {
+      throw new Error(`No handler registered for ${record.channel}`);
+    }
+
+    const key = deriveEventKey(record.channel, record.payload, keyFields[record.channel]);
+    const context = createEventContext({
+      channel: record.channel,
+      eventId: record.event_id,
+      eventKey: key,
+      completed: record.completed
+    });
+    context.attempt = record.attempts + 1;
+
+    const endTimer = metrics.handlerDuration.startTimer({ channel: record.channel });
+    try {
+      await runWithEventContext(context, () => handler(record.payload, { id: record.event_id, channel: record.channel }));
+      endTimer({ outcome: 'success' });
+      metrics.eventsHandled.inc({ channel: record.channel });
+      await ledger.markProcessed(key, record.channel);
+      await removeDeadLetter(id);
+      logger.info(`Dead letter ${id} (${record.channel}) handled on retry`);
+      return { status: 'handled', dead_letter: record };
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      const updated = await updateDeadLetter(id, {
+        attempts: record.attempts + 1,
+        completed: Object.fromEntries(context.completed),
+        error: error.message,
+        stack: error.stack || null,
+        last_failed_at: new Date().toISOString()
+      });
+      return { status: 'failed', error: error.message, dead_letter: updated };
+    }
+  }
+
+  // Handlers with retries and dead-lettering, for the event consumers
+  const wrapped = {};
+  for (const channel of Object.keys(handlers)) {
+    wrapped[channel] = (payload, meta) => processEvent(channel, payload, meta);
+  }
+
+  return { processEvent, retryDeadLetter, handlers: wrapped };
+}
+
+module.exports = { createEventProcessor, getRetryConfig };
@@ -0,0 +1,71 @@
+const logger = require('../config/logger');
+const { parseEventPayload } = require('./payload');
+const { quarantineUnparseable } = require('./quarantine');
+
+/**
+ * Plain Redis pub/sub consumer.
+ * Events published while the service is down are lost; use the streams
+ * consumer for durable delivery.
+ */
+function createPubSubConsumer({ client, handlers }) {
+  let inFlight = 0;
+  const subscribed = new Set();
+
+  async function onMessage(channel, message) {
+    let payload;
+    try {
+      payload = parseEventPayload(message);
+    } catch (error) {
+      try {
+        const record = await quarantineUnparseable({ channel, message, error });
+        logger.error(`Quarantined unparseable ${channel} message (${record.id}): ${error.message}`);
+      } catch (storeError) {
+        logger.error(`Failed to quarantine unparseable ${channel} message:`, storeError);
+      }
+      return;
+    }
+
+    inFlight += 1;
+    try {
+      await handlers[channel](payload);
+    } catch (error) {
+      logger.error(`Failed to handle ${channel} event:`, error);
+    } finally {
+      inFlight -= 1;
+    }
+  }
+
+  return {
+    mode: 'pubsub',
+
+    async start() {
+      for (const channel of Object.keys(handlers)) {
+        await client.subscribe(channel, message => onMessage(channel, message));
+        subscribed.add(channel);
+      }
+      logger.info(`Subscribed to ${Object.keys(handlers).length} Redis event channels`);
+    },
+
+    async stop() {
+      await client.unsubscribe();
+      subscribed.clear();
+    },
+
+    inFlight() {
+      return inFlight;
+    },
+
+    /**
+     * Subscribed channels out of those with a handler, for readiness checks
+     */
+    status() {
+      return {
+        running: subscribed.size > 0,
+        channels: Object.keys(handlers).length,
+        subscribed: subscribed.size
+      };
+    }
+  };
+}
+
+module.exports = { createPubSubConsumer };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { getCollection } = require('../storage');
+const metrics = require('../metrics');
+
+/**
+ * Quarantine for events whose payload could not be parsed or failed schema
+ * validation. They are never handled; the record keeps the payload (the raw
+ * message when it could not be parsed) and what was wrong with it so the
+ * publisher can be fixed.
+ */
+const quarantined = getCollection('quarantined_events');
+
+async function quarantineEvent({ channel, payload, eventId = null, errors }) {
+  const record = {
+    id: crypto.randomUUID(),
+    channel,
+    event_id: eventId,
+    payload,
+    errors,
+    quarantined_at: new Date().toISOString()
+  };
+  await quarantined.set(record.id, record);
+  return record;
+}
+
+/**
+ * Quarantine a message the consumer could not parse, as it was received:
+ * the JSON text for pub/sub, the entry's fields for streams
+ */
+async function quarantineUnparseable({ channel, message, eventId = null, error }) {
+  metrics.eventsReceived.inc({ channel });
+  metrics.eventsFailed.inc({ channel, reason: 'invalid' });
+  return quarantineEvent({ channel, payload: message, eventId, errors: [`payload could not be parsed: ${error.message}`] });
+}
+
+/**
+ * Quarantined events, newest first, optionally for one channel
+ */
+function listQuarantined({ channel, limit = 50, offset = 0 } = {}) {
+  const matching = quarantined.values()
+    .filter(record => !channel || record.channel === channel)
+    .sort((a, b) => b.quarantined_at.localeCompare(a.quarantined_at));
+
+  return { total: matching.length, items: matching.slice(offset, offset + limit) };
+}
+
+function getQuarantined(id) {
+  return quarantined.get(id);
+}
+
+async function removeQuarantined(id) {
+  return quarantined.delete(id);
+}
+
+module.exports = {
+  quarantineEvent,
+  quarantineUnparseable,
+  listQuarantined,
+  getQuarantined,
+  removeQuarantined
+};
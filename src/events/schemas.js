@@ -0,0 +1,67 @@
+/**
+ * Payload validation for event channels.
+ *
+ * Handler modules declare a schema mapping each field to { type, required }
+ * (see src/handlers). Types:
+ *   id        non-empty string or integer
+ *   string    string
+ *   number    finite number (numeric strings are accepted)
+ *   date      "YYYY-MM-DD", optionally followed by an ISO time
+ *   time      "HH:MM" or "HH:MM:SS"
+ * Optional fields may be missing or null. Fields not in the schema are
+ * passed through untouched.
+ */
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function isCalendarDate(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+const CHECKS = {
+  id: value => (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value),
+  string: value => typeof value === 'string',
+  number: value => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))),
+  date: value => typeof value === 'string' && isCalendarDate(value),
+  time: value => typeof value === 'string' && TIME_PATTERN.test(value)
+};
+
+const DESCRIPTIONS = {
+  id: 'a non-empty string or integer ID',
+  string: 'a string',
+  number: 'a number',
+  date: 'a date (YYYY-MM-DD)',
+  time: 'a time (HH:MM)'
+};
+
+/**
+ * Problems with `payload` for `channel`, as human-readable strings.
+ * Returns an empty array when the payload is valid or the channel has no schema.
+ */
+function validateEventPayload(channel, payload, schemas = {}) {
+  const schema = schemas[channel];
+  if (!schema) return [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['payload must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [field, { type, required = false }] of Object.entries(schema)) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (required) errors.push(`${field} is required`);
+    } else if (!CHECKS[type](value)) {
+      errors.push(`${field} must be ${DESCRIPTIONS[type]}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { validateEventPayload };
@@ -0,0 +1,199 @@
+const os = require('os');
+const logger = require('../config/logger');
+const { parseEventPayload } = require('./payload');
+const { quarantineUnparseable } = require('./quarantine');
+
+/**
+ * Redis Streams consumer-group consumer.
+ *
+ * Each subscribed channel is read from a stream of the same name (with an
+ * optional prefix). Entries are acknowledged only after their handler
+ * succeeds; entries left pending by a crashed or stuck consumer are
+ * reclaimed with XAUTOCLAIM once idle for `claimIdleMs`, e.g. those of this
+ * instance's previous run. Each entry is delivered to one consumer at a time;
+ * the service itself runs as a single instance (see instanceLock.js).
+ *
+ * The blocking XREADGROUP runs on its own duplicate of `client`, so commands
+ * on `client` itself (acks, readiness pings) never wait behind it.
+ */
+function getStreamConfig() {
+  return {
+    group: process.env.EVENT_STREAM_GROUP || 'notification-service',
+    consumer: process.env.EVENT_STREAM_CONSUMER || `${os.hostname()}-${process.pid}`,
+    prefix: process.env.EVENT_STREAM_PREFIX || '',
+    startId: process.env.EVENT_STREAM_START_ID || '$',
+    batchSize: parseInt(process.env.EVENT_STREAM_BATCH_SIZE, 10) || 10,
+    blockMs: parseInt(process.env.EVENT_STREAM_BLOCK_MS, 10) || 5000,
+    claimIdleMs: parseInt(process.env.EVENT_STREAM_CLAIM_IDLE_MS, 10) || 60000,
+    claimIntervalMs: parseInt(process.env.EVENT_STREAM_CLAIM_INTERVAL_MS, 10) || 30000
+  };
+}
+
+function createStreamConsumer({ client, handlers, config = getStreamConfig() }) {
+  const streams = Object.keys(handlers).map(channel => ({ channel, key: `${config.prefix}${channel}` }));
+  const channelByKey = new Map(streams.map(stream => [stream.key, stream.channel]));
+
+  let stopped = true;
+  let loop = null;
+  let inFlight = 0;
+  let lastClaim = 0;
+  let lastError = null;
+  let reader = null;
+
+  async function ensureGroups() {
+    for (const { key } of streams) {
+      try {
+        await client.xGroupCreate(key, config.group, config.startId, { MKSTREAM: true });
+        logger.info(`Created consumer group ${config.group} on stream ${key}`);
+      } catch (error) {
+        if (!String(error.message).includes('BUSYGROUP')) throw error;
+      }
+    }
+  }
+
+  async function processEntry(key, entry) {
+    const channel = channelByKey.get(key);
+
+    let payload;
+    try {
+      payload = parseEventPayload(entry.message);
+    } catch (error) {
+      // Unparseable entries can never succeed; quarantine them instead of reclaiming forever.
+      // If that fails the entry stays pending and is tried again once reclaimed.
+      try {
+        const record = await quarantineUnparseable({ channel, message: entry.message, eventId: entry.id, error });
+        logger.error(`Quarantined unparseable ${channel} entry ${entry.id} (${record.id}): ${error.message}`);
+        await client.xAck(key, config.group, entry.id);
+      } catch (storeError) {
+        logger.error(`Failed to quarantine unparseable ${channel} entry ${entry.id}:`, storeError);
+      }
+      return;
+    }
+
+    inFlight += 1;
+    try {
+      await handlers[channel](payload, { id: entry.id, channel });
+      await client.xAck(key, config.group, entry.id);
+    } catch (error) {
+      // Left pending; reclaimed and retried once idle
+      logger.error(`Failed to handle ${channel} entry ${entry.id}:`, error);
+    } finally {
+      inFlight -= 1;
+    }
+  }
+
+  async function getReader() {
+    if (!reader) {
+      reader = client.duplicate();
+      reader.on('error', error => logger.error('Redis stream reader error:', error));
+      await reader.connect();
+    }
+    return reader;
+  }
+
+  async function readNew() {
+    const reply = await (await getReader()).xReadGroup(
+      config.group,
+      config.consumer,
+      streams.map(({ key }) => ({ key, id: '>' })),
+      { COUNT: config.batchSize, BLOCK: config.blockMs }
+    );
+
+    for (const { name, messages } of reply || []) {
+      for (const entry of messages) {
+        await processEntry(name, entry);
+      }
+    }
+  }
+
+  /**
+   * Take over entries another consumer has left pending for too long
+   */
+  async function reclaimPending() {
+    let claimed = 0;
+    for (const { key } of streams) {
+      let start = '0-0';
+      do {
+        const { nextId, messages } = await client.xAutoClaim(
+          key, config.group, config.consumer, config.claimIdleMs, start, { COUNT: config.batchSize }
+        );
+        for (const entry of messages) {
+          // Entries deleted from the stream come back as null
+          if (!entry) continue;
+          claimed += 1;
+          await processEntry(key, entry);
+        }
+        start = nextId;
+      } while (start !== '0-0');
+    }
+    if (claimed) {
+      logger.info(`Reclaimed ${claimed} pending stream entries`);
+    }
+    return claimed;
+  }
+
+  async function run() {
+    while (!stopped) {
+      try {
+        if (Date.now() - lastClaim >= config.claimIntervalMs) {
+          lastClaim = Date.now();
+          await reclaimPending();
+        }
+        await readNew();
+        lastError = null;
+      } catch (error) {
+        lastError = { message: error.message, at: new Date().toISOString() };
+        logger.error('Stream consumer error:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  return {
+    mode: 'streams',
+
+    async start() {
+      await ensureGroups();
+      await getReader();
+      stopped = false;
+      loop = run();
+      logger.info(`Consuming ${streams.length} event streams as ${config.consumer} in group ${config.group}`);
+    },
+
+    /**
+     * Stop reading, wait for the current batch to finish and close the read connection
+     */
+    async stop() {
+      stopped = true;
+      if (loop) {
+        await loop;
+        loop = null;
+      }
+      if (reader) {
+        await reader.quit();
+        reader = null;
+      }
+    },
+
+    inFlight() {
+      return inFlight;
+    },
+
+    /**
+     * Whether the read loop is running and last read succeeded, for readiness checks
+     */
+    status() {
+      return {
+        running: !stopped,
+        channels: streams.length,
+        subscribed: stopped ? 0 : streams.length,
+        last_error: lastError
+      };
+    },
+
+    reclaimPending,
+    readNew
+  };
+}
+
+module.exports = { createStreamConsumer, getStreamConfig };
@@ -0,0 +1,39 @@
+const logger = require('../../config/logger');
+const { getUserContact } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+
+/**
+ * achievement.earned: congratulate the client
+ */
+async function handle(data, deps) {
+  logger.info('Handling achievement.earned event', data);
+
+  const { achievement_id, client_id, type, title, description } = data;
+
+  // Fetch client contact info
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for achievement notification`);
+  }
+
+  const content = renderTemplate('achievement_earned', { client, achievement: { title, description, type } }, { locale: resolveLocale(client) });
+
+  await deps.dispatchNotification(client_id, client, 'achievement', content, {
+    type: 'achievement',
+    metadata: { achievement_id, type }
+  });
+}
+
+module.exports = {
+  channel: 'achievement.earned',
+  schema: {
+    achievement_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    type: { type: 'string' },
+    title: { type: 'string', required: true },
+    description: { type: 'string' }
+  },
+  keyFields: ['achievement_id', 'client_id'],
+  handle
+};
@@ -0,0 +1,53 @@
+const logger = require('../../config/logger');
+const { getUserContact } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+const { cancelBookingReminders } = require('../../scheduler/bookingReminders');
+const { notifyTrainer } = require('../trainer');
+
+/**
+ * booking.cancelled: drop the pending reminders and tell the client and trainer
+ */
+async function handle(data, deps) {
+  logger.info('Handling booking.cancelled event', data);
+
+  const { booking_id, client_id, trainer_id, reason } = data;
+
+  await cancelBookingReminders(booking_id);
+
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for booking cancellation`);
+  }
+
+  const content = renderTemplate('booking_cancelled', { client, booking_id, reason }, { locale: resolveLocale(client) });
+
+  await deps.dispatchNotification(client_id, client, 'booking_reminder', content, {
+    type: 'booking_cancellation',
+    metadata: { booking_id }
+  });
+
+  await notifyTrainer(deps, {
+    trainerId: trainer_id,
+    client,
+    template: 'trainer_booking_cancelled',
+    category: 'trainer_booking',
+    data: { booking_id, reason },
+    notification: {
+      type: 'trainer_booking_cancelled',
+      metadata: { booking_id, client_id }
+    }
+  });
+}
+
+module.exports = {
+  channel: 'booking.cancelled',
+  schema: {
+    booking_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' },
+    reason: { type: 'string' }
+  },
+  keyFields: ['booking_id'],
+  handle
+};
@@ -0,0 +1,50 @@
+const logger = require('../../config/logger');
+const { getUserContact } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+const { notifyTrainer } = require('../trainer');
+
+/**
+ * booking.completed: prompt the client to log the workout and tell the trainer
+ */
+async function handle(data, deps) {
+  logger.info('Handling booking.completed event', data);
+
+  const { booking_id, client_id, trainer_id, workout_date } = data;
+
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for session completion`);
+  }
+
+  const content = renderTemplate('booking_completed', { client, workout_date }, { locale: resolveLocale(client) });
+
+  await deps.dispatchNotification(client_id, client, 'booking_confirmation', content, {
+    type: 'booking_completed',
+    metadata: { booking_id }
+  });
+
+  await notifyTrainer(deps, {
+    trainerId: trainer_id,
+    client,
+    template: 'trainer_booking_completed',
+    category: 'trainer_booking',
+    data: { booking_id, workout_date },
+    notification: {
+      type: 'trainer_booking_completed',
+      metadata: { booking_id, client_id, workout_date }
+    }
+  });
+}
+
+module.exports = {
+  channel: 'booking.completed',
+  schema: {
+    booking_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' },
+    workout_date: { type: 'date' }
+  },
+  keyFields: ['booking_id'],
+  handle
+};
@@ -0,0 +1,57 @@
+const logger = require('../../config/logger');
+const { getUserContact } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+const { scheduleBookingReminders } = require('../../scheduler/bookingReminders');
+const { notifyTrainer } = require('../trainer');
+
+/**
+ * booking.created: confirm the booking to the client, schedule its
+ * reminders and tell the trainer
+ */
+async function handle(data, deps) {
+  logger.info('Handling booking.created event', data);
+
+  const { booking_id, client_id, trainer_id, booking_date, start_time } = data;
+
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for booking confirmation`);
+  }
+
+  const content = renderTemplate('booking_confirmation', { client, booking_id, booking_date, start_time }, { locale: resolveLocale(client) });
+
+  const { email } = await deps.dispatchNotification(client_id, client, 'booking_confirmation', content, {
+    type: 'booking_confirmation',
+    metadata: { booking_id, booking_date, start_time }
+  });
+
+  await scheduleBookingReminders(data);
+
+  await notifyTrainer(deps, {
+    trainerId: trainer_id,
+    client,
+    template: 'trainer_booking_created',
+    category: 'trainer_booking',
+    data: { booking_id, booking_date, start_time },
+    notification: {
+      type: 'trainer_booking_created',
+      metadata: { booking_id, client_id, booking_date, start_time }
+    }
+  });
+
+  logger.info(`Booking confirmation processed for client ${client_id} (email ${email.success ? 'sent' : 'not sent'})`);
+}
+
+module.exports = {
+  channel: 'booking.created',
+  schema: {
+    booking_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' },
+    booking_date: { type: 'date', required: true },
+    start_time: { type: 'time', required: true }
+  },
+  keyFields: ['booking_id'],
+  handle
+};
@@ -0,0 +1,26 @@
+const logger = require('../../config/logger');
+const { scheduleBookingReminders } = require('../../scheduler/bookingReminders');
+
+/**
+ * booking.rescheduled: move the booking's reminders to the new time
+ */
+async function handle(data) {
+  logger.info('Handling booking.rescheduled event', data);
+
+  const reminders = await scheduleBookingReminders(data);
+
+  logger.info(`Moved reminders for booking ${data.booking_id} (${reminders.length} pending)`);
+}
+
+module.exports = {
+  channel: 'booking.rescheduled',
+  schema: {
+    booking_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' },
+    booking_date: { type: 'date', required: true },
+    start_time: { type: 'time', required: true }
+  },
+  keyFields: ['booking_id', 'booking_date', 'start_time'],
+  handle
+};
@@ -0,0 +1,37 @@
+const logger = require('../../config/logger');
+const { getUserContact } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+
+/**
+ * milestone.reached: tell the client about their progress
+ */
+async function handle(data, deps) {
+  logger.info('Handling milestone.reached event', data);
+
+  const { client_id, milestone_type, achieved_value, previous_value } = data;
+
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for milestone notification`);
+  }
+
+  const content = renderTemplate('milestone_reached', { client, milestone_type, achieved_value, previous_value }, { locale: resolveLocale(client) });
+
+  await deps.dispatchNotification(client_id, client, 'achievement', content, {
+    type: 'milestone',
+    metadata: data
+  });
+}
+
+module.exports = {
+  channel: 'milestone.reached',
+  schema: {
+    client_id: { type: 'id', required: true },
+    milestone_type: { type: 'string', required: true },
+    achieved_value: { type: 'number', required: true },
+    previous_value: { type: 'number' }
+  },
+  keyFields: ['client_id', 'milestone_type', 'achieved_value'],
+  handle
+};
@@ -0,0 +1,44 @@
+const logger = require('../../config/logger');
+const { getUserContact, getProgramDetails } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+
+/**
+ * program.assigned: tell the client about their new program
+ */
+async function handle(data, deps) {
+  logger.info('Handling program.assigned event', data);
+
+  const { program_id, client_id, workout_plan_id, diet_plan_id } = data;
+
+  // Fetch client contact info
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for program notification`);
+  }
+
+  // Fetch program details
+  const program = await getProgramDetails(program_id);
+
+  const content = renderTemplate('program_assigned', { client, program_name: program && program.name }, { locale: resolveLocale(client) });
+
+  const { email } = await deps.dispatchNotification(client_id, client, 'program_assigned', content, {
+    type: 'program_assigned',
+    metadata: { program_id, workout_plan_id, diet_plan_id }
+  });
+
+  logger.info(`Program assignment processed for client ${client_id} (email ${email.success ? 'sent' : 'not sent'})`);
+}
+
+module.exports = {
+  channel: 'program.assigned',
+  schema: {
+    program_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' },
+    workout_plan_id: { type: 'id' },
+    diet_plan_id: { type: 'id' }
+  },
+  keyFields: ['program_id', 'client_id'],
+  handle
+};
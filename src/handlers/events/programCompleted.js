@@ -0,0 +1,52 @@
+const logger = require('../../config/logger');
+const { getUserContact, getProgramDetails } = require('../../utils/httpClient');
+const { renderTemplate } = require('../../templates');
+const { resolveLocale } = require('../../utils/i18n');
+const { notifyTrainer } = require('../trainer');
+
+/**
+ * program.completed: congratulate the client and tell the trainer
+ */
+async function handle(data, deps) {
+  logger.info('Handling program.completed event', data);
+
+  const { program_id, client_id, trainer_id } = data;
+
+  const client = await getUserContact(client_id);
+  if (!client) {
+    throw new Error(`Could not fetch client ${client_id} for program completion`);
+  }
+
+  const content = renderTemplate('program_completed', { client }, { locale: resolveLocale(client) });
+
+  await deps.dispatchNotification(client_id, client, 'program_assigned', content, {
+    type: 'program_completed',
+    metadata: { program_id }
+  });
+
+  if (trainer_id) {
+    const program = await getProgramDetails(program_id);
+    await notifyTrainer(deps, {
+      trainerId: trainer_id,
+      client,
+      template: 'trainer_program_completed',
+      category: 'trainer_client_progress',
+      data: { program_name: program && program.name },
+      notification: {
+        type: 'trainer_program_completed',
+        metadata: { program_id, client_id }
+      }
+    });
+  }
+}
+
+module.exports = {
+  channel: 'program.completed',
+  schema: {
+    program_id: { type: 'id', required: true },
+    client_id: { type: 'id', required: true },
+    trainer_id: { type: 'id' }
+  },
+  keyFields: ['program_id', 'client_id'],
+  handle
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Event handler registry.
+ *
+ * Every module in ./events handles one event channel and exports
+ *   { channel, schema?, keyFields?, handle(payload, deps, meta) }
+ * `schema` is checked before the handler runs (see events/schemas.js) and
+ * `keyFields` lists the payload fields that identify the event for
+ * deduplication (see events/eventKey.js).
+ * `deps` is what the service wires in, such as `dispatchNotification`, so a
+ * handler can be called directly with fakes.
+ *
+ * The modules in ./events are registered on load; adding an event type means
+ * adding a module there. registerEventHandler adds handlers from elsewhere,
+ * before the service builds its event processor.
+ */
+const EVENTS_DIR = path.join(__dirname, 'events');
+
+const registry = new Map();
+
+function registerEventHandler(definition) {
+  const { channel, handle } = definition || {};
+  if (typeof channel !== 'string' || !channel) {
+    throw new Error('Event handler must declare a channel');
+  }
+  if (typeof handle !== 'function') {
+    throw new Error(`Event handler for ${channel} must export handle()`);
+  }
+  if (registry.has(channel)) {
+    throw new Error(`An event handler for ${channel} is already registered`);
+  }
+
+  registry.set(channel, definition);
+  return definition;
+}
+
+/**
+ * Register every handler module in `dir`
+ */
+function loadEventHandlers(dir = EVENTS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => registerEventHandler(require(path.join(dir, file))));
+}
+
+function getEventHandler(channel) {
+  return registry.get(channel) || null;
+}
+
+function listEventChannels() {
+  return [...registry.keys()];
+}
+
+/**
+ * Handler functions by channel, with `deps` bound, for the event processor
+ */
+function createEventHandlers(deps = {}) {
+  const handlers = {};
+  for (const [channel, definition] of registry) {
+    handlers[channel] = (payload, meta) => definition.handle(payload, deps, meta);
+  }
+  return handlers;
+}
+
+/**
+ * Payload schemas by channel, for channels that declare one
+ */
+function getEventSchemas() {
+  const schemas = {};
+  for (const [channel, definition] of registry) {
+    if (definition.schema) schemas[channel] = definition.schema;
+  }
+  return schemas;
+}
+
+loadEventHandlers();
+
+module.exports = {
+  registerEventHandler,
+  loadEventHandlers,
+  getEventHandler,
+  listEventChannels,
+  createEventHandlers,
+  getEventSchemas
+};
@@ -0,0 +1,31 @@
+const { getUserContact } = require('../utils/httpClient');
+const { renderTemplate } = require('../templates');
+const { resolveLocale } = require('../utils/i18n');
+
+/**
+ * Full name of a contact for copy addressed to someone else, or null
+ */
+function contactName(contact) {
+  if (!contact) return null;
+  return [contact.first_name, contact.last_name].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Tell a trainer about something one of their clients did, with trainer copy
+ * in the trainer's locale under a trainer preference category.
+ * Does nothing for events without a trainer.
+ */
+async function notifyTrainer({ dispatchNotification }, { trainerId, client, template, category, data, notification }) {
+  if (!trainerId) return null;
+
+  const trainer = await getUserContact(trainerId);
+  if (!trainer) {
+    throw new Error(`Could not fetch trainer ${trainerId} for ${notification.type} notification`);
+  }
+
+  const content = renderTemplate(template, { ...data, trainer, client_name: contactName(client) }, { locale: resolveLocale(trainer) });
+
+  return dispatchNotification(trainerId, trainer, category, content, notification);
+}
+
+module.exports = { contactName, notifyTrainer };
@@ -0,0 +1,88 @@
+const { DEGRADED } = require('./index');
+const { checkCollections } = require('../storage');
+const { verifyTransport, getEmailConfig } = require('../channels/email');
+const { pingService } = require('../utils/httpClient');
+
+/**
+ * The Redis connection and the event consumer's subscriptions. Takes getters
+ * because both are created at startup.
+ */
+function redisCheck({ getClient, getConsumer }) {
+  return {
+    name: 'redis',
+    critical: true,
+
+    async run() {
+      const client = getClient();
+      if (!client || !client.isReady) {
+        throw new Error('Redis connection is not ready');
+      }
+
+      const consumer = getConsumer();
+      const status = consumer ? consumer.status() : null;
+      if (!status || !status.running) {
+        throw new Error('Event consumer is not running');
+      }
+
+      // A connection in pub/sub mode only accepts subscription commands
+      if (consumer.mode === 'streams') {
+        await client.ping();
+      }
+
+      const details = { mode: consumer.mode, channels: status.channels, subscribed: status.subscribed };
+      if (status.subscribed < status.channels) {
+        return { ...details, status: DEGRADED, reason: 'Not subscribed to every event channel' };
+      }
+      if (status.last_error) {
+        return {
+          ...details,
+          status: DEGRADED,
+          reason: `Last stream read failed: ${status.last_error.message}`,
+          last_error_at: status.last_error.at
+        };
+      }
+      return details;
+    }
+  };
+}
+
+/**
+ * The notification store and the record collections
+ */
+function storageCheck(store) {
+  return {
+    name: 'storage',
+    critical: true,
+
+    async run() {
+      const details = await store.check();
+      return { ...details, collections: await checkCollections() };
+    }
+  };
+}
+
+function emailCheck() {
+  return {
+    name: 'email',
+    cached: true,
+
+    async run() {
+      await verifyTransport();
+      return { mode: getEmailConfig().mode };
+    }
+  };
+}
+
+/**
+ * A downstream service from utils/httpClient
+ */
+function serviceCheck(service, { timeoutMs }) {
+  return {
+    name: `${service}_service`,
+    cached: true,
+
+    run: () => pingService(service, { timeout: timeoutMs })
+  };
+}
+
+module.exports = { redisCheck, storageCheck, emailCheck, serviceCheck };
@@ -0,0 +1,103 @@
+const logger = require('../config/logger');
+
+/**
+ * Readiness checks.
+ *
+ * A check is { name, critical, cached, run() }: run resolves to details about
+ * the dependency, optionally with its own `status`, and throws when the
+ * dependency is down. Every result carries its latency, and a healthy check
+ * slower than HEALTH_SLOW_MS is reported as degraded. Checks with `cached`
+ * reuse their last result for HEALTH_CACHE_MS so frequent probes do not
+ * hammer remote servers.
+ *
+ * The overall status is unhealthy when a critical check fails, so the pod is
+ * taken out of rotation. A failing non-critical check only degrades it: that
+ * work is retried, and an outage elsewhere affects every pod alike.
+ */
+const HEALTHY = 'healthy';
+const DEGRADED = 'degraded';
+const UNHEALTHY = 'unhealthy';
+
+function getHealthConfig() {
+  return {
+    timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000,
+    slowMs: parseInt(process.env.HEALTH_SLOW_MS, 10) || 1000,
+    cacheMs: parseInt(process.env.HEALTH_CACHE_MS, 10) || 15000
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createHealthChecker({ checks, config = getHealthConfig(), now = Date.now }) {
+  const cache = new Map();
+  const lastStatus = new Map();
+
+  async function runCheck(check) {
+    const cached = cache.get(check.name);
+    if (check.cached && cached && now() - cached.at < config.cacheMs) {
+      return cached.result;
+    }
+
+    const start = now();
+    let result;
+    try {
+      const details = await withTimeout(Promise.resolve().then(() => check.run()), config.timeoutMs);
+      const latency = now() - start;
+      result = { status: HEALTHY, ...details, latency_ms: latency };
+      if (result.status === HEALTHY && latency > config.slowMs) {
+        result = { ...result, status: DEGRADED, reason: `Responded in ${latency}ms` };
+      }
+    } catch (error) {
+      result = { status: UNHEALTHY, error: error.message, latency_ms: now() - start };
+    }
+    result.critical = Boolean(check.critical);
+
+    if (lastStatus.has(check.name) && lastStatus.get(check.name) !== result.status) {
+      const log = result.status === HEALTHY ? logger.info : logger.warn;
+      log(`Health check ${check.name} is now ${result.status}${result.error ? `: ${result.error}` : ''}`);
+    }
+    lastStatus.set(check.name, result.status);
+
+    if (check.cached) {
+      cache.set(check.name, { at: now(), result });
+    }
+    return result;
+  }
+
+  /**
+   * Run every check and combine them into { status, checks }
+   */
+  async function run() {
+    const results = await Promise.all(checks.map(runCheck));
+
+    let status = HEALTHY;
+    const byName = {};
+    checks.forEach((check, i) => {
+      const result = results[i];
+      byName[check.name] = result;
+      if (result.status === UNHEALTHY && result.critical) {
+        status = UNHEALTHY;
+      } else if (result.status !== HEALTHY && status === HEALTHY) {
+        status = DEGRADED;
+      }
+    });
+
+    return { status, checks: byName };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  HEALTHY,
+  DEGRADED,
+  UNHEALTHY,
+  getHealthConfig,
+  createHealthChecker
+};
@@ -4,18 +4,76 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { createClient } = require('redis');
 const logger = require('./config/logger');
-const { getUserContact, getProgramDetails, getBookingDetails } = require('./utils/httpClient');
+const { getUsersBatch } = require('./utils/httpClient');
+const {
+  createNotificationStore,
+  initCollections,
+  closeCollections
+} = require('./storage');
+const { initTemplates } = require('./templates');
+const { listPreferenceUserIds } = require('./preferences');
+const { MAX_ATTEMPTS: JOB_MAX_ATTEMPTS, registerJobHandler, startScheduler, stopScheduler } = require('./scheduler');
+const { createEventConsumer, createEventProcessor, createInstanceLock } = require('./events');
+const { createEventHandlers, getEventSchemas } = require('./handlers');
+const asyncHandler = require('./utils/asyncHandler');
+const { registry: metricsRegistry, trackStoreSize } = require('./metrics');
+const requireUser = require('./middleware/requireUser');
+const { checkAuthConfig } = require('./auth');
+const { createDeadLetterRouter } = require('./routes/deadLetters');
+const { createQuarantineRouter } = require('./routes/quarantine');
+const { createStreamRouter, acceptQueryToken } = require('./routes/stream');
+const { createNotificationHub } = require('./realtime/hub');
+const { createPushRouter } = require('./routes/push');
+const { createNotificationRouter } = require('./routes/notifications');
+const { createPreferenceRouter } = require('./routes/preferences');
+const { createDeliveryRouter } = require('./routes/deliveries');
+const { createBroadcastRouter } = require('./routes/broadcasts');
+const { createHealthRouter } = require('./routes/health');
+const { createHealthChecker, getHealthConfig } = require('./health');
+const { redisCheck, storageCheck, emailCheck, serviceCheck } = require('./health/checks');
+const { createRequestTracker, createShutdown } = require('./shutdown');
+const { JOB_TYPE: BROADCAST_JOB, runBroadcast } = require('./broadcasts');
+const { JOB_TYPE: DEFERRED_JOB, releaseDelivery } = require('./deferrals');
+const { JOB_TYPE: DIGEST_JOB, runDigest } = require('./digests');
+const { createDispatcher } = require('./dispatch');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
 
-// In-memory notification store (replace with database in production)
-const notifications = new Map();
+// Notification store (backend selected by NOTIFICATION_STORE)
+const store = createNotificationStore();
+const hub = createNotificationHub({ store });
+trackStoreSize(store);
 
-// Redis client for subscribing
+// Redis client for consuming events (pub/sub or streams)
 let redisSubscriber;
+let eventConsumer;
+
+// Held while this instance consumes events; only one instance may run
+let instanceLock;
+
+// HTTP server, once listening
+let server;
+
+// 'starting' until startup completes, then 'running'; 'stopping' on shutdown
+let serviceState = 'starting';
+
+// Open HTTP responses, drained on shutdown
+const requestTracker = createRequestTracker();
+
+const healthConfig = getHealthConfig();
+const healthChecker = createHealthChecker({
+  config: healthConfig,
+  checks: [
+    redisCheck({ getClient: () => redisSubscriber, getConsumer: () => eventConsumer }),
+    storageCheck(store),
+    emailCheck(),
+    ...['user', 'training', 'schedule'].map(service => serviceCheck(service, healthConfig))
+  ]
+});
 
 // Middleware
+app.use(requestTracker.middleware);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -26,298 +84,64 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'notification-service',
-    timestamp: new Date().toISOString()
-  });
-});
+// Liveness and readiness probes
+app.use('/health', createHealthRouter({ checker: healthChecker, getState: () => serviceState }));
 
-// Mock email sending
-async function sendEmail(to, subject, body) {
-  // In production, use nodemailer with real SMTP
-  logger.info(`[MOCK EMAIL] To: ${to}, Subject: ${subject}`);
-  logger.info(`[MOCK EMAIL] Body: ${body}`);
-  return true;
-}
+// Prometheus metrics
+app.get('/metrics', asyncHandler(async (req, res) => {
+  res.set('Content-Type', metricsRegistry.contentType);
+  res.send(await metricsRegistry.metrics());
+}));
 
-// Mock SMS sending
-async function sendSMS(to, message) {
-  logger.info(`[MOCK SMS] To: ${to}, Message: ${message}`);
-  return true;
-}
+// Notification fan-out over every channel
+const dispatcher = createDispatcher({ store, hub });
+const { dispatchNotification } = dispatcher;
 
-// Store notification
-function storeNotification(userId, notification) {
-  if (!notifications.has(userId)) {
-    notifications.set(userId, []);
-  }
-  notifications.get(userId).push({
-    id: Date.now().toString(),
-    ...notification,
-    read_at: null,
-    created_at: new Date()
-  });
-}
+registerJobHandler(DEFERRED_JOB, payload => releaseDelivery(payload, { send: dispatcher.send }));
 
-// Event handlers
-async function handleBookingCreated(data) {
-  logger.info('Handling booking.created event', data);
-
-  const { booking_id, client_id, trainer_id, booking_date, start_time } = data;
-
-  // Send confirmation to client
-  await sendEmail(
-    `client-${client_id}@fitsync.com`,
-    'Booking Confirmation',
-    `Your booking for ${booking_date} at ${start_time} has been confirmed. Booking ID: ${booking_id}`
-  );
-
-  // Store in-app notification
-  storeNotification(client_id, {
-    type: 'booking_confirmation',
-    category: 'booking_confirmation',
-    title: 'Booking Confirmed',
-    message: `Your session on ${booking_date} at ${start_time} has been booked successfully.`,
-    metadata: { booking_id, booking_date, start_time }
-  });
-
-  logger.info(`Booking confirmation sent to client ${client_id}`);
-}
-
-async function handleBookingCancelled(data) {
-  logger.info('Handling booking.cancelled event', data);
-
-  const { booking_id, client_id, reason } = data;
-
-  await sendEmail(
-    `client-${client_id}@fitsync.com`,
-    'Booking Cancelled',
-    `Your booking has been cancelled. ${reason ? `Reason: ${reason}` : ''}`
-  );
-
-  storeNotification(client_id, {
-    type: 'booking_cancellation',
-    category: 'booking_reminder',
-    title: 'Booking Cancelled',
-    message: `Your booking has been cancelled. ${reason || ''}`,
-    metadata: { booking_id }
-  });
+// Users this service knows about, for broadcasts addressed to a segment
+async function listKnownUsers() {
+  return [...new Set([...await store.userIds(), ...listPreferenceUserIds()])];
 }
 
-async function handleProgramAssigned(data) {
-  logger.info('Handling program.assigned event', data);
-
-  const { program_id, client_id, trainer_id, workout_plan_id, diet_plan_id } = data;
-
-  // Fetch client contact info
-  const client = await getUserContact(client_id);
-  if (!client) {
-    logger.error(`Could not fetch client ${client_id} for program notification`);
-    return;
-  }
-
-  // Fetch program details
-  const program = await getProgramDetails(program_id);
-  const programName = program ? program.name || 'Training Program' : 'Training Program';
-
-  await sendEmail(
-    client.email,
-    'New Training Program Assigned',
-    `Hi ${client.first_name},\n\nYour trainer has assigned you a new program: ${programName}\n\nLog in to view your program details and get started!`
-  );
-
-  storeNotification(client_id, {
-    type: 'program_assigned',
-    category: 'program_assigned',
-    title: 'New Program Assigned',
-    message: `Your trainer assigned you: ${programName}`,
-    metadata: { program_id, workout_plan_id, diet_plan_id }
-  });
-
-  logger.info(`Program assignment notification sent to client ${client_id}`);
-}
-
-async function handleAchievementEarned(data) {
-  logger.info('Handling achievement.earned event', data);
-
-  const { achievement_id, client_id, type, title, description } = data;
-
-  // Fetch client contact info
-  const client = await getUserContact(client_id);
-  if (!client) {
-    logger.error(`Could not fetch client ${client_id} for achievement notification`);
-    return;
-  }
-
-  await sendEmail(
-    client.email,
-    '🎉 Achievement Unlocked!',
-    `Congratulations ${client.first_name}!\n\nYou've earned a new achievement: ${title}\n\n${description || ''}\n\nKeep up the great work!`
-  );
-
-  storeNotification(client_id, {
-    type: 'achievement',
-    category: 'achievement',
-    title: 'Achievement Unlocked!',
-    message: `Congratulations! You've earned: ${title}`,
-    metadata: { achievement_id, type }
-  });
-}
-
-async function handleProgramCompleted(data) {
-  logger.info('Handling program.completed event', data);
-
-  const { program_id, client_id, trainer_id } = data;
-
-  const client = await getUserContact(client_id);
-  if (!client) return;
-
-  await sendEmail(
-    client.email,
-    'Program Completed!',
-    `Congratulations ${client.first_name}!\n\nYou've successfully completed your training program!\n\nGreat work on finishing your program. Keep up the momentum!`
-  );
-
-  storeNotification(client_id, {
-    type: 'program_completed',
-    category: 'program_assigned',
-    title: 'Program Completed!',
-    message: 'Congratulations on completing your training program!',
-    metadata: { program_id }
-  });
-}
-
-async function handleBookingCompleted(data) {
-  logger.info('Handling booking.completed event', data);
-
-  const { booking_id, client_id, trainer_id, workout_date } = data;
-
-  const client = await getUserContact(client_id);
-  if (!client) return;
-
-  await sendEmail(
-    client.email,
-    'Session Completed',
-    `Hi ${client.first_name},\n\nYour training session on ${workout_date} has been marked as complete.\n\nYou can now log your workout details and track your progress!`
-  );
-
-  storeNotification(client_id, {
-    type: 'booking_completed',
-    category: 'booking_confirmation',
-    title: 'Session Completed',
-    message: `Your training session on ${workout_date} is complete. Log your workout!`,
-    metadata: { booking_id }
-  });
-}
-
-async function handleMilestoneReached(data) {
-  logger.info('Handling milestone.reached event', data);
-
-  const { client_id, milestone_type, achieved_value, previous_value } = data;
-
-  const client = await getUserContact(client_id);
-  if (!client) return;
-
-  await sendEmail(
-    client.email,
-    '🎯 Milestone Achieved!',
-    `Congratulations ${client.first_name}!\n\nYou've reached a new milestone:\n${milestone_type}: ${achieved_value}\n\nProgress from: ${previous_value} → ${achieved_value}\n\nKeep up the amazing work!`
-  );
-
-  storeNotification(client_id, {
-    type: 'milestone',
-    category: 'achievement',
-    title: 'Milestone Achieved!',
-    message: `You've reached: ${milestone_type}`,
-    metadata: data
-  });
-}
-
-// API Endpoints
-
-app.get('/api/notifications', (req, res) => {
-  const userId = req.query.user_id;
-
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'MISSING_USER_ID', message: 'user_id query parameter required' }
-    });
-  }
-
-  const userNotifications = notifications.get(userId) || [];
-  res.json({ success: true, data: userNotifications });
-});
-
-app.put('/api/notifications/:id/read', (req, res) => {
-  const { id } = req.params;
-  const userId = req.query.user_id;
-
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'MISSING_USER_ID', message: 'user_id query parameter required' }
-    });
-  }
-
-  const userNotifications = notifications.get(userId) || [];
-  const notification = userNotifications.find(n => n.id === id);
-
-  if (!notification) {
-    return res.status(404).json({
-      success: false,
-      error: { code: 'NOT_FOUND', message: 'Notification not found' }
-    });
-  }
-
-  notification.read_at = new Date();
-  res.json({ success: true, data: notification });
+registerJobHandler(BROADCAST_JOB, (payload, job) => runBroadcast(payload.broadcast_id, {
+  fetchUsers: getUsersBatch,
+  listKnownUsers,
+  deliver: dispatcher.deliverBroadcast,
+  lastAttempt: job.attempts + 1 >= JOB_MAX_ATTEMPTS
+}));
+
+registerJobHandler(DIGEST_JOB, payload => runDigest(payload.user_id, {
+  send: (items, digestId) => dispatcher.sendDigest(payload.user_id, items, digestId, payload.frequency),
+  frequency: payload.frequency,
+  timezone: payload.timezone
+}));
+
+registerJobHandler('booking_reminder', dispatcher.sendBookingReminder);
+
+// Event handlers from the registry, validated, retried with backoff, then dead-lettered
+const eventProcessor = createEventProcessor({
+  handlers: createEventHandlers({ dispatchNotification }),
+  schemas: getEventSchemas()
 });
 
-app.delete('/api/notifications/:id', (req, res) => {
-  const { id } = req.params;
-  const userId = req.query.user_id;
-
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'MISSING_USER_ID', message: 'user_id query parameter required' }
-    });
-  }
-
-  const userNotifications = notifications.get(userId);
-  if (userNotifications) {
-    const index = userNotifications.findIndex(n => n.id === id);
-    if (index !== -1) {
-      userNotifications.splice(index, 1);
-      return res.json({ success: true, message: 'Notification deleted' });
-    }
-  }
-
-  res.status(404).json({
-    success: false,
-    error: { code: 'NOT_FOUND', message: 'Notification not found' }
-  });
-});
+// API Endpoints
 
-app.get('/api/notifications/unread/count', (req, res) => {
-  const userId = req.query.user_id;
+app.use('/api/notifications/stream', acceptQueryToken);
+app.use('/api/notifications', requireUser);
+app.use('/api/preferences', requireUser);
+app.use('/api/push', requireUser);
+app.use('/api/notifications/stream', createStreamRouter({ hub, store }));
+app.use('/api/push', createPushRouter());
 
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: { code: 'MISSING_USER_ID', message: 'user_id query parameter required' }
-    });
-  }
+app.use('/api/notifications', createNotificationRouter({ store, hub }));
 
-  const userNotifications = notifications.get(userId) || [];
-  const unreadCount = userNotifications.filter(n => !n.read_at).length;
+app.use('/api/preferences', createPreferenceRouter());
 
-  res.json({ success: true, data: { count: unreadCount } });
-});
+app.use('/api/admin/dead-letters', createDeadLetterRouter({ processor: eventProcessor }));
+app.use('/api/admin/quarantine', createQuarantineRouter());
+app.use('/api/admin/deliveries', createDeliveryRouter());
+app.use('/api/admin/broadcasts', createBroadcastRouter());
 
 // 404 handler
 app.use((req, res) => {
@@ -330,6 +154,10 @@ app.use((req, res) => {
 // Error handler
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
+  // Streams have already sent their headers; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
   res.status(500).json({
     success: false,
     error: { code: 'INTERNAL_ERROR', message: 'An unexpected error occurred', timestamp: new Date().toISOString() }
@@ -339,6 +167,14 @@ app.use((err, req, res, next) => {
 // Start server and subscribe to events
 async function startServer() {
   try {
+    // Fail fast on missing or broken templates
+    initTemplates();
+    checkAuthConfig();
+
+    await store.init();
+    await initCollections();
+    logger.info(`Notification store ready (${store.name})`);
+
     // Create Redis subscriber
     redisSubscriber = createClient({
       url: process.env.REDIS_URL || 'redis://localhost:6379'
@@ -349,20 +185,25 @@ async function startServer() {
     });
 
     await redisSubscriber.connect();
+    // Shutdown began while connecting; it owns the connection from here
+    if (serviceState === 'stopping') return;
     logger.info('Redis subscriber connected');
 
-    // Subscribe to all events
-    await redisSubscriber.subscribe('booking.created', handleBookingCreated);
-    await redisSubscriber.subscribe('booking.cancelled', handleBookingCancelled);
-    await redisSubscriber.subscribe('booking.completed', handleBookingCompleted);
-    await redisSubscriber.subscribe('program.assigned', handleProgramAssigned);
-    await redisSubscriber.subscribe('program.completed', handleProgramCompleted);
-    await redisSubscriber.subscribe('achievement.earned', handleAchievementEarned);
-    await redisSubscriber.subscribe('milestone.reached', handleMilestoneReached);
+    instanceLock = createInstanceLock({ client: redisSubscriber, onLost: () => shutdown('INSTANCE_LOCK_LOST') });
+    await instanceLock.acquire();
+    if (serviceState === 'stopping') return;
 
-    logger.info('Subscribed to all Redis event channels');
+    eventConsumer = createEventConsumer({ client: redisSubscriber, handlers: eventProcessor.handlers });
+    await eventConsumer.start();
+    logger.info(`Event consumer started (${eventConsumer.mode})`);
+    if (serviceState === 'stopping') return;
 
-    app.listen(PORT, () => {
+    startScheduler();
+
+    server = app.listen(PORT, () => {
+      if (serviceState === 'starting') {
+        serviceState = 'running';
+      }
       logger.info(`Notification Service running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
@@ -372,14 +213,45 @@ async function startServer() {
   }
 }
 
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM signal received: closing connections');
-  if (redisSubscriber) {
-    await redisSubscriber.quit();
+// Stop taking work, drain what is in flight, then flush storage and exit
+const shutdown = createShutdown({
+  async stopIntake() {
+    serviceState = 'stopping';
+    requestTracker.close();
+    if (server) {
+      server.close();
+    }
+    // Open streams would hold the drain until the deadline
+    hub.closeAll();
+    await Promise.all([eventConsumer && eventConsumer.stop(), stopScheduler()]);
+  },
+
+  pending: () => ({
+    event_handlers: eventConsumer ? eventConsumer.inFlight() : 0,
+    http_responses: requestTracker.active()
+  }),
+
+  async flush() {
+    await store.close();
+    await closeCollections();
+    if (server) {
+      server.closeAllConnections();
+    }
+    if (instanceLock) {
+      await instanceLock.release();
+    }
+    // QUIT cannot be sent while the client is still reconnecting
+    if (redisSubscriber && redisSubscriber.isReady) {
+      await redisSubscriber.quit();
+    } else if (redisSubscriber && redisSubscriber.isOpen) {
+      await redisSubscriber.disconnect();
+    }
   }
-  process.exit(0);
 });
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
 
 module.exports = app;
@@ -0,0 +1,113 @@
+const client = require('prom-client');
+
+/**
+ * Service metrics, exposed in Prometheus format at GET /metrics
+ */
+const registry = new client.Registry();
+const registers = [registry];
+
+const eventsReceived = new client.Counter({
+  name: 'notification_events_received_total',
+  help: 'Events received, per Redis channel',
+  labelNames: ['channel'],
+  registers
+});
+
+const eventsHandled = new client.Counter({
+  name: 'notification_events_handled_total',
+  help: 'Events handled successfully, per Redis channel',
+  labelNames: ['channel'],
+  registers
+});
+
+const eventsFailed = new client.Counter({
+  name: 'notification_events_failed_total',
+  help: 'Events that were not handled, per Redis channel and reason (invalid, dead_lettered)',
+  labelNames: ['channel', 'reason'],
+  registers
+});
+
+const eventsDuplicate = new client.Counter({
+  name: 'notification_events_duplicate_total',
+  help: 'Redelivered events skipped by deduplication, per Redis channel',
+  labelNames: ['channel'],
+  registers
+});
+
+const handlerDuration = new client.Histogram({
+  name: 'notification_handler_duration_seconds',
+  help: 'Event handler run time per attempt, per Redis channel and outcome',
+  labelNames: ['channel', 'outcome'],
+  registers
+});
+
+const deliveries = new client.Counter({
+  name: 'notification_deliveries_total',
+  help: 'Delivery attempts, per channel and outcome (queued, sent, failed, suppressed)',
+  labelNames: ['channel', 'status'],
+  registers
+});
+
+const httpClientDuration = new client.Histogram({
+  name: 'notification_http_client_request_duration_seconds',
+  help: 'Downstream service call duration, per service and outcome',
+  labelNames: ['service', 'outcome'],
+  registers
+});
+
+const httpClientErrors = new client.Counter({
+  name: 'notification_http_client_errors_total',
+  help: 'Failed downstream service calls, per service and error code (HTTP status or network error)',
+  labelNames: ['service', 'code'],
+  registers
+});
+
+// The store whose size is reported, set by trackStoreSize
+let trackedStore = null;
+
+const storeSize = new client.Gauge({
+  name: 'notification_store_notifications',
+  help: 'Notifications currently held in the notification store',
+  registers,
+  async collect() {
+    if (trackedStore) this.set(await trackedStore.size());
+  }
+});
+
+/**
+ * Report the size of `store` on every scrape
+ */
+function trackStoreSize(store) {
+  trackedStore = store;
+}
+
+/**
+ * Time a downstream call to `service`, counting it as an error when it throws
+ */
+async function timeHttpCall(service, call) {
+  const end = httpClientDuration.startTimer({ service });
+  try {
+    const result = await call();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    httpClientErrors.inc({ service, code: (error.response && error.response.status) || error.code || 'unknown' });
+    throw error;
+  }
+}
+
+module.exports = {
+  registry,
+  eventsReceived,
+  eventsHandled,
+  eventsFailed,
+  eventsDuplicate,
+  handlerDuration,
+  deliveries,
+  httpClientDuration,
+  httpClientErrors,
+  storeSize,
+  trackStoreSize,
+  timeHttpCall
+};
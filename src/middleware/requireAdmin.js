@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { isAuthConfigured, authenticateToken, getBearerToken, TokenError } = require('../auth');
+
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function reject(res, status, code, message) {
+  return res.status(status).json({ success: false, error: { code, message } });
+}
+
+/**
+ * Allow only requests carrying the admin API key in `X-Admin-Key`, or a
+ * bearer JWT with the admin role. Key access is disabled when ADMIN_API_KEY
+ * is not set.
+ */
+async function requireAdmin(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (token && isAuthConfigured()) {
+    let principal;
+    try {
+      principal = await authenticateToken(token);
+    } catch (error) {
+      if (error instanceof TokenError) {
+        return reject(res, 401, error.code, error.message);
+      }
+      return next(error);
+    }
+
+    if (!principal.isAdmin) {
+      return reject(res, 403, 'FORBIDDEN', 'Admin role required');
+    }
+    req.auth = principal;
+    return next();
+  }
+
+  const expected = process.env.ADMIN_API_KEY;
+
+  if (!expected) {
+    return reject(res, 403, 'ADMIN_DISABLED', 'Admin API is not configured');
+  }
+
+  // Compare fixed-length digests, so neither the key length nor multibyte
+  // input changes how the comparison runs
+  const provided = req.get('x-admin-key') || '';
+  const valid = crypto.timingSafeEqual(digest(provided), digest(expected));
+
+  if (!valid) {
+    return reject(res, 401, 'UNAUTHORIZED', 'Valid admin credentials required');
+  }
+
+  next();
+}
+
+module.exports = requireAdmin;
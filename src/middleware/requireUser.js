@@ -0,0 +1,57 @@
+const { isAuthConfigured, authenticateToken, getBearerToken, TokenError } = require('../auth');
+
+function reject(res, status, code, message) {
+  return res.status(status).json({ success: false, error: { code, message } });
+}
+
+/**
+ * Require a valid bearer JWT and set `req.auth` (the principal) and
+ * `req.userId` (whose notifications the request acts on).
+ *
+ * Users act on their own notifications; a `user_id` query parameter naming
+ * anyone else is refused. Admin tokens act on the user named by `user_id`.
+ */
+async function requireUser(req, res, next) {
+  if (!isAuthConfigured()) {
+    return reject(res, 403, 'AUTH_DISABLED', 'Authentication is not configured');
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return reject(res, 401, 'UNAUTHORIZED', 'Bearer token required');
+  }
+
+  let principal;
+  try {
+    principal = await authenticateToken(token);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return reject(res, 401, error.code, error.message);
+    }
+    return next(error);
+  }
+
+  const requested = req.query.user_id ? String(req.query.user_id) : null;
+  let userId;
+
+  if (principal.isAdmin) {
+    userId = requested || principal.userId;
+    if (!userId) {
+      return reject(res, 400, 'MISSING_USER_ID', 'user_id query parameter required for service tokens');
+    }
+  } else {
+    if (!principal.userId) {
+      return reject(res, 401, 'INVALID_TOKEN', 'Token does not identify a user');
+    }
+    if (requested && requested !== principal.userId) {
+      return reject(res, 403, 'FORBIDDEN', 'Cannot access another user\'s notifications');
+    }
+    userId = principal.userId;
+  }
+
+  req.auth = principal;
+  req.userId = userId;
+  next();
+}
+
+module.exports = requireUser;
@@ -0,0 +1,67 @@
+/**
+ * Notification categories and their delivery defaults.
+ *
+ * `audience` is who the category is sent to: `client`, `trainer` or `all` users.
+ * `locked` channels are always on for a category and cannot be disabled.
+ * `digestible` categories may be batched into a daily or weekly digest email.
+ */
+const CHANNELS = ['email', 'sms', 'in_app', 'push'];
+
+const CATEGORIES = {
+  booking_confirmation: {
+    description: 'Booking confirmations and completed sessions',
+    audience: 'client',
+    transactional: true,
+    defaults: { email: true, sms: true, in_app: true, push: true },
+    locked: ['email', 'in_app']
+  },
+  booking_reminder: {
+    description: 'Session reminders and cancellations',
+    audience: 'client',
+    transactional: true,
+    defaults: { email: true, sms: true, in_app: true, push: true },
+    locked: ['in_app']
+  },
+  program_assigned: {
+    description: 'Training programs assigned or completed',
+    audience: 'client',
+    transactional: false,
+    defaults: { email: true, sms: false, in_app: true, push: true },
+    locked: ['in_app']
+  },
+  achievement: {
+    description: 'Achievements and milestones',
+    audience: 'client',
+    transactional: false,
+    digestible: true,
+    defaults: { email: true, sms: false, in_app: true, push: true },
+    locked: []
+  },
+  announcement: {
+    description: 'Announcements from the gym: closures, new classes, app updates',
+    audience: 'all',
+    transactional: false,
+    defaults: { email: true, sms: false, in_app: true, push: false },
+    locked: []
+  },
+  trainer_booking: {
+    description: 'Sessions your clients booked, cancelled or completed',
+    audience: 'trainer',
+    transactional: false,
+    defaults: { email: true, sms: false, in_app: true, push: true },
+    locked: ['in_app']
+  },
+  trainer_client_progress: {
+    description: 'Programs your clients completed',
+    audience: 'trainer',
+    transactional: false,
+    defaults: { email: true, sms: false, in_app: true, push: true },
+    locked: []
+  }
+};
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DIGESTIBLE_CATEGORIES = Object.keys(CATEGORIES).filter(category => CATEGORIES[category].digestible);
+
+module.exports = { CHANNELS, CATEGORIES, DIGEST_FREQUENCIES, DIGESTIBLE_CATEGORIES };
@@ -0,0 +1,217 @@
+const { getCollection } = require('../storage');
+const { CHANNELS, CATEGORIES, DIGEST_FREQUENCIES, DIGESTIBLE_CATEGORIES } = require('./categories');
+const { isValidTimezone, parseTime, quietHoursEnd } = require('./quietHours');
+
+/**
+ * Per-user notification preferences.
+ * Only a user's overrides are stored; defaults and locked channels come from
+ * the category definitions.
+ */
+const preferences = getCollection('preferences');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+class PreferenceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PreferenceError';
+    this.code = code;
+  }
+}
+
+function storedFor(userId) {
+  return preferences.get(userId) || { categories: {} };
+}
+
+/**
+ * Effective channel settings for one category
+ */
+function resolveCategory(stored, category) {
+  const definition = CATEGORIES[category];
+  const overrides = (stored.categories && stored.categories[category]) || {};
+  const channels = {};
+
+  for (const channel of CHANNELS) {
+    channels[channel] = definition.locked.includes(channel)
+      ? true
+      : (typeof overrides[channel] === 'boolean' ? overrides[channel] : definition.defaults[channel]);
+  }
+
+  return channels;
+}
+
+/**
+ * Full preferences view for a user, as returned by the API
+ */
+async function getPreferences(userId) {
+  const stored = storedFor(userId);
+  const categories = {};
+
+  for (const [category, definition] of Object.entries(CATEGORIES)) {
+    categories[category] = {
+      ...resolveCategory(stored, category),
+      audience: definition.audience,
+      transactional: definition.transactional,
+      locked: definition.locked
+    };
+  }
+
+  return {
+    user_id: String(userId),
+    categories,
+    timezone: stored.timezone || DEFAULT_TIMEZONE,
+    quiet_hours: stored.quiet_hours || null,
+    digest: stored.digest || null,
+    updated_at: stored.updated_at || null
+  };
+}
+
+function validateQuietHours(quietHours) {
+  if (quietHours === null) return null;
+
+  if (typeof quietHours !== 'object' || parseTime(quietHours.start) === null || parseTime(quietHours.end) === null) {
+    throw new PreferenceError('VALIDATION_ERROR', 'quiet_hours must be null or { start: "HH:MM", end: "HH:MM" }');
+  }
+  if (quietHours.start === quietHours.end) {
+    throw new PreferenceError('VALIDATION_ERROR', 'quiet_hours start and end must differ');
+  }
+
+  return { start: quietHours.start, end: quietHours.end };
+}
+
+function validateDigest(digest) {
+  if (digest === null) return null;
+
+  if (typeof digest !== 'object' || !DIGEST_FREQUENCIES.includes(digest.frequency)) {
+    throw new PreferenceError('VALIDATION_ERROR', 'digest must be null or { frequency: "daily" | "weekly", categories?: [...] }');
+  }
+
+  const categories = digest.categories === undefined ? DIGESTIBLE_CATEGORIES : digest.categories;
+  if (!Array.isArray(categories) || !categories.length) {
+    throw new PreferenceError('VALIDATION_ERROR', 'digest.categories must be a non-empty array');
+  }
+  for (const category of categories) {
+    if (!DIGESTIBLE_CATEGORIES.includes(category)) {
+      throw new PreferenceError('VALIDATION_ERROR', `${category} cannot be delivered as a digest; digestible categories: ${DIGESTIBLE_CATEGORIES.join(', ')}`);
+    }
+  }
+
+  return { frequency: digest.frequency, categories: [...new Set(categories)] };
+}
+
+/**
+ * Validate and merge a partial update:
+ *   { categories: { <category>: { <channel>: boolean } }, timezone, quiet_hours, digest }
+ * Throws PreferenceError for unknown categories/channels, locked channels
+ * and invalid timezone, quiet hours or digest settings.
+ */
+async function updatePreferences(userId, update) {
+  const fields = ['categories', 'timezone', 'quiet_hours', 'digest'];
+  if (!update || typeof update !== 'object' || !fields.some(field => field in update)) {
+    throw new PreferenceError('VALIDATION_ERROR', `Body must contain at least one of: ${fields.join(', ')}`);
+  }
+  if ('categories' in update && (!update.categories || typeof update.categories !== 'object')) {
+    throw new PreferenceError('VALIDATION_ERROR', 'categories must be an object');
+  }
+
+  const stored = storedFor(userId);
+  const categories = { ...stored.categories };
+  let { timezone = null, quiet_hours = null, digest = null } = stored;
+
+  if ('timezone' in update) {
+    if (update.timezone !== null && !isValidTimezone(update.timezone)) {
+      throw new PreferenceError('VALIDATION_ERROR', `Unknown timezone: ${update.timezone}`);
+    }
+    timezone = update.timezone;
+  }
+
+  if ('quiet_hours' in update) {
+    quiet_hours = validateQuietHours(update.quiet_hours);
+  }
+
+  if ('digest' in update) {
+    digest = validateDigest(update.digest);
+  }
+
+  for (const [category, channels] of Object.entries(update.categories || {})) {
+    const definition = CATEGORIES[category];
+    if (!definition) {
+      throw new PreferenceError('VALIDATION_ERROR', `Unknown category: ${category}`);
+    }
+    if (!channels || typeof channels !== 'object') {
+      throw new PreferenceError('VALIDATION_ERROR', `Settings for ${category} must be an object`);
+    }
+
+    const next = { ...categories[category] };
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!CHANNELS.includes(channel)) {
+        throw new PreferenceError('VALIDATION_ERROR', `Unknown channel: ${channel}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new PreferenceError('VALIDATION_ERROR', `${category}.${channel} must be a boolean`);
+      }
+      if (!enabled && definition.locked.includes(channel)) {
+        throw new PreferenceError('PREFERENCE_LOCKED', `${channel} notifications for ${category} cannot be turned off`);
+      }
+      next[channel] = enabled;
+    }
+    categories[category] = next;
+  }
+
+  await preferences.set(userId, { categories, timezone, quiet_hours, digest, updated_at: new Date().toISOString() });
+  return getPreferences(userId);
+}
+
+/**
+ * Which channels may be used for `category` for this user.
+ * Unknown categories fall back to every channel enabled.
+ */
+async function getChannelSettings(userId, category) {
+  if (!CATEGORIES[category]) {
+    return CHANNELS.reduce((all, channel) => ({ ...all, [channel]: true }), {});
+  }
+  return resolveCategory(storedFor(userId), category);
+}
+
+/**
+ * When deliveries for a user should resume, or null when they may go out now.
+ * Transactional categories are never held back by quiet hours.
+ */
+async function getQuietHoursEnd(userId, category, now = new Date()) {
+  const definition = CATEGORIES[category];
+  if (definition && definition.transactional) return null;
+
+  const stored = storedFor(userId);
+  return quietHoursEnd(stored.quiet_hours, stored.timezone || DEFAULT_TIMEZONE, now);
+}
+
+/**
+ * Digest settings that apply to `category` for this user:
+ * { frequency, timezone }, or null when it should be sent right away.
+ */
+async function getDigestSettings(userId, category) {
+  const stored = storedFor(userId);
+  if (!stored.digest || !stored.digest.categories.includes(category)) return null;
+  return { frequency: stored.digest.frequency, timezone: stored.timezone || DEFAULT_TIMEZONE };
+}
+
+/**
+ * IDs of users who have saved preferences
+ */
+function listPreferenceUserIds() {
+  return preferences.entries().map(([userId]) => userId);
+}
+
+module.exports = {
+  getPreferences,
+  listPreferenceUserIds,
+  updatePreferences,
+  getChannelSettings,
+  getQuietHoursEnd,
+  getDigestSettings,
+  PreferenceError,
+  CHANNELS,
+  CATEGORIES,
+  DIGEST_FREQUENCIES,
+  DIGESTIBLE_CATEGORIES
+};
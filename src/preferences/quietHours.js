@@ -0,0 +1,63 @@
+/**
+ * Quiet hours in the user's timezone
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Wall-clock time of `date` in `timezone`, as minutes and seconds past midnight
+ */
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { minutes: get('hour') * 60 + get('minute'), seconds: get('second') };
+}
+
+/**
+ * When the current quiet window ends, or null when `now` is outside it.
+ * `quietHours` is `{ start: 'HH:MM', end: 'HH:MM' }`; windows may cross midnight.
+ */
+function quietHoursEnd(quietHours, timezone, now = new Date()) {
+  if (!quietHours) return null;
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  const { minutes, seconds } = localTime(now, timezone || 'UTC');
+  const inside = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+  if (!inside) return null;
+
+  const minutesLeft = (end - minutes + 1440) % 1440;
+  return new Date(now.getTime() + (minutesLeft * 60 - seconds) * 1000 - now.getMilliseconds());
+}
+
+module.exports = {
+  isValidTimezone,
+  parseTime,
+  quietHoursEnd
+};
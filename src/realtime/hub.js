@@ -0,0 +1,98 @@
+const logger = require('../config/logger');
+
+/**
+ * In-process fan-out of notification events to connected stream clients.
+ * Nothing crosses processes: this relies on the service running as a single
+ * instance (see events/instanceLock.js).
+ *
+ * Events are { event, id?, data }. Only `notification` events carry an id
+ * (the notification ID), so a client's Last-Event-ID always points at the
+ * newest notification it has seen.
+ */
+function createNotificationHub({ store }) {
+  // User ID -> Map of send -> close
+  const subscribers = new Map();
+
+  /**
+   * `close` ends the client's connection when the hub shuts down
+   */
+  function subscribe(userId, send, close = () => {}) {
+    const key = String(userId);
+    if (!subscribers.has(key)) {
+      subscribers.set(key, new Map());
+    }
+    subscribers.get(key).set(send, close);
+
+    return () => {
+      const userSubscribers = subscribers.get(key);
+      if (!userSubscribers) return;
+      userSubscribers.delete(send);
+      if (!userSubscribers.size) {
+        subscribers.delete(key);
+      }
+    };
+  }
+
+  function hasSubscribers(userId) {
+    return subscribers.has(String(userId));
+  }
+
+  function publish(userId, event) {
+    for (const send of (subscribers.get(String(userId)) || new Map()).keys()) {
+      try {
+        send(event);
+      } catch (error) {
+        logger.warn(`Failed to push ${event.event} to a stream client of user ${userId}: ${error.message}`);
+      }
+    }
+  }
+
+  async function unreadCountChanged(userId) {
+    if (!hasSubscribers(userId)) return;
+    publish(userId, { event: 'unread_count', data: { count: await store.countUnread(userId) } });
+  }
+
+  async function notificationCreated(userId, notification) {
+    if (!hasSubscribers(userId)) return;
+    publish(userId, { event: 'notification', id: notification.id, data: notification });
+    await unreadCountChanged(userId);
+  }
+
+  function connectionCount() {
+    let total = 0;
+    for (const userSubscribers of subscribers.values()) {
+      total += userSubscribers.size;
+    }
+    return total;
+  }
+
+  /**
+   * Close every connection so clients reconnect to another instance
+   */
+  function closeAll() {
+    const closers = [];
+    for (const userSubscribers of subscribers.values()) {
+      closers.push(...userSubscribers.values());
+    }
+    for (const close of closers) {
+      try {
+        close();
+      } catch (error) {
+        logger.warn(`Failed to close a stream client: ${error.message}`);
+      }
+    }
+    return closers.length;
+  }
+
+  return {
+    subscribe,
+    hasSubscribers,
+    publish,
+    notificationCreated,
+    unreadCountChanged,
+    connectionCount,
+    closeAll
+  };
+}
+
+module.exports = { createNotificationHub };
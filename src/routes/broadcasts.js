@@ -0,0 +1,80 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const requireAdmin = require('../middleware/requireAdmin');
+const {
+  BroadcastError,
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  cancelBroadcast
+} = require('../broadcasts');
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: { code: 'NOT_FOUND', message: 'Broadcast not found' }
+  });
+}
+
+/**
+ * Admin endpoints for broadcasts
+ */
+function createBroadcastRouter() {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  // Body: { title, message, user_ids? | segment?, send_at? }
+  router.post('/', asyncHandler(async (req, res) => {
+    try {
+      const broadcast = await createBroadcast(req.body, {
+        createdBy: req.auth ? req.auth.userId : 'admin-key'
+      });
+      res.status(201).json({ success: true, data: broadcast });
+    } catch (error) {
+      if (error instanceof BroadcastError) {
+        return res.status(400).json({
+          success: false,
+          error: { code: error.code, message: error.message }
+        });
+      }
+      throw error;
+    }
+  }));
+
+  router.get('/', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, items } = listBroadcasts({ status: req.query.status, limit, offset });
+
+    res.json({ success: true, data: items, pagination: { total, limit, offset } });
+  });
+
+  router.get('/:id', (req, res) => {
+    const broadcast = getBroadcast(req.params.id);
+    if (!broadcast) return notFound(res);
+
+    res.json({ success: true, data: broadcast });
+  });
+
+  router.post('/:id/cancel', asyncHandler(async (req, res) => {
+    try {
+      const broadcast = await cancelBroadcast(req.params.id);
+      if (!broadcast) return notFound(res);
+
+      res.json({ success: true, message: 'Broadcast cancelled', data: broadcast });
+    } catch (error) {
+      if (error instanceof BroadcastError) {
+        return res.status(409).json({
+          success: false,
+          error: { code: error.code, message: error.message }
+        });
+      }
+      throw error;
+    }
+  }));
+
+  return router;
+}
+
+module.exports = { createBroadcastRouter };
@@ -0,0 +1,70 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const requireAdmin = require('../middleware/requireAdmin');
+const { listDeadLetters, getDeadLetter, removeDeadLetter } = require('../events/deadLetters');
+
+/**
+ * Admin endpoints for dead-lettered events
+ */
+function createDeadLetterRouter({ processor }) {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  router.get('/', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, items } = listDeadLetters({ channel: req.query.channel, limit, offset });
+
+    res.json({ success: true, data: items, pagination: { total, limit, offset } });
+  });
+
+  router.get('/:id', (req, res) => {
+    const record = getDeadLetter(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Dead letter not found' }
+      });
+    }
+
+    res.json({ success: true, data: record });
+  });
+
+  router.post('/:id/retry', asyncHandler(async (req, res) => {
+    const result = await processor.retryDeadLetter(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Dead letter not found' }
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: { code: 'RETRY_FAILED', message: result.error },
+        data: result.dead_letter
+      });
+    }
+
+    res.json({ success: true, message: 'Event handled', data: result.dead_letter });
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    if (await removeDeadLetter(req.params.id)) {
+      return res.json({ success: true, message: 'Dead letter discarded' });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Dead letter not found' }
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createDeadLetterRouter };
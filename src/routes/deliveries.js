@@ -0,0 +1,63 @@
+const express = require('express');
+const requireAdmin = require('../middleware/requireAdmin');
+const { STATUSES, listDeliveries, getDelivery } = require('../deliveries');
+
+const FILTERS = ['user_id', 'notification_id', 'channel', 'status', 'recipient', 'event_id', 'event_channel'];
+
+/**
+ * Admin search over the delivery audit trail
+ */
+function createDeliveryRouter() {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  router.get('/', (req, res) => {
+    const filter = {};
+    for (const field of FILTERS) {
+      if (req.query[field]) filter[field] = req.query[field];
+    }
+
+    if (filter.status && !STATUSES.includes(filter.status)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: `status must be one of: ${STATUSES.join(', ')}` }
+      });
+    }
+
+    for (const bound of ['since', 'until']) {
+      if (req.query[bound]) {
+        filter[bound] = new Date(req.query[bound]);
+        if (Number.isNaN(filter[bound].getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'VALIDATION_ERROR', message: `${bound} must be an ISO 8601 timestamp` }
+          });
+        }
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, items } = listDeliveries(filter, { limit, offset });
+
+    res.json({ success: true, data: items, pagination: { total, limit, offset } });
+  });
+
+  router.get('/:id', (req, res) => {
+    const record = getDelivery(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Delivery not found' }
+      });
+    }
+
+    res.json({ success: true, data: record });
+  });
+
+  return router;
+}
+
+module.exports = { createDeliveryRouter };
@@ -0,0 +1,45 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { HEALTHY, UNHEALTHY } = require('../health');
+
+const SERVICE = 'notification-service';
+
+/**
+ * Liveness and readiness probes.
+ *
+ * GET /live answers as long as the process can serve requests.
+ * GET /ready (and GET /) runs the readiness checks and answers 503 when the
+ * service is not running yet, is shutting down or a critical check fails.
+ * `getState` returns 'starting', 'running' or 'stopping'.
+ */
+function createHealthRouter({ checker, getState }) {
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    res.json({
+      status: HEALTHY,
+      service: SERVICE,
+      uptime_s: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  const ready = asyncHandler(async (req, res) => {
+    const state = getState();
+    const timestamp = new Date().toISOString();
+
+    if (state !== 'running') {
+      return res.status(503).json({ status: UNHEALTHY, service: SERVICE, state, timestamp });
+    }
+
+    const { status, checks } = await checker.run();
+    res.status(status === UNHEALTHY ? 503 : 200).json({ status, service: SERVICE, state, timestamp, checks });
+  });
+
+  router.get('/', ready);
+  router.get('/ready', ready);
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
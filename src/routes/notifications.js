@@ -0,0 +1,188 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { decodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../storage');
+const { listDeliveries } = require('../deliveries');
+
+const MAX_BULK_IDS = 500;
+
+function validationError(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: { code: 'VALIDATION_ERROR', message }
+  });
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: { code: 'NOT_FOUND', message: 'Notification not found' }
+  });
+}
+
+/**
+ * Parse the list filters: category, type, unread, since, cursor, limit
+ */
+function parseListQuery(query) {
+  const options = {
+    category: query.category || undefined,
+    type: query.type || undefined,
+    unreadOnly: query.unread === 'true' || query.unread === '1',
+    cursor: query.cursor || undefined,
+    limit: DEFAULT_PAGE_SIZE
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.since !== undefined) {
+    const since = new Date(query.since);
+    if (Number.isNaN(since.getTime())) {
+      return { error: 'since must be an ISO 8601 timestamp' };
+    }
+    options.since = since;
+  }
+
+  if (options.cursor && !decodeCursor(options.cursor)) {
+    return { error: 'cursor is invalid' };
+  }
+
+  return { options };
+}
+
+/**
+ * Notification endpoints for the authenticated user.
+ * Expects `req.userId` from requireUser; `hub` pushes unread count changes.
+ */
+function createNotificationRouter({ store, hub }) {
+  const router = express.Router();
+
+  // Report a bulk change with the user's new unread count
+  async function bulkResult(res, userId, affected) {
+    const unreadCount = await store.countUnread(userId);
+    if (affected) {
+      await hub.unreadCountChanged(userId);
+    }
+    res.json({ success: true, data: { affected, unread_count: unreadCount } });
+  }
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const page = await store.query(req.userId, options);
+    res.json({
+      success: true,
+      data: page.items,
+      pagination: { limit: options.limit, next_cursor: page.next_cursor }
+    });
+  }));
+
+  router.get('/unread/count', asyncHandler(async (req, res) => {
+    const unreadCount = await store.countUnread(req.userId);
+    res.json({ success: true, data: { count: unreadCount } });
+  }));
+
+  // Delivery attempts for one of the user's notifications, newest first
+  router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId } = req;
+
+    if (!(await store.get(userId, id))) {
+      return notFound(res);
+    }
+
+    const { items } = listDeliveries({ user_id: userId, notification_id: id }, { limit: 200 });
+    res.json({ success: true, data: items });
+  }));
+
+  router.put('/:id/read', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId } = req;
+
+    const notification = await store.markRead(userId, id);
+    if (!notification) {
+      return notFound(res);
+    }
+
+    await hub.unreadCountChanged(userId);
+    res.json({ success: true, data: notification });
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId } = req;
+
+    if (!(await store.remove(userId, id))) {
+      return notFound(res);
+    }
+
+    await hub.unreadCountChanged(userId);
+    res.json({ success: true, message: 'Notification deleted' });
+  }));
+
+  // Mark all unread notifications read, optionally only a category or those created before a timestamp
+  router.put('/read', asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { category, before } = req.body || {};
+    const filter = {};
+
+    if (category !== undefined) {
+      if (typeof category !== 'string' || !category) {
+        return validationError(res, 'category must be a non-empty string');
+      }
+      filter.category = category;
+    }
+
+    if (before !== undefined) {
+      filter.before = new Date(before);
+      if (typeof before !== 'string' || Number.isNaN(filter.before.getTime())) {
+        return validationError(res, 'before must be an ISO 8601 timestamp');
+      }
+    }
+
+    const changed = await store.markManyRead(userId, filter);
+    await bulkResult(res, userId, changed.length);
+  }));
+
+  router.put('/:id/unread', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId } = req;
+
+    const notification = await store.get(userId, id);
+
+    if (!notification) {
+      return notFound(res);
+    }
+
+    const affected = notification.read_at ? 1 : 0;
+    if (affected) {
+      await store.markUnread(userId, id);
+    }
+
+    await bulkResult(res, userId, affected);
+  }));
+
+  // Body: { ids: [...] }. Unknown IDs are ignored.
+  router.post('/bulk-delete', asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { ids } = req.body || {};
+
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_IDS || !ids.every(id => typeof id === 'string')) {
+      return validationError(res, `ids must be an array of 1 to ${MAX_BULK_IDS} notification IDs`);
+    }
+
+    const removed = await store.removeMany(userId, ids);
+    await bulkResult(res, userId, removed.length);
+  }));
+
+  return router;
+}
+
+module.exports = { createNotificationRouter, parseListQuery, MAX_BULK_IDS };
@@ -0,0 +1,35 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { getPreferences, updatePreferences, PreferenceError } = require('../preferences');
+
+/**
+ * Notification preferences of the authenticated user.
+ * Expects `req.userId` from requireUser.
+ */
+function createPreferenceRouter() {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const preferences = await getPreferences(req.userId);
+    res.json({ success: true, data: preferences });
+  }));
+
+  router.put('/', asyncHandler(async (req, res) => {
+    try {
+      const preferences = await updatePreferences(req.userId, req.body);
+      res.json({ success: true, data: preferences });
+    } catch (error) {
+      if (error instanceof PreferenceError) {
+        return res.status(400).json({
+          success: false,
+          error: { code: error.code, message: error.message }
+        });
+      }
+      throw error;
+    }
+  }));
+
+  return router;
+}
+
+module.exports = { createPreferenceRouter };
@@ -0,0 +1,79 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const {
+  getVapidConfig,
+  isVapidConfigured,
+  SubscriptionError,
+  saveSubscription,
+  listSubscriptions,
+  removeSubscription
+} = require('../channels/push');
+
+function toDevice(record) {
+  return {
+    device_id: record.device_id,
+    endpoint: record.endpoint,
+    user_agent: record.user_agent,
+    created_at: record.created_at,
+    updated_at: record.updated_at
+  };
+}
+
+/**
+ * Push subscription endpoints for the authenticated user.
+ * Expects `req.userId` from requireUser.
+ */
+function createPushRouter() {
+  const router = express.Router();
+
+  router.get('/public-key', (req, res) => {
+    if (!isVapidConfigured()) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'PUSH_DISABLED', message: 'Web Push is not configured' }
+      });
+    }
+
+    res.json({ success: true, data: { public_key: getVapidConfig().publicKey } });
+  });
+
+  router.get('/subscriptions', (req, res) => {
+    res.json({ success: true, data: listSubscriptions(req.userId).map(toDevice) });
+  });
+
+  // Body: { subscription: PushSubscription JSON, device_id? }
+  router.post('/subscriptions', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+
+    try {
+      const record = await saveSubscription(req.userId, body.subscription, {
+        deviceId: body.device_id,
+        userAgent: req.get('user-agent') || null
+      });
+      res.status(201).json({ success: true, data: toDevice(record) });
+    } catch (error) {
+      if (error instanceof SubscriptionError) {
+        return res.status(400).json({
+          success: false,
+          error: { code: error.code, message: error.message }
+        });
+      }
+      throw error;
+    }
+  }));
+
+  router.delete('/subscriptions/:deviceId', asyncHandler(async (req, res) => {
+    if (await removeSubscription(req.userId, req.params.deviceId)) {
+      return res.json({ success: true, message: 'Push subscription removed' });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Push subscription not found' }
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createPushRouter };
@@ -0,0 +1,49 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const requireAdmin = require('../middleware/requireAdmin');
+const { listQuarantined, getQuarantined, removeQuarantined } = require('../events/quarantine');
+
+/**
+ * Admin endpoints for events quarantined by schema validation
+ */
+function createQuarantineRouter() {
+  const router = express.Router();
+
+  router.use(requireAdmin);
+
+  router.get('/', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, items } = listQuarantined({ channel: req.query.channel, limit, offset });
+
+    res.json({ success: true, data: items, pagination: { total, limit, offset } });
+  });
+
+  router.get('/:id', (req, res) => {
+    const record = getQuarantined(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Quarantined event not found' }
+      });
+    }
+
+    res.json({ success: true, data: record });
+  });
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    if (await removeQuarantined(req.params.id)) {
+      return res.json({ success: true, message: 'Quarantined event discarded' });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Quarantined event not found' }
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createQuarantineRouter };
@@ -0,0 +1,119 @@
+const express = require('express');
+const logger = require('../config/logger');
+const asyncHandler = require('../utils/asyncHandler');
+const { newestFirst } = require('../storage/pagination');
+
+function getStreamConfig() {
+  return {
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25000,
+    retryMs: parseInt(process.env.STREAM_RETRY_MS, 10) || 5000,
+    replayLimit: parseInt(process.env.STREAM_REPLAY_LIMIT, 10) || 100
+  };
+}
+
+function formatEvent({ event, id, data }) {
+  let frame = '';
+  if (id) frame += `id: ${id}\n`;
+  frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  return frame;
+}
+
+/**
+ * Notifications created after `lastEventId`, oldest first.
+ * An unknown ID (e.g. deleted since) replays nothing.
+ */
+async function missedNotifications(store, userId, lastEventId, limit) {
+  const last = await store.get(userId, lastEventId);
+  if (!last) {
+    logger.info(`Stream for user ${userId} resumed from unknown event ${lastEventId}; nothing replayed`);
+    return [];
+  }
+
+  const missed = (await store.list(userId))
+    .filter(n => newestFirst(n, last) < 0)
+    .sort(newestFirst)
+    .slice(0, limit);
+
+  return missed.reverse();
+}
+
+/**
+ * Server-Sent Events stream of a user's new notifications and unread count.
+ * Expects `req.userId` from requireUser.
+ *
+ *   event: notification  (id = notification ID, data = the notification)
+ *   event: unread_count  (data = { count })
+ *
+ * Reconnecting clients send Last-Event-ID and get what they missed. Streams
+ * are ended on shutdown (hub.closeAll) and clients reconnect after `retry`.
+ */
+function createStreamRouter({ hub, store, config = getStreamConfig() }) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const lastEventId = req.get('last-event-id') || req.query.last_event_id;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.retryMs}\n\n`);
+
+    // Buffer live events until the replay is written, so nothing is lost or reordered
+    const pending = [];
+    let live = false;
+    const send = event => !res.writableEnded && res.write(formatEvent(event));
+    const unsubscribe = hub.subscribe(
+      userId,
+      event => (live ? send(event) : pending.push(event)),
+      () => res.end()
+    );
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.heartbeatMs);
+    heartbeat.unref();
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', cleanup);
+    res.on('finish', cleanup);
+
+    const replayed = new Set();
+    if (lastEventId) {
+      for (const notification of await missedNotifications(store, userId, lastEventId, config.replayLimit)) {
+        send({ event: 'notification', id: notification.id, data: notification });
+        replayed.add(notification.id);
+      }
+    }
+
+    for (const event of pending) {
+      if (!(event.event === 'notification' && replayed.has(event.id))) {
+        send(event);
+      }
+    }
+    live = true;
+
+    send({ event: 'unread_count', data: { count: await store.countUnread(userId) } });
+  }));
+
+  return router;
+}
+
+/**
+ * EventSource cannot set headers, so let the stream take its bearer token
+ * from an `access_token` query parameter instead
+ */
+function acceptQueryToken(req, res, next) {
+  if (!req.get('authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+module.exports = { createStreamRouter, acceptQueryToken, getStreamConfig, formatEvent };
@@ -0,0 +1,95 @@
+const logger = require('../config/logger');
+const { scheduleJob, cancelJob, findJobs } = require('./index');
+const { zonedDateTime } = require('../utils/timezone');
+
+/**
+ * Booking reminder jobs.
+ *
+ * One `booking_reminder` job is scheduled per offset in BOOKING_REMINDER_OFFSETS
+ * (e.g. "24h,1h") before the booking's start, interpreted in BOOKING_TIMEZONE.
+ */
+const UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse "24h,1h,30m" into offsets in milliseconds, largest first
+ */
+function parseOffsets(value) {
+  return String(value)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const match = /^(\d+)\s*([mhd])$/i.exec(part);
+      if (!match) {
+        throw new Error(`Invalid reminder offset "${part}" (use e.g. 24h, 90m, 2d)`);
+      }
+      return { label: part.toLowerCase(), ms: Number(match[1]) * UNITS[match[2].toLowerCase()] };
+    })
+    .sort((a, b) => b.ms - a.ms);
+}
+
+function getReminderConfig() {
+  return {
+    offsets: parseOffsets(process.env.BOOKING_REMINDER_OFFSETS || '24h,1h'),
+    timezone: process.env.BOOKING_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'UTC'
+  };
+}
+
+function jobKey(bookingId, label) {
+  return `booking-reminder:${bookingId}:${label}`;
+}
+
+/**
+ * Schedule (or move) the reminders for a booking.
+ * Offsets whose reminder time has already passed are skipped.
+ */
+async function scheduleBookingReminders(booking, now = new Date()) {
+  const { booking_id, client_id, trainer_id, booking_date, start_time } = booking;
+  const { offsets, timezone } = getReminderConfig();
+  const startsAt = zonedDateTime(booking_date, start_time, timezone);
+
+  if (!startsAt) {
+    logger.warn(`Cannot schedule reminders for booking ${booking_id}: invalid date/time ${booking_date} ${start_time}`);
+    return [];
+  }
+
+  // Moving a booking replaces every reminder, including offsets no longer due
+  await cancelBookingReminders(booking_id);
+
+  const scheduled = [];
+  for (const offset of offsets) {
+    const runAt = new Date(startsAt.getTime() - offset.ms);
+    if (runAt <= now) continue;
+
+    scheduled.push(await scheduleJob({
+      type: 'booking_reminder',
+      key: jobKey(booking_id, offset.label),
+      runAt,
+      payload: { booking_id, client_id, trainer_id, booking_date, start_time, offset: offset.label }
+    }));
+  }
+
+  logger.info(`Scheduled ${scheduled.length} reminders for booking ${booking_id}`);
+  return scheduled;
+}
+
+/**
+ * Cancel every pending reminder for a booking
+ */
+async function cancelBookingReminders(bookingId) {
+  const pending = findJobs(job => job.type === 'booking_reminder' &&
+    job.status === 'pending' &&
+    String(job.payload.booking_id) === String(bookingId));
+
+  for (const job of pending) {
+    await cancelJob(job.id);
+  }
+  return pending.length;
+}
+
+module.exports = {
+  parseOffsets,
+  getReminderConfig,
+  scheduleBookingReminders,
+  cancelBookingReminders
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getCollection } = require('../storage');
+const { createEventContext, runWithEventContext } = require('../events/context');
+
+/**
+ * Durable job scheduler.
+ *
+ * Jobs are kept in the `jobs` collection so they survive restarts; a polling
+ * worker runs every job whose `run_at` has passed through the handler
+ * registered for its type. Failed jobs are retried with backoff and kept
+ * with status `failed` once MAX_ATTEMPTS is reached.
+ *
+ * Each job runs in an event context keyed by its id. The steps it completed
+ * are saved on the job when it fails, so a retry does not repeat them.
+ */
+const jobs = getCollection('jobs');
+const handlers = new Map();
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 15000;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS, 10) || 5;
+const RETRY_DELAY_MS = 60000;
+
+let timer = null;
+let running = null;
+
+/**
+ * Register the function that runs jobs of `type`
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Schedule a job. A job with the same `key` replaces the pending one.
+ */
+async function scheduleJob({ type, runAt, payload = {}, key = null }) {
+  const runTime = new Date(runAt);
+  if (Number.isNaN(runTime.getTime())) {
+    throw new Error(`Invalid run time for ${type} job`);
+  }
+
+  if (key) {
+    await cancelJob(key);
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    key,
+    run_at: runTime.toISOString(),
+    payload,
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    created_at: new Date().toISOString()
+  };
+
+  await jobs.set(job.id, job);
+  logger.info(`Scheduled ${type} job ${job.id} for ${job.run_at}`);
+  return job;
+}
+
+/**
+ * Cancel a pending job by id or key. Returns the number of jobs removed.
+ */
+async function cancelJob(idOrKey) {
+  const matches = jobs.values().filter(job => job.status === 'pending' && (job.id === idOrKey || job.key === idOrKey));
+  for (const job of matches) {
+    await jobs.delete(job.id);
+  }
+  return matches.length;
+}
+
+/**
+ * Jobs matching `predicate`, soonest first
+ */
+function findJobs(predicate = () => true) {
+  return jobs.values()
+    .filter(predicate)
+    .sort((a, b) => a.run_at.localeCompare(b.run_at));
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const attempts = job.attempts + 1;
+  const context = createEventContext({
+    channel: job.type,
+    eventId: job.id,
+    eventKey: `job:${job.id}`,
+    completed: job.completed
+  });
+  context.attempt = attempts;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    await runWithEventContext(context, () => handler(job.payload, job));
+    await jobs.delete(job.id);
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    logger.error(`Job ${job.id} (${job.type}) attempt ${attempts} failed:`, error.message);
+    // Cancelled or replaced while it was running
+    if (!jobs.get(job.id)) {
+      logger.info(`Not retrying job ${job.id} (${job.type}): it was cancelled`);
+      return;
+    }
+    await jobs.set(job.id, {
+      ...job,
+      attempts,
+      last_error: error.message,
+      completed: Object.fromEntries(context.completed),
+      status: failed ? 'failed' : 'pending',
+      run_at: failed ? job.run_at : new Date(Date.now() + RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+    });
+  }
+}
+
+/**
+ * Run every pending job that is due at `now`
+ */
+async function runDueJobs(now = new Date()) {
+  if (running) return running;
+
+  running = (async () => {
+    const due = findJobs(job => job.status === 'pending' && new Date(job.run_at) <= now);
+    for (const job of due) {
+      // Skip jobs cancelled while earlier ones were running
+      if (jobs.get(job.id)) {
+        await runJob(job);
+      }
+    }
+    return due.length;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+function startScheduler({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (timer) return;
+  timer = setInterval(() => {
+    runDueJobs().catch(error => logger.error('Scheduler poll failed:', error));
+  }, intervalMs);
+  timer.unref();
+  logger.info(`Scheduler polling every ${intervalMs}ms (${jobs.size()} jobs stored)`);
+}
+
+/**
+ * Stop polling and wait for a poll already in progress
+ */
+async function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (running) {
+    await running;
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerJobHandler,
+  scheduleJob,
+  cancelJob,
+  findJobs,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
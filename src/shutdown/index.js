@@ -0,0 +1,127 @@
+const logger = require('../config/logger');
+
+/**
+ * Graceful shutdown.
+ *
+ * On SIGTERM or SIGINT the service stops taking new work, waits up to
+ * SHUTDOWN_TIMEOUT_MS for in-flight event handlers and HTTP responses,
+ * flushes storage and exits. Work still running at the deadline is
+ * abandoned: stream entries stay pending and are reclaimed by another
+ * consumer, pub/sub events are lost. A second signal exits immediately.
+ */
+function getShutdownConfig() {
+  return {
+    timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000,
+    pollMs: 100
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Counts open HTTP responses. Once closed, new requests are refused with
+ * 503 SHUTTING_DOWN, except the health probes.
+ */
+function createRequestTracker() {
+  let active = 0;
+  let closing = false;
+
+  function middleware(req, res, next) {
+    if (closing) {
+      res.set('Connection', 'close');
+      if (!req.path.startsWith('/health')) {
+        return res.status(503).json({
+          success: false,
+          error: { code: 'SHUTTING_DOWN', message: 'The service is shutting down' }
+        });
+      }
+    }
+
+    active += 1;
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      active -= 1;
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  }
+
+  return {
+    middleware,
+    active: () => active,
+    close() {
+      closing = true;
+    }
+  };
+}
+
+/**
+ * Build the signal handler.
+ *   stopIntake()  stop consuming events and accepting requests; may wait for
+ *                 work it owns (e.g. the current stream batch)
+ *   pending()     in-flight work by kind, e.g. { event_handlers: 2 }
+ *   flush()       close storage and connections
+ */
+function createShutdown({ stopIntake, pending, flush, config = getShutdownConfig(), exit = code => process.exit(code) }) {
+  let shuttingDown = false;
+  let waiting = false;
+
+  function describe(counts) {
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind.replace(/_/g, ' ')}`)
+      .join(', ');
+  }
+
+  async function drain() {
+    try {
+      await stopIntake();
+    } catch (error) {
+      logger.error('Error while stopping intake:', error);
+    }
+    while (waiting && Object.values(pending()).some(count => count > 0)) {
+      await sleep(config.pollMs);
+    }
+  }
+
+  return async function shutdown(signal) {
+    if (shuttingDown) {
+      logger.warn(`${signal} received again: exiting without waiting`);
+      return exit(1);
+    }
+    shuttingDown = true;
+    logger.info(`${signal} received: draining in-flight work for up to ${config.timeoutMs}ms`);
+
+    waiting = true;
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), config.timeoutMs);
+    });
+    const drained = await Promise.race([drain().then(() => true), deadline]);
+    clearTimeout(timer);
+    waiting = false;
+
+    if (drained) {
+      logger.info('In-flight work drained');
+    } else {
+      const left = describe(pending());
+      logger.warn(`Shutdown deadline passed${left ? ` with ${left} still in flight` : ''}`);
+    }
+
+    let code = 0;
+    try {
+      await flush();
+    } catch (error) {
+      logger.error('Failed to flush storage and close connections on shutdown:', error);
+      code = 1;
+    }
+
+    logger.info('Shutdown complete');
+    return exit(code);
+  };
+}
+
+module.exports = { getShutdownConfig, createRequestTracker, createShutdown };
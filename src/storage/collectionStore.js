@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+/**
+ * Keyed record collections (preferences, jobs, ...).
+ *
+ * Both backends expose: init(), get(key), set(key, value), delete(key),
+ * values(), entries(), size(), check(), close(). Reads are synchronous against an
+ * in-memory index; writes resolve once they are durable.
+ */
+function createMemoryCollection(name) {
+  const records = new Map();
+
+  return {
+    name,
+
+    async init() {},
+
+    get(key) {
+      return records.has(String(key)) ? records.get(String(key)) : null;
+    },
+
+    async set(key, value) {
+      records.set(String(key), value);
+      return value;
+    },
+
+    async delete(key) {
+      return records.delete(String(key));
+    },
+
+    values() {
+      return [...records.values()];
+    },
+
+    entries() {
+      return [...records.entries()];
+    },
+
+    size() {
+      return records.size;
+    },
+
+    async check() {},
+
+    async close() {}
+  };
+}
+
+/**
+ * Append-only JSON-lines collection, replayed and compacted on startup
+ */
+function createFileCollection(name, { filePath }) {
+  const index = createMemoryCollection(name);
+  let writeQueue = Promise.resolve();
+
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const write = writeQueue.then(() => fs.promises.appendFile(filePath, line));
+    // Keep the queue alive after a failed write; the caller still sees the error
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async function compact() {
+    const lines = index.entries().map(([key, value]) => JSON.stringify({ op: 'set', key, value }));
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    ...index,
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let contents = '';
+      try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const lines = contents.split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        try {
+          const entry = JSON.parse(lines[i]);
+          if (entry.op === 'set') await index.set(entry.key, entry.value);
+          else if (entry.op === 'delete') await index.delete(entry.key);
+        } catch (error) {
+          logger.warn(`Skipping corrupt line ${i + 1} in ${filePath}`);
+        }
+      }
+
+      await compact();
+      logger.info(`Collection "${name}" loaded ${index.size()} records from ${filePath}`);
+    },
+
+    async set(key, value) {
+      await index.set(key, value);
+      await append({ op: 'set', key: String(key), value });
+      return value;
+    },
+
+    async delete(key) {
+      const removed = await index.delete(key);
+      if (removed) {
+        await append({ op: 'delete', key: String(key) });
+      }
+      return removed;
+    },
+
+    async check() {
+      await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+    },
+
+    async close() {
+      await writeQueue;
+    }
+  };
+}
+
+module.exports = { createMemoryCollection, createFileCollection };
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Append-only file store.
+ * Every mutation is appended to a JSON-lines log; on startup the log is
+ * replayed into an in-memory index and compacted to one line per notification.
+ */
+function createFileStore({ filePath }) {
+  const index = createMemoryStore();
+  let writeQueue = Promise.resolve();
+
+  function revive(record) {
+    return {
+      ...record,
+      read_at: record.read_at ? new Date(record.read_at) : null,
+      created_at: new Date(record.created_at)
+    };
+  }
+
+  function append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const write = writeQueue.then(() => fs.promises.appendFile(filePath, line));
+    // Keep the queue alive after a failed write; the caller still sees the error
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async function replay(contents) {
+    const lines = contents.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        logger.warn(`Skipping corrupt line ${i + 1} in ${filePath}`);
+        continue;
+      }
+
+      if (entry.op === 'add') {
+        index.load(entry.user_id, revive(entry.notification));
+      } else if (entry.op === 'read') {
+        await index.markRead(entry.user_id, entry.id, new Date(entry.read_at));
+      } else if (entry.op === 'unread') {
+        await index.markUnread(entry.user_id, entry.id);
+      } else if (entry.op === 'delete') {
+        await index.remove(entry.user_id, entry.id);
+      }
+    }
+  }
+
+  async function compact() {
+    const lines = [];
+    for (const [userId, userNotifications] of index.entries()) {
+      for (const notification of userNotifications) {
+        lines.push(JSON.stringify({ op: 'add', user_id: userId, notification }));
+      }
+    }
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      let contents = '';
+      try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      await replay(contents);
+      await compact();
+      logger.info(`File notification store loaded ${index.size()} notifications from ${filePath}`);
+    },
+
+    async add(userId, notification) {
+      const stored = await index.add(userId, notification);
+      await append({ op: 'add', user_id: String(userId), notification: stored });
+      return stored;
+    },
+
+    /**
+     * Fail when the storage directory can no longer be written
+     */
+    async check() {
+      await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+      return { driver: 'file', path: filePath, notifications: index.size() };
+    },
+
+    list: index.list,
+    query: index.query,
+    get: index.get,
+    countUnread: index.countUnread,
+    userIds: index.userIds,
+    size: index.size,
+
+    async markRead(userId, id, readAt = new Date()) {
+      const notification = await index.markRead(userId, id, readAt);
+      if (notification) {
+        await append({ op: 'read', user_id: String(userId), id, read_at: readAt });
+      }
+      return notification;
+    },
+
+    async markUnread(userId, id) {
+      const notification = await index.markUnread(userId, id);
+      if (notification) {
+        await append({ op: 'unread', user_id: String(userId), id });
+      }
+      return notification;
+    },
+
+    async markManyRead(userId, filter, readAt = new Date()) {
+      const changed = await index.markManyRead(userId, filter, readAt);
+      for (const notification of changed) {
+        await append({ op: 'read', user_id: String(userId), id: notification.id, read_at: readAt });
+      }
+      return changed;
+    },
+
+    async removeMany(userId, ids) {
+      const removed = await index.removeMany(userId, ids);
+      for (const id of removed) {
+        await append({ op: 'delete', user_id: String(userId), id });
+      }
+      return removed;
+    },
+
+    async remove(userId, id) {
+      const removed = await index.remove(userId, id);
+      if (removed) {
+        await append({ op: 'delete', user_id: String(userId), id });
+      }
+      return removed;
+    },
+
+    async close() {
+      await writeQueue;
+    }
+  };
+}
+
+module.exports = { createFileStore };
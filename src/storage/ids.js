@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Notification IDs.
+ * A base-36 timestamp, a per-millisecond sequence and random bytes, so IDs
+ * never collide within a process, stay unique across instances and sort in
+ * creation order.
+ */
+let lastTime = 0;
+let sequence = 0;
+
+function createNotificationId(now = Date.now()) {
+  if (now > lastTime) {
+    lastTime = now;
+    sequence = 0;
+  } else {
+    sequence += 1;
+  }
+
+  return [
+    lastTime.toString(36).padStart(9, '0'),
+    sequence.toString(36).padStart(4, '0'),
+    crypto.randomBytes(4).toString('hex')
+  ].join('');
+}
+
+module.exports = { createNotificationId };
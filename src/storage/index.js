@@ -0,0 +1,106 @@
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createMemoryCollection, createFileCollection } = require('./collectionStore');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, decodeCursor } = require('./pagination');
+
+// Shared collections, created on first use and initialized at startup
+const collections = new Map();
+
+function resolveDriver(options) {
+  return options.driver ||
+    process.env.NOTIFICATION_STORE ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+}
+
+function resolveDir(options) {
+  return options.dir || process.env.STORAGE_DIR || path.join(process.cwd(), 'data');
+}
+
+/**
+ * Create the notification store configured by NOTIFICATION_STORE.
+ *
+ * Every backend exposes the same async interface:
+ *   init(), add(userId, notification), list(userId), query(userId, options), get(userId, id),
+ *   markRead(userId, id), markUnread(userId, id), markManyRead(userId, { category, before }),
+ *   remove(userId, id), removeMany(userId, ids), countUnread(userId), userIds(), size(), check(), close()
+ */
+function createNotificationStore(options = {}) {
+  const driver = resolveDriver(options);
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({
+        filePath: options.filePath ||
+          process.env.NOTIFICATION_STORE_PATH ||
+          path.join(resolveDir(options), 'notifications.log')
+      });
+    default:
+      throw new Error(`Unknown notification store driver: ${driver}`);
+  }
+}
+
+/**
+ * Create a keyed record collection on the configured backend.
+ * File collections live at `<STORAGE_DIR>/<name>.log`.
+ */
+function createCollection(name, options = {}) {
+  const driver = resolveDriver(options);
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryCollection(name);
+    case 'file':
+      return createFileCollection(name, { filePath: path.join(resolveDir(options), `${name}.log`) });
+    default:
+      throw new Error(`Unknown notification store driver: ${driver}`);
+  }
+}
+
+/**
+ * Get the shared collection called `name`, creating it on first use
+ */
+function getCollection(name) {
+  if (!collections.has(name)) {
+    collections.set(name, createCollection(name));
+  }
+  return collections.get(name);
+}
+
+async function initCollections() {
+  for (const collection of collections.values()) {
+    await collection.init();
+  }
+}
+
+/**
+ * Check every collection is still writable; throws on the first that is not
+ */
+async function checkCollections() {
+  for (const collection of collections.values()) {
+    await collection.check();
+  }
+  return collections.size;
+}
+
+async function closeCollections() {
+  for (const collection of collections.values()) {
+    await collection.close();
+  }
+}
+
+module.exports = {
+  createNotificationStore,
+  createMemoryStore,
+  createFileStore,
+  createCollection,
+  getCollection,
+  initCollections,
+  checkCollections,
+  closeCollections,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,147 @@
+const { createNotificationId } = require('./ids');
+const { paginate } = require('./pagination');
+
+/**
+ * In-memory notification store.
+ * Used as the test backend and as the index behind the file store.
+ */
+function createMemoryStore() {
+  const notifications = new Map();
+
+  function listFor(userId) {
+    return notifications.get(String(userId)) || [];
+  }
+
+  function countAll() {
+    let total = 0;
+    for (const userNotifications of notifications.values()) {
+      total += userNotifications.length;
+    }
+    return total;
+  }
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async add(userId, notification) {
+      const key = String(userId);
+      if (!notifications.has(key)) {
+        notifications.set(key, []);
+      }
+      const createdAt = new Date();
+      const stored = {
+        id: createNotificationId(createdAt.getTime()),
+        ...notification,
+        read_at: null,
+        created_at: createdAt
+      };
+      notifications.get(key).push(stored);
+      return stored;
+    },
+
+    async list(userId) {
+      return listFor(userId);
+    },
+
+    /**
+     * Filtered, newest-first page of a user's notifications (see pagination.js)
+     */
+    async query(userId, options) {
+      return paginate(listFor(userId), options);
+    },
+
+    async get(userId, id) {
+      return listFor(userId).find(n => n.id === id) || null;
+    },
+
+    async markRead(userId, id, readAt = new Date()) {
+      const notification = listFor(userId).find(n => n.id === id);
+      if (!notification) return null;
+      notification.read_at = readAt;
+      return notification;
+    },
+
+    async markUnread(userId, id) {
+      const notification = listFor(userId).find(n => n.id === id);
+      if (!notification) return null;
+      notification.read_at = null;
+      return notification;
+    },
+
+    /**
+     * Mark every unread notification matching { category, before } as read.
+     * Returns the notifications that changed.
+     */
+    async markManyRead(userId, { category, before } = {}, readAt = new Date()) {
+      const changed = listFor(userId).filter(n =>
+        !n.read_at &&
+        (!category || n.category === category) &&
+        (!before || new Date(n.created_at).getTime() < before.getTime()));
+      for (const notification of changed) {
+        notification.read_at = readAt;
+      }
+      return changed;
+    },
+
+    /**
+     * Remove the listed notifications. Returns the IDs actually removed.
+     */
+    async removeMany(userId, ids) {
+      const wanted = new Set(ids);
+      const key = String(userId);
+      const removed = listFor(userId).filter(n => wanted.has(n.id)).map(n => n.id);
+      if (removed.length) {
+        notifications.set(key, listFor(userId).filter(n => !wanted.has(n.id)));
+      }
+      return removed;
+    },
+
+    async remove(userId, id) {
+      const userNotifications = listFor(userId);
+      const index = userNotifications.findIndex(n => n.id === id);
+      if (index === -1) return false;
+      userNotifications.splice(index, 1);
+      return true;
+    },
+
+    async countUnread(userId) {
+      return listFor(userId).filter(n => !n.read_at).length;
+    },
+
+    /**
+     * Insert an already-built record as-is (used when replaying a log)
+     */
+    load(userId, record) {
+      const key = String(userId);
+      if (!notifications.has(key)) {
+        notifications.set(key, []);
+      }
+      notifications.get(key).push(record);
+    },
+
+    entries() {
+      return notifications.entries();
+    },
+
+    /**
+     * IDs of users who have notifications
+     */
+    async userIds() {
+      return [...notifications.keys()].filter(key => notifications.get(key).length);
+    },
+
+    size() {
+      return countAll();
+    },
+
+    async check() {
+      return { driver: 'memory', notifications: countAll() };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
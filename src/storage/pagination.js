@@ -0,0 +1,78 @@
+/**
+ * Filtering and cursor pagination for notification lists.
+ *
+ * Notifications are ordered newest first by created_at, then by ID. A cursor
+ * is the opaque position of the last notification on a page, so pages stay
+ * stable while new notifications arrive.
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function timeOf(notification) {
+  return new Date(notification.created_at).getTime();
+}
+
+function newestFirst(a, b) {
+  const diff = timeOf(b) - timeOf(a);
+  if (diff !== 0) return diff;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+function encodeCursor(notification) {
+  return Buffer.from(JSON.stringify([timeOf(notification), notification.id])).toString('base64url');
+}
+
+/**
+ * Returns { time, id }, or null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(time) || typeof id !== 'string') return null;
+    return { time, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+function isAfterCursor(notification, cursor) {
+  return newestFirst({ created_at: cursor.time, id: cursor.id }, notification) < 0;
+}
+
+/**
+ * Filter, sort and page one user's notifications.
+ * Options: { category, type, unreadOnly, since (Date), cursor, limit }.
+ * Returns { items, next_cursor } where next_cursor is null on the last page.
+ */
+function paginate(notifications, { category, type, unreadOnly = false, since, cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    throw new Error('Invalid cursor');
+  }
+
+  const matching = notifications
+    .filter(n => !category || n.category === category)
+    .filter(n => !type || n.type === type)
+    .filter(n => !unreadOnly || !n.read_at)
+    .filter(n => !since || timeOf(n) > since.getTime())
+    .filter(n => !position || isAfterCursor(n, position))
+    .sort(newestFirst);
+
+  const items = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  newestFirst,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
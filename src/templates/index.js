@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { render } = require('../utils/templateEngine');
+const { DEFAULT_LOCALE, localeChain, createFormatters } = require('../utils/i18n');
+
+/**
+ * Notification template registry.
+ *
+ * Each locale has its own catalog directory under src/templates (en, es, ...),
+ * with one directory per template:
+ *   meta.json   { subject, inApp: { title, message }, sms?, defaults? }
+ *   email.html  HTML email body (wrapped in layout.html)
+ *   email.txt   plain-text email body
+ *
+ * Templates missing from a locale fall back to the default locale.
+ */
+const TEMPLATES_DIR = __dirname;
+
+const REQUIRED_TEMPLATES = [
+  'booking_confirmation',
+  'booking_cancelled',
+  'booking_reminder',
+  'booking_completed',
+  'program_assigned',
+  'program_completed',
+  'achievement_earned',
+  'milestone_reached',
+  'announcement',
+  'digest',
+  'trainer_booking_created',
+  'trainer_booking_cancelled',
+  'trainer_booking_completed',
+  'trainer_program_completed'
+];
+
+const FILTER_PATTERN = /\{\{\{?\s*[\w.]+\s*\|\s*(\w+)\s*\}?\}\}/g;
+const KNOWN_FILTERS = Object.keys(createFormatters(DEFAULT_LOCALE));
+
+let registry = null;
+
+function checkFilters(template) {
+  const sources = [template.subject, template.title, template.message, template.sms || '', template.html, template.text];
+  for (const source of sources) {
+    for (const [, filter] of source.matchAll(FILTER_PATTERN)) {
+      if (!KNOWN_FILTERS.includes(filter)) {
+        throw new Error(`unknown filter "${filter}"`);
+      }
+    }
+  }
+}
+
+function readTemplate(dir, name) {
+  const templateDir = path.join(dir, name);
+  const meta = JSON.parse(fs.readFileSync(path.join(templateDir, 'meta.json'), 'utf8'));
+
+  if (!meta.subject || !meta.inApp || !meta.inApp.title || !meta.inApp.message) {
+    throw new Error('meta.json must define subject, inApp.title and inApp.message');
+  }
+
+  const template = {
+    name,
+    subject: meta.subject,
+    title: meta.inApp.title,
+    message: meta.inApp.message,
+    sms: meta.sms || null,
+    defaults: meta.defaults || {},
+    html: fs.readFileSync(path.join(templateDir, 'email.html'), 'utf8'),
+    text: fs.readFileSync(path.join(templateDir, 'email.txt'), 'utf8')
+  };
+
+  checkFilters(template);
+  return template;
+}
+
+function listDirectories(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+}
+
+/**
+ * Load and validate every locale catalog in `dir`.
+ * Throws when a required template is missing from the default locale,
+ * or when any template in any locale is incomplete.
+ */
+function loadTemplates({ dir = TEMPLATES_DIR, required = REQUIRED_TEMPLATES, defaultLocale = DEFAULT_LOCALE } = {}) {
+  const locales = new Map();
+  const problems = [];
+
+  for (const locale of listDirectories(dir)) {
+    const templates = new Map();
+    for (const name of listDirectories(path.join(dir, locale))) {
+      try {
+        templates.set(name, readTemplate(path.join(dir, locale), name));
+      } catch (error) {
+        problems.push(`${locale}/${name}: ${error.message}`);
+      }
+    }
+    locales.set(locale, templates);
+  }
+
+  const defaults = locales.get(defaultLocale) || new Map();
+  for (const name of required) {
+    if (!defaults.has(name) && !problems.some(p => p.startsWith(`${defaultLocale}/${name}:`))) {
+      problems.push(`${defaultLocale}/${name}: template is missing`);
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid notification templates:\n  ${problems.join('\n  ')}`);
+  }
+
+  const layoutPath = path.join(dir, 'layout.html');
+  const layout = fs.existsSync(layoutPath) ? fs.readFileSync(layoutPath, 'utf8') : '{{{content}}}';
+
+  return { locales, layout, defaultLocale };
+}
+
+/**
+ * Load the templates at startup so a broken template fails fast
+ */
+function initTemplates(options) {
+  registry = loadTemplates(options);
+  logger.info(`Loaded notification templates for locales: ${[...registry.locales.keys()].join(', ')}`);
+  return registry;
+}
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadTemplates();
+  }
+  return registry;
+}
+
+/**
+ * Find the most specific catalog entry for `name` in `locale`
+ */
+function findTemplate(name, locale) {
+  const { locales, defaultLocale } = getRegistry();
+
+  for (const candidate of localeChain(locale, defaultLocale)) {
+    const templates = locales.get(candidate);
+    if (templates && templates.has(name)) {
+      return { template: templates.get(name), catalog: candidate };
+    }
+  }
+
+  return null;
+}
+
+function withDefaults(data, defaults) {
+  const merged = { ...data };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Render every part of a template with `data` in `locale`.
+ * Dates, times and numbers are formatted for the full locale (e.g. es-MX)
+ * even when copy comes from a broader catalog (es) or the default.
+ * Returns { subject, html, text, sms, title, message, locale }.
+ */
+function renderTemplate(name, data = {}, { locale = DEFAULT_LOCALE } = {}) {
+  const found = findTemplate(name, locale);
+
+  if (!found) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const { template, catalog } = found;
+  const options = { filters: createFormatters(locale) };
+  const values = withDefaults(data, template.defaults);
+  const subject = render(template.subject, values, options);
+
+  return {
+    subject,
+    html: render(
+      getRegistry().layout,
+      { subject, locale: catalog, content: render(template.html, values, { ...options, escape: true }) },
+      { escape: true }
+    ),
+    text: render(template.text, values, options),
+    sms: template.sms ? render(template.sms, values, options) : null,
+    title: render(template.title, values, options),
+    message: render(template.message, values, options),
+    locale: catalog
+  };
+}
+
+module.exports = {
+  initTemplates,
+  loadTemplates,
+  renderTemplate,
+  REQUIRED_TEMPLATES
+};
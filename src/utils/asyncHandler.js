@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler so rejections reach the Express error handler
+ */
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+module.exports = asyncHandler;
@@ -1,11 +1,12 @@
 const axios = require('axios');
 const logger = require('../config/logger');
+const { timeHttpCall } = require('../metrics');
 
 const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
 const TRAINING_SERVICE_URL = process.env.TRAINING_SERVICE_URL || 'http://localhost:3002';
 const SCHEDULE_SERVICE_URL = process.env.SCHEDULE_SERVICE_URL || 'http://localhost:8003';
 
-// Create axios instances
+// Create axios instances; calls are timed per service for /metrics
 const userServiceClient = axios.create({
   baseURL: USER_SERVICE_URL,
   timeout: 5000
@@ -21,12 +22,33 @@ const scheduleServiceClient = axios.create({
   timeout: 5000
 });
 
+// Downstream services by name, as used in metrics and readiness checks
+const SERVICES = {
+  user: userServiceClient,
+  training: trainingServiceClient,
+  schedule: scheduleServiceClient
+};
+
+/**
+ * Check that `service` answers on its health endpoint (SERVICE_HEALTH_PATH,
+ * default /health). Throws when it is unreachable or returns an error status.
+ */
+async function pingService(service, { timeout } = {}) {
+  const client = SERVICES[service];
+  if (!client) {
+    throw new Error(`Unknown service: ${service}`);
+  }
+
+  const response = await client.get(process.env.SERVICE_HEALTH_PATH || '/health', { timeout });
+  return { url: client.defaults.baseURL, status_code: response.status };
+}
+
 /**
  * Get user contact information
  */
 async function getUserContact(userId) {
   try {
-    const response = await userServiceClient.get(`/api/users/${userId}`);
+    const response = await timeHttpCall('user', () => userServiceClient.get(`/api/users/${userId}`));
     return response.data.data;
   } catch (error) {
     logger.error(`Error fetching user ${userId}:`, error.message);
@@ -35,17 +57,18 @@ async function getUserContact(userId) {
 }
 
 /**
- * Get multiple users in batch
+ * Get multiple users in batch. Users the service does not know are left out
+ * of the result; throws when the service cannot be reached or answers with an error.
  */
 async function getUsersBatch(userIds) {
   try {
-    const response = await userServiceClient.post('/api/users/batch', {
+    const response = await timeHttpCall('user', () => userServiceClient.post('/api/users/batch', {
       user_ids: userIds
-    });
-    return response.data.data;
+    }));
+    return response.data.data || [];
   } catch (error) {
     logger.error('Error fetching users batch:', error.message);
-    return [];
+    throw error;
   }
 }
 
@@ -54,7 +77,7 @@ async function getUsersBatch(userIds) {
  */
 async function getProgramDetails(programId) {
   try {
-    const response = await trainingServiceClient.get(`/api/programs/${programId}`);
+    const response = await timeHttpCall('training', () => trainingServiceClient.get(`/api/programs/${programId}`));
     return response.data.data;
   } catch (error) {
     logger.error(`Error fetching program ${programId}:`, error.message);
@@ -67,7 +90,7 @@ async function getProgramDetails(programId) {
  */
 async function getBookingDetails(bookingId) {
   try {
-    const response = await scheduleServiceClient.get(`/api/bookings/${bookingId}`);
+    const response = await timeHttpCall('schedule', () => scheduleServiceClient.get(`/api/bookings/${bookingId}`));
     return response.data.data;
   } catch (error) {
     logger.error(`Error fetching booking ${bookingId}:`, error.message);
@@ -76,6 +99,8 @@ async function getBookingDetails(bookingId) {
 }
 
 module.exports = {
+  SERVICES,
+  pingService,
   getUserContact,
   getUsersBatch,
   getProgramDetails,
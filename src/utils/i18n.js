@@ -0,0 +1,110 @@
+/**
+ * Locale resolution and locale-aware formatting helpers
+ */
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Canonicalize a locale tag (e.g. "es_mx" -> "es-MX"); null when invalid
+ */
+function normalizeLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(value.replace(/_/g, '-'))[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick the user's locale from the user record, falling back to the default
+ */
+function resolveLocale(user) {
+  const preferred = user && (user.locale || user.language);
+  return normalizeLocale(preferred) || DEFAULT_LOCALE;
+}
+
+/**
+ * Candidate catalog names for a locale, most specific first:
+ * "es-MX" -> ["es-MX", "es", "en"]
+ */
+function localeChain(locale, defaultLocale = DEFAULT_LOCALE) {
+  const chain = [];
+  const normalized = normalizeLocale(locale);
+  if (normalized) {
+    chain.push(normalized);
+    const language = normalized.split('-')[0];
+    if (language !== normalized) chain.push(language);
+  }
+  if (!chain.includes(defaultLocale)) chain.push(defaultLocale);
+  return chain;
+}
+
+/**
+ * Format a date ("2025-01-15" or anything Date can parse) for a locale.
+ * Date-only values are formatted in UTC so they never shift a day.
+ */
+function formatDate(value, locale) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const match = DATE_PATTERN.exec(String(value));
+  const date = match
+    ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) return String(value);
+
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: 'medium',
+    timeZone: match ? 'UTC' : undefined
+  }).format(date);
+}
+
+/**
+ * Format a wall-clock time ("14:30" or "14:30:00") for a locale
+ */
+function formatTime(value, locale) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const match = TIME_PATTERN.exec(String(value));
+  if (!match) return String(value);
+
+  const date = new Date(Date.UTC(1970, 0, 1, Number(match[1]), Number(match[2]), Number(match[3] || 0)));
+  return new Intl.DateTimeFormat(locale, { timeStyle: 'short', timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * Format a number for a locale; non-numeric values pass through unchanged
+ */
+function formatNumber(value, locale) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const number = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(number)) return String(value);
+
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(number);
+}
+
+/**
+ * Template filters bound to a locale (used as `{{value | date}}`)
+ */
+function createFormatters(locale) {
+  return {
+    date: value => formatDate(value, locale),
+    time: value => formatTime(value, locale),
+    number: value => formatNumber(value, locale)
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  localeChain,
+  formatDate,
+  formatTime,
+  formatNumber,
+  createFormatters
+};
@@ -0,0 +1,72 @@
+/**
+ * Minimal mustache-style template renderer.
+ *
+ *   {{name}}            value, escaped when rendering HTML
+ *   {{{name}}}          raw value, never escaped
+ *   {{a.b}}             dotted lookup
+ *   {{name | date}}     value passed through a filter from `options.filters`
+ *   {{#name}}...{{/name}}  section rendered when the value is truthy
+ *   {{^name}}...{{/name}}  section rendered when the value is falsy
+ */
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+// Raw and escaped tags in one pass, so inserted values are never scanned for tags again
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}\}|\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(data, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === undefined || value === null ? undefined : value[key]),
+    data
+  );
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Render `template` with `data`. Pass `{ escape: true }` for HTML output.
+ */
+function render(template, data = {}, { escape = false, filters = {} } = {}) {
+  function resolve(path, filter) {
+    const value = lookup(data, path);
+    if (!filter) return toText(value);
+    if (typeof filters[filter] !== 'function') {
+      throw new Error(`Unknown template filter: ${filter}`);
+    }
+    return toText(filters[filter](value));
+  }
+
+  let output = template;
+  let previous;
+
+  // Resolve sections innermost-first until nothing changes
+  do {
+    previous = output;
+    output = output.replace(SECTION_PATTERN, (match, kind, path, body) => {
+      const show = isTruthy(lookup(data, path));
+      return (kind === '#' ? show : !show) ? body : '';
+    });
+  } while (output !== previous);
+
+  return output.replace(TAG_PATTERN, (match, rawPath, rawFilter, path, filter) => {
+    if (rawPath) return resolve(rawPath, rawFilter);
+    const text = resolve(path, filter);
+    return escape ? escapeHtml(text) : text;
+  });
+}
+
+module.exports = { render, escapeHtml };
@@ -0,0 +1,47 @@
+/**
+ * Timezone conversions for wall-clock dates and times
+ */
+
+/**
+ * Offset of `timezone` from UTC at `date`, in milliseconds
+ */
+function timezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * The instant at which the wall clock in `timezone` shows `date` ("YYYY-MM-DD")
+ * and `time` ("HH:MM" or "HH:MM:SS"). Returns null for unparseable input.
+ */
+function zonedDateTime(date, time, timezone = 'UTC') {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(String(time || ''));
+  if (!dateMatch || !timeMatch) return null;
+
+  const wallClock = Date.UTC(
+    Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+    Number(timeMatch[1]), Number(timeMatch[2]), Number(timeMatch[3] || 0)
+  );
+
+  // Apply the offset twice so times next to a DST change land correctly
+  let instant = wallClock - timezoneOffset(new Date(wallClock), timezone);
+  instant = wallClock - timezoneOffset(new Date(instant), timezone);
+
+  const result = new Date(instant);
+  return Number.isNaN(result.getTime()) ? null : result;
+}
+
+module.exports = { timezoneOffset, zonedDateTime };
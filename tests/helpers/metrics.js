@@ -0,0 +1,29 @@
+/**
+ * Read recorded values back from prom-client metrics.
+ */
+
+function sameLabels(entry, labels) {
+  const names = Object.keys(labels);
+  return Object.keys(entry.labels).length === names.length &&
+    names.every(name => String(entry.labels[name]) === String(labels[name]));
+}
+
+/**
+ * The value of a counter or gauge series, 0 when nothing was recorded
+ */
+async function metricValue(metric, labels = {}) {
+  const { values } = await metric.get();
+  const entry = values.find(candidate => sameLabels(candidate, labels));
+  return entry ? entry.value : 0;
+}
+
+/**
+ * How many observations a histogram series has
+ */
+async function observationCount(histogram, labels = {}) {
+  const { name, values } = await histogram.get();
+  const entry = values.find(candidate => candidate.metricName === `${name}_count` && sameLabels(candidate, labels));
+  return entry ? entry.value : 0;
+}
+
+module.exports = { metricValue, observationCount };
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * The browser side of Web Push, for checking what the push channel sends.
+ */
+const TAG_LENGTH = 16;
+const PADDING_DELIMITER = 0x02;
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function hkdf(salt, ikm, info, length) {
+  return hmac(hmac(salt, ikm), Buffer.concat([info, Buffer.from([1])])).subarray(0, length);
+}
+
+/**
+ * Decrypt an aes128gcm push message body as a user agent would, with the
+ * subscription's private key and auth secret (base64url).
+ */
+function decryptPayload(body, { privateKey, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+  const userAgentPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = hkdf(Buffer.from(auth, 'base64url'), sharedSecret, keyInfo, 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - TAG_LENGTH));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - TAG_LENGTH)), decipher.final()]);
+
+  return padded.subarray(0, padded.lastIndexOf(PADDING_DELIMITER)).toString('utf8');
+}
+
+module.exports = { decryptPayload };
@@ -0,0 +1,276 @@
+/**
+ * Unit tests for JWT verification and the user/admin auth middleware.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { verifyJwt } = require('../../src/auth/jwt');
+const { authenticateToken } = require('../../src/auth');
+const requireUser = require('../../src/middleware/requireUser');
+const requireAdmin = require('../../src/middleware/requireAdmin');
+
+const SECRET = 'test-secret';
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function inOneHour() {
+  return Math.floor(Date.now() / 1000) + 3600;
+}
+
+// Tokens expire in an hour unless the claims set `exp`
+function signHmac(claims, { secret = SECRET, alg = 'HS256' } = {}) {
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode({ exp: inOneHour(), ...claims })}`;
+  const hash = `sha${alg.slice(2)}`;
+  return `${input}.${crypto.createHmac(hash, secret).update(input).digest('base64url')}`;
+}
+
+function signWithKey(claims, privateKey, { alg, kid }) {
+  const input = `${encode({ alg, typ: 'JWT', kid })}.${encode({ exp: inOneHour(), ...claims })}`;
+  const options = alg.startsWith('ES') ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : { key: privateKey };
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), options).toString('base64url')}`;
+}
+
+describe('Authentication', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('verifyJwt', () => {
+    it('should return the claims of a valid HS256 token', async () => {
+      const claims = await verifyJwt(signHmac({ sub: 'user-1', exp: inOneHour() }), { secret: SECRET });
+
+      expect(claims.sub).toBe('user-1');
+    });
+
+    it('should reject bad signatures and malformed tokens', async () => {
+      await expect(verifyJwt(signHmac({ sub: 'user-1' }, { secret: 'other' }), { secret: SECRET }))
+        .rejects.toThrow('Invalid token signature');
+      await expect(verifyJwt('not.a.jwt', { secret: SECRET })).rejects.toThrow('Malformed token');
+      await expect(verifyJwt('abc', { secret: SECRET })).rejects.toThrow('Malformed token');
+    });
+
+    it('should reject unsigned tokens', async () => {
+      const token = `${encode({ alg: 'none' })}.${encode({ sub: 'user-1' })}.`;
+
+      await expect(verifyJwt(token, { secret: SECRET })).rejects.toThrow('Unsupported token algorithm: none');
+    });
+
+    it('should check expiry, not-before, issuer and audience', async () => {
+      const now = Date.parse('2025-01-15T10:00:00Z');
+      const seconds = now / 1000;
+      const verify = (claims, options = {}) => verifyJwt(signHmac(claims), { secret: SECRET, now, ...options });
+
+      await expect(verify({ exp: seconds - 60 })).rejects.toThrow('Token has expired');
+      expect(await verify({ exp: seconds - 10 }, { clockTolerance: 30 })).toBeDefined();
+      await expect(verify({ nbf: seconds + 60 })).rejects.toThrow('Token is not valid yet');
+      await expect(verify({ iss: 'someone' }, { issuer: 'user-service' })).rejects.toThrow('Unexpected token issuer');
+      await expect(verify({ aud: 'other' }, { audience: 'notifications' })).rejects.toThrow('Unexpected token audience');
+      expect(await verify({ aud: ['other', 'notifications'] }, { audience: 'notifications' })).toBeDefined();
+    });
+
+    it('should reject tokens without an expiry', async () => {
+      const token = signHmac({ sub: 'user-1', exp: undefined });
+
+      await expect(verifyJwt(token, { secret: SECRET })).rejects.toThrow('Token has no expiry');
+      await expect(verifyJwt(signHmac({ sub: 'user-1', exp: String(inOneHour()) }), { secret: SECRET }))
+        .rejects.toThrow('Token has no expiry');
+    });
+  });
+
+  describe('JWKS keys', () => {
+    let dir;
+    let rsa;
+    let ec;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeJwks(keys) {
+      const jwksPath = path.join(dir, 'jwks.json');
+      fs.writeFileSync(jwksPath, JSON.stringify({ keys }));
+      process.env.JWT_JWKS_PATH = jwksPath;
+      delete process.env.JWT_SECRET;
+    }
+
+    it('should verify RS256 and ES256 tokens by kid', async () => {
+      writeJwks([
+        { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' },
+        { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' }
+      ]);
+
+      const rsToken = signWithKey({ sub: 'user-1', exp: inOneHour() }, rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' });
+      const esToken = signWithKey({ sub: 'user-2', exp: inOneHour() }, ec.privateKey, { alg: 'ES256', kid: 'ec-1' });
+
+      expect((await authenticateToken(rsToken)).userId).toBe('user-1');
+      expect((await authenticateToken(esToken)).userId).toBe('user-2');
+    });
+
+    it('should pick up keys added to the file after startup', async () => {
+      writeJwks([{ ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1' }]);
+      await authenticateToken(signWithKey({ sub: 'user-1' }, rsa.privateKey, { alg: 'RS256', kid: 'rsa-1' }));
+
+      const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      writeJwks([{ ...rotated.publicKey.export({ format: 'jwk' }), kid: 'rsa-2' }]);
+
+      const token = signWithKey({ sub: 'user-3' }, rotated.privateKey, { alg: 'RS256', kid: 'rsa-2' });
+      expect((await authenticateToken(token)).userId).toBe('user-3');
+    });
+
+    it('should reject tokens signed by unknown keys', async () => {
+      writeJwks([{ ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1' }]);
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+      await expect(authenticateToken(signWithKey({ sub: 'x' }, other.privateKey, { alg: 'RS256', kid: 'rsa-1' })))
+        .rejects.toThrow('Invalid token signature');
+      await expect(authenticateToken(signWithKey({ sub: 'x' }, other.privateKey, { alg: 'RS256', kid: 'nope' })))
+        .rejects.toThrow('No verification key found');
+    });
+  });
+
+  describe('authenticateToken', () => {
+    beforeEach(() => {
+      process.env.JWT_SECRET = SECRET;
+    });
+
+    it('should read the user ID and roles from the claims', async () => {
+      expect(await authenticateToken(signHmac({ sub: 42, role: 'client' }))).toMatchObject({ userId: '42', roles: ['client'], isAdmin: false });
+      expect(await authenticateToken(signHmac({ user_id: 'u1', roles: ['admin'] }))).toMatchObject({ userId: 'u1', isAdmin: true });
+    });
+
+    it('should use JWT_ADMIN_ROLE for the admin role', async () => {
+      process.env.JWT_ADMIN_ROLE = 'notifications:admin';
+
+      expect((await authenticateToken(signHmac({ roles: ['admin'] }))).isAdmin).toBe(false);
+      expect((await authenticateToken(signHmac({ roles: ['notifications:admin'] }))).isAdmin).toBe(true);
+    });
+  });
+
+  describe('requireUser', () => {
+    let app;
+
+    beforeEach(() => {
+      process.env.JWT_SECRET = SECRET;
+      app = express();
+      app.get('/me', requireUser, (req, res) => res.json({ userId: req.userId }));
+    });
+
+    it('should act on the token\'s user', async () => {
+      const res = await request(app).get('/me').set('Authorization', `Bearer ${signHmac({ sub: 'user-1' })}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.userId).toBe('user-1');
+    });
+
+    it('should refuse other users\' notifications', async () => {
+      const token = signHmac({ sub: 'user-1' });
+
+      const own = await request(app).get('/me?user_id=user-1').set('Authorization', `Bearer ${token}`);
+      const other = await request(app).get('/me?user_id=user-2').set('Authorization', `Bearer ${token}`);
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(other.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should let admin tokens act on any user', async () => {
+      const token = signHmac({ sub: 'booking-service', role: 'admin' });
+
+      const res = await request(app).get('/me?user_id=user-2').set('Authorization', `Bearer ${token}`);
+
+      expect(res.body.userId).toBe('user-2');
+    });
+
+    it('should require user_id for admin tokens without a subject', async () => {
+      const res = await request(app).get('/me').set('Authorization', `Bearer ${signHmac({ role: 'admin' })}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('MISSING_USER_ID');
+    });
+
+    it('should reject missing, invalid and expired tokens', async () => {
+      const missing = await request(app).get('/me?user_id=user-1');
+      const invalid = await request(app).get('/me').set('Authorization', `Bearer ${signHmac({ sub: 'user-1' }, { secret: 'x' })}`);
+      const expired = await request(app).get('/me').set('Authorization', `Bearer ${signHmac({ sub: 'user-1', exp: 1 })}`);
+
+      expect(missing.status).toBe(401);
+      expect(invalid.status).toBe(401);
+      expect(invalid.body.error.code).toBe('INVALID_TOKEN');
+      expect(expired.body.error.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should refuse requests when no verification key is configured', async () => {
+      delete process.env.JWT_SECRET;
+      delete process.env.JWT_JWKS_PATH;
+
+      const res = await request(app).get('/me').set('Authorization', `Bearer ${signHmac({ sub: 'user-1' })}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('AUTH_DISABLED');
+    });
+  });
+
+  describe('requireAdmin', () => {
+    let app;
+
+    beforeEach(() => {
+      process.env.JWT_SECRET = SECRET;
+      delete process.env.ADMIN_API_KEY;
+      app = express();
+      app.get('/admin', requireAdmin, (req, res) => res.json({ ok: true }));
+    });
+
+    it('should accept admin JWTs', async () => {
+      const res = await request(app).get('/admin').set('Authorization', `Bearer ${signHmac({ role: 'admin' })}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should refuse user JWTs', async () => {
+      const res = await request(app).get('/admin').set('Authorization', `Bearer ${signHmac({ sub: 'user-1' })}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should still accept the admin key', async () => {
+      process.env.ADMIN_API_KEY = 'key';
+
+      const res = await request(app).get('/admin').set('X-Admin-Key', 'key');
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should refuse wrong admin keys, including multibyte ones of the same length', async () => {
+      process.env.ADMIN_API_KEY = 'key';
+
+      for (const key of ['kez', 'ke', 'kéy']) {
+        const res = await request(app).get('/admin').set('X-Admin-Key', key);
+
+        expect(res.status).toBe(401);
+        expect(res.body.error.code).toBe('UNAUTHORIZED');
+      }
+    });
+  });
+});
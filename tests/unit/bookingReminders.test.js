@@ -0,0 +1,120 @@
+/**
+ * Unit tests for booking reminder scheduling.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { findJobs, cancelJob } = require('../../src/scheduler');
+const {
+  parseOffsets,
+  scheduleBookingReminders,
+  cancelBookingReminders
+} = require('../../src/scheduler/bookingReminders');
+const { zonedDateTime } = require('../../src/utils/timezone');
+
+describe('Booking Reminders', () => {
+  const now = new Date('2025-01-10T12:00:00Z');
+  const booking = {
+    booking_id: 'booking-123',
+    client_id: 'client-456',
+    trainer_id: 'trainer-789',
+    booking_date: '2025-01-15',
+    start_time: '10:00'
+  };
+
+  function remindersFor(bookingId) {
+    return findJobs(job => job.type === 'booking_reminder' && job.payload.booking_id === bookingId);
+  }
+
+  afterEach(async () => {
+    delete process.env.BOOKING_REMINDER_OFFSETS;
+    delete process.env.BOOKING_TIMEZONE;
+    for (const job of findJobs()) {
+      await cancelJob(job.id);
+    }
+  });
+
+  describe('parseOffsets', () => {
+    it('should parse minutes, hours and days, largest first', () => {
+      expect(parseOffsets('1h, 30m,2d')).toEqual([
+        { label: '2d', ms: 172800000 },
+        { label: '1h', ms: 3600000 },
+        { label: '30m', ms: 1800000 }
+      ]);
+    });
+
+    it('should reject malformed offsets', () => {
+      expect(() => parseOffsets('24h,soon')).toThrow('Invalid reminder offset "soon"');
+    });
+  });
+
+  describe('zonedDateTime', () => {
+    it('should convert wall-clock booking times to instants', () => {
+      expect(zonedDateTime('2025-01-15', '10:00', 'UTC')).toEqual(new Date('2025-01-15T10:00:00Z'));
+      expect(zonedDateTime('2025-01-15', '10:00', 'America/New_York')).toEqual(new Date('2025-01-15T15:00:00Z'));
+      expect(zonedDateTime('2025-07-15', '10:00:00', 'America/New_York')).toEqual(new Date('2025-07-15T14:00:00Z'));
+    });
+
+    it('should return null for invalid input', () => {
+      expect(zonedDateTime(undefined, '10:00')).toBeNull();
+      expect(zonedDateTime('2025-01-15', 'soon')).toBeNull();
+    });
+  });
+
+  describe('scheduleBookingReminders', () => {
+    it('should schedule the default 24h and 1h reminders', async () => {
+      const jobs = await scheduleBookingReminders(booking, now);
+
+      expect(jobs.map(job => job.run_at)).toEqual([
+        '2025-01-14T10:00:00.000Z',
+        '2025-01-15T09:00:00.000Z'
+      ]);
+      expect(jobs[0].payload).toMatchObject({ booking_id: 'booking-123', client_id: 'client-456', offset: '24h' });
+    });
+
+    it('should use configured offsets and timezone', async () => {
+      process.env.BOOKING_REMINDER_OFFSETS = '2h';
+      process.env.BOOKING_TIMEZONE = 'Asia/Colombo';
+
+      const [job] = await scheduleBookingReminders(booking, now);
+
+      expect(job.run_at).toBe('2025-01-15T02:30:00.000Z');
+    });
+
+    it('should skip reminders that are already due', async () => {
+      const jobs = await scheduleBookingReminders(booking, new Date('2025-01-15T08:00:00Z'));
+
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0].payload.offset).toBe('1h');
+    });
+
+    it('should move reminders when the booking is rescheduled', async () => {
+      await scheduleBookingReminders(booking, now);
+      await scheduleBookingReminders({ ...booking, booking_date: '2025-01-20' }, now);
+
+      expect(remindersFor('booking-123').map(job => job.run_at)).toEqual([
+        '2025-01-19T10:00:00.000Z',
+        '2025-01-20T09:00:00.000Z'
+      ]);
+    });
+
+    it('should not schedule anything for invalid dates', async () => {
+      expect(await scheduleBookingReminders({ ...booking, booking_date: undefined }, now)).toEqual([]);
+    });
+  });
+
+  describe('cancelBookingReminders', () => {
+    it('should cancel only that booking\'s reminders', async () => {
+      await scheduleBookingReminders(booking, now);
+      await scheduleBookingReminders({ ...booking, booking_id: 'booking-999' }, now);
+
+      expect(await cancelBookingReminders('booking-123')).toBe(2);
+      expect(remindersFor('booking-123')).toHaveLength(0);
+      expect(remindersFor('booking-999')).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Unit tests for admin broadcasts: validation, chunked fan-out, progress,
+ * cancellation, scheduling and the admin API.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  createBroadcast,
+  getBroadcast,
+  listBroadcasts,
+  cancelBroadcast,
+  runBroadcast,
+  matchesSegment
+} = require('../../src/broadcasts');
+const { findJobs } = require('../../src/scheduler');
+const { createBroadcastRouter } = require('../../src/routes/broadcasts');
+
+const users = {
+  u1: { id: 'u1', role: 'client', locale: 'en' },
+  u2: { id: 'u2', role: 'trainer', locale: 'es' },
+  u3: { id: 'u3', role: 'client', locale: 'es' },
+  u4: { id: 'u4', role: 'client', locale: 'en' },
+  u5: { id: 'u5', role: 'client', locale: 'en' }
+};
+
+function fetchUsers(ids) {
+  return Promise.resolve(ids.filter(id => users[id]).map(id => users[id]));
+}
+
+describe('Broadcasts', () => {
+  const config = { chunkSize: 2 };
+  let deliver;
+
+  beforeEach(() => {
+    deliver = jest.fn().mockResolvedValue({
+      in_app: { id: 'n1' },
+      email: { success: true, messageId: 'm1' },
+      push: { success: false, suppressed: true }
+    });
+  });
+
+  describe('createBroadcast', () => {
+    it('should store the broadcast and schedule its job', async () => {
+      const broadcast = await createBroadcast({
+        title: ' Pool closed ',
+        message: 'Closed on Monday for maintenance.',
+        user_ids: ['u1', 'u2', 'u1'],
+        send_at: '2030-01-15T09:00:00Z'
+      }, { createdBy: 'admin-1' });
+
+      expect(broadcast).toMatchObject({
+        title: 'Pool closed',
+        user_ids: ['u1', 'u2'],
+        segment: null,
+        status: 'scheduled',
+        send_at: '2030-01-15T09:00:00.000Z',
+        created_by: 'admin-1'
+      });
+      expect(findJobs(job => job.key === `broadcast:${broadcast.id}`)).toHaveLength(1);
+    });
+
+    it('should reject invalid input', async () => {
+      await expect(createBroadcast({ title: '', message: 'x', user_ids: ['u1'] })).rejects.toThrow('title');
+      await expect(createBroadcast({ title: 'x', message: 'x' })).rejects.toThrow('user_ids or segment is required');
+      await expect(createBroadcast({ title: 'x', message: 'x', user_ids: [] })).rejects.toThrow('user_ids');
+      await expect(createBroadcast({ title: 'x', message: 'x', segment: { role: {} } })).rejects.toThrow('segment');
+      await expect(createBroadcast({ title: 'x', message: 'x', segment: { role: 'client' }, send_at: 'soon' })).rejects.toThrow('send_at');
+    });
+  });
+
+  describe('matchesSegment', () => {
+    it('should match every field, with lists matching any value', () => {
+      expect(matchesSegment(users.u1, { role: 'client' })).toBe(true);
+      expect(matchesSegment(users.u2, { role: 'client' })).toBe(false);
+      expect(matchesSegment(users.u3, { role: 'client', locale: ['es', 'pt'] })).toBe(true);
+      expect(matchesSegment(users.u1, { gym_id: 'g1' })).toBe(false);
+      expect(matchesSegment(users.u1, null)).toBe(true);
+    });
+  });
+
+  describe('runBroadcast', () => {
+    it('should deliver in chunks and track progress per channel', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1', 'missing', 'u2'] });
+
+      const result = await runBroadcast(id, { fetchUsers: jest.fn(fetchUsers), deliver, config });
+
+      expect(deliver).toHaveBeenCalledTimes(2);
+      expect(deliver).toHaveBeenCalledWith(users.u1, expect.objectContaining({ id }));
+      expect(result.status).toBe('completed');
+      expect(result.progress).toEqual({
+        total: 3,
+        processed: 3,
+        delivered: 2,
+        skipped: 1,
+        failed: 0,
+        channels: { in_app: { sent: 2 }, email: { sent: 2 }, push: { suppressed: 2 } }
+      });
+    });
+
+    it('should resolve segment recipients from known users', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', segment: { role: 'client', locale: 'en' } });
+      const fetch = jest.fn(fetchUsers);
+
+      const result = await runBroadcast(id, {
+        fetchUsers: fetch,
+        listKnownUsers: async () => ['u1', 'u2', 'u3', 'u4', 'u5'],
+        deliver,
+        config
+      });
+
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).toHaveBeenNthCalledWith(1, ['u1', 'u2']);
+      expect(deliver.mock.calls.map(([contact]) => contact.id)).toEqual(['u1', 'u4', 'u5']);
+      expect(result.progress).toMatchObject({ delivered: 3, skipped: 2 });
+    });
+
+    it('should count users whose delivery failed', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1', 'u3'] });
+      deliver.mockRejectedValueOnce(new Error('email: SMTP down'));
+
+      const result = await runBroadcast(id, { fetchUsers, deliver, config });
+
+      expect(result.progress).toMatchObject({ delivered: 1, failed: 1 });
+      expect(result.status).toBe('completed');
+    });
+
+    it('should resume from the last saved chunk after a user service failure', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1', 'u3', 'u4', 'u5'] });
+      const flaky = jest.fn(fetchUsers).mockResolvedValueOnce([users.u1, users.u3]).mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      await expect(runBroadcast(id, { fetchUsers: flaky, deliver, config })).rejects.toThrow('Could not fetch recipients 3-4: connect ECONNREFUSED');
+      expect(getBroadcast(id)).toMatchObject({ status: 'sending', progress: { processed: 2 } });
+
+      const result = await runBroadcast(id, { fetchUsers, deliver, config });
+
+      expect(result.status).toBe('completed');
+      expect(deliver.mock.calls.map(([contact]) => contact.id)).toEqual(['u1', 'u3', 'u4', 'u5']);
+    });
+
+    it('should mark the broadcast failed on the last attempt', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1'] });
+
+      const down = async () => { throw new Error('Request failed with status code 503'); };
+
+      await expect(runBroadcast(id, { fetchUsers: down, deliver, config, lastAttempt: true })).rejects.toThrow();
+
+      expect(getBroadcast(id)).toMatchObject({ status: 'failed', error: expect.stringContaining('status code 503') });
+    });
+
+    it('should skip a chunk of users the user service does not know', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1', 'deleted-1', 'deleted-2', 'u3'] });
+
+      const result = await runBroadcast(id, { fetchUsers, deliver, config: { chunkSize: 1 } });
+
+      expect(result.status).toBe('completed');
+      expect(result.progress).toMatchObject({ processed: 4, delivered: 2, skipped: 2, failed: 0 });
+    });
+
+    it('should stop after the current chunk when cancelled', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1', 'u3', 'u4', 'u5'] });
+      deliver.mockImplementationOnce(async () => {
+        await cancelBroadcast(id);
+        return {};
+      });
+
+      const result = await runBroadcast(id, { fetchUsers, deliver, config });
+
+      expect(deliver).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ status: 'cancelled', progress: { processed: 2 } });
+    });
+  });
+
+  describe('cancelBroadcast', () => {
+    it('should cancel a scheduled broadcast and its job', async () => {
+      const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1'], send_at: '2030-01-01T00:00:00Z' });
+
+      const cancelled = await cancelBroadcast(id);
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(findJobs(job => job.key === `broadcast:${id}`)).toEqual([]);
+      await expect(cancelBroadcast(id)).rejects.toThrow('already cancelled');
+      expect(await cancelBroadcast('missing')).toBeNull();
+    });
+  });
+
+  describe('admin API', () => {
+    const originalKey = process.env.ADMIN_API_KEY;
+    let app;
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'secret';
+      app = express();
+      app.use(express.json());
+      app.use('/broadcasts', createBroadcastRouter());
+    });
+
+    afterEach(() => {
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    });
+
+    it('should require the admin key', async () => {
+      const res = await request(app).post('/broadcasts').send({ title: 'x', message: 'y', user_ids: ['u1'] });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should create, inspect, list and cancel broadcasts', async () => {
+      const created = await request(app)
+        .post('/broadcasts')
+        .set('X-Admin-Key', 'secret')
+        .send({ title: 'New class', message: 'HIIT on Fridays', segment: { role: 'client' }, send_at: '2030-02-01T08:00:00Z' });
+      const { id } = created.body.data;
+
+      const one = await request(app).get(`/broadcasts/${id}`).set('X-Admin-Key', 'secret');
+      const scheduled = await request(app).get('/broadcasts?status=scheduled').set('X-Admin-Key', 'secret');
+      const cancelled = await request(app).post(`/broadcasts/${id}/cancel`).set('X-Admin-Key', 'secret');
+      const again = await request(app).post(`/broadcasts/${id}/cancel`).set('X-Admin-Key', 'secret');
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.created_by).toBe('admin-key');
+      expect(one.body.data.status).toBe('scheduled');
+      expect(scheduled.body.data.map(b => b.id)).toContain(id);
+      expect(cancelled.body.data.status).toBe('cancelled');
+      expect(again.status).toBe(409);
+      expect(again.body.error.code).toBe('BROADCAST_FINISHED');
+    });
+
+    it('should reject invalid broadcasts and unknown IDs', async () => {
+      const invalid = await request(app).post('/broadcasts').set('X-Admin-Key', 'secret').send({ title: 'x' });
+      const missing = await request(app).get('/broadcasts/nope').set('X-Admin-Key', 'secret');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  it('should leave recipient lists out of the listing', async () => {
+    const { id } = await createBroadcast({ title: 'Hi', message: 'News', user_ids: ['u1'] });
+    await runBroadcast(id, { fetchUsers, deliver, config });
+
+    const listed = listBroadcasts().items.find(b => b.id === id);
+
+    expect(listed.recipients).toBeUndefined();
+    expect(getBroadcast(id).recipients).toEqual(['u1']);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for deliveries held until quiet hours end.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const logger = require('../../src/config/logger');
+const { JOB_TYPE, deferDelivery, releaseDelivery } = require('../../src/deferrals');
+const { findJobs } = require('../../src/scheduler');
+const { updatePreferences } = require('../../src/preferences');
+const { listDeliveries } = require('../../src/deliveries');
+
+describe('Deferred deliveries', () => {
+  const deliverAt = new Date('2025-01-15T07:00:00Z');
+  const content = {
+    title: 'Goal reached',
+    message: 'You reached your goal',
+    subject: 'You reached your goal',
+    html: '<p>You reached your goal</p>',
+    text: 'You reached your goal',
+    sms: 'You reached your goal'
+  };
+  const push = { title: 'Goal reached', body: 'You reached your goal', data: { category: 'achievement' } };
+  let userCounter = 0;
+  let userId;
+  let audit;
+  let send;
+
+  const jobFor = id => findJobs(job => job.id === id)[0];
+  const deliveriesFor = channel => listDeliveries({ user_id: userId, channel }).items;
+
+  async function defer(channel, recipient) {
+    const result = await deferDelivery({ userId, category: 'achievement', channel, deliverAt, recipient, content, push, audit });
+    return { result, job: jobFor(result.job_id) };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userCounter += 1;
+    userId = `deferred-user-${userCounter}`;
+    audit = { notification_id: `n-${userCounter}`, type: 'milestone_reached', source: { event_channel: 'milestone.reached', event_id: '1-0' } };
+    send = {
+      email: jest.fn().mockResolvedValue({ success: true, messageId: 'm1' }),
+      sms: jest.fn().mockResolvedValue({ success: true, sid: 's1' }),
+      push: jest.fn().mockResolvedValue({ success: true, sent: 1 })
+    };
+  });
+
+  describe('deferDelivery', () => {
+    it('should schedule the email for the end of quiet hours', async () => {
+      const { result, job } = await defer('email', 'client@example.com');
+
+      expect(result).toEqual({ success: true, deferred: true, deliver_at: '2025-01-15T07:00:00.000Z', job_id: job.id });
+      expect(job).toMatchObject({ type: JOB_TYPE, run_at: '2025-01-15T07:00:00.000Z', status: 'pending' });
+      expect(job.payload).toEqual({
+        user_id: userId,
+        category: 'achievement',
+        channel: 'email',
+        to: 'client@example.com',
+        subject: content.subject,
+        html: content.html,
+        text: content.text,
+        audit
+      });
+    });
+
+    it('should only keep what SMS and push need', async () => {
+      expect((await defer('sms', '+15550100')).job.payload).toMatchObject({ channel: 'sms', to: '+15550100', message: content.sms });
+
+      const { job } = await defer('push', userId);
+      expect(job.payload).toEqual({ user_id: userId, category: 'achievement', channel: 'push', push, audit });
+    });
+  });
+
+  describe('releaseDelivery', () => {
+    it('should send the held email and record it against the notification', async () => {
+      const { job } = await defer('email', 'client@example.com');
+
+      const result = await releaseDelivery(job.payload, { send });
+
+      expect(result.success).toBe(true);
+      expect(send.email).toHaveBeenCalledWith('client@example.com', content.subject, { html: content.html, text: content.text });
+      expect(deliveriesFor('email')).toEqual([expect.objectContaining({
+        notification_id: audit.notification_id,
+        recipient: 'client@example.com',
+        type: 'milestone_reached',
+        status: 'sent',
+        event_channel: 'milestone.reached'
+      })]);
+    });
+
+    it('should send held SMS and push to their channels', async () => {
+      await updatePreferences(userId, { categories: { achievement: { sms: true } } });
+      await releaseDelivery((await defer('sms', '+15550100')).job.payload, { send });
+      await releaseDelivery((await defer('push', userId)).job.payload, { send });
+
+      expect(send.sms).toHaveBeenCalledWith({ id: userId, phone: '+15550100' }, content.sms);
+      expect(send.push).toHaveBeenCalledWith(userId, push);
+      expect(deliveriesFor('push')[0]).toMatchObject({ recipient: userId, status: 'sent' });
+    });
+
+    it('should drop the delivery when the channel was turned off during quiet hours', async () => {
+      const { job } = await defer('email', 'client@example.com');
+      await updatePreferences(userId, { categories: { achievement: { email: false } } });
+
+      const result = await releaseDelivery(job.payload, { send });
+
+      expect(result).toEqual({ success: false, suppressed: true });
+      expect(send.email).not.toHaveBeenCalled();
+      expect(deliveriesFor('email')[0].status).toBe('suppressed');
+      expect(logger.info).toHaveBeenCalledWith(
+        `Dropping deferred email for user ${userId}: the channel was turned off during quiet hours`
+      );
+    });
+
+    it('should record a failed send and throw so the job is retried', async () => {
+      const { job } = await defer('email', 'client@example.com');
+      send.email.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+      await expect(releaseDelivery(job.payload, { send })).rejects.toThrow('SMTP down');
+      expect(deliveriesFor('email')[0]).toMatchObject({ status: 'failed', error: 'SMTP down' });
+    });
+  });
+});
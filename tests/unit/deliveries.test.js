@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the delivery audit trail and its admin search API.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  deliveryStatus,
+  recordDelivery,
+  purgeDeliveries,
+  listDeliveries,
+  getDelivery
+} = require('../../src/deliveries');
+const { createDeliveryRouter } = require('../../src/routes/deliveries');
+
+describe('Delivery Tracking', () => {
+  const source = { event_channel: 'booking.created', event_id: '1-0', event_key: 'booking.created:b1' };
+
+  beforeEach(async () => {
+    await purgeDeliveries(new Date('9999-12-31T00:00:00Z'));
+  });
+
+  describe('deliveryStatus', () => {
+    it('should map channel results to statuses', () => {
+      expect(deliveryStatus({ success: true, messageId: 'm1' })).toBe('sent');
+      expect(deliveryStatus({ success: true, deferred: true, job_id: 'j1' })).toBe('queued');
+      expect(deliveryStatus({ success: false, suppressed: true })).toBe('suppressed');
+      expect(deliveryStatus({ success: false, skipped: true, error: 'No phone number' })).toBe('suppressed');
+      expect(deliveryStatus({ success: false, error: 'SMTP down' })).toBe('failed');
+    });
+  });
+
+  describe('recordDelivery', () => {
+    it('should record the attempt with its provider response and source event', async () => {
+      const now = new Date('2025-01-15T10:00:00Z');
+
+      const record = await recordDelivery({
+        userId: 42,
+        notificationId: 'n1',
+        channel: 'email',
+        recipient: 'client@example.com',
+        category: 'booking_confirmation',
+        type: 'booking_confirmation',
+        source,
+        result: { success: true, messageId: '<m1@example.com>', response: '250 OK' },
+        now
+      });
+
+      expect(getDelivery(record.id)).toEqual({
+        id: record.id,
+        user_id: '42',
+        notification_id: 'n1',
+        channel: 'email',
+        recipient: 'client@example.com',
+        category: 'booking_confirmation',
+        type: 'booking_confirmation',
+        status: 'sent',
+        response: { messageId: '<m1@example.com>', response: '250 OK' },
+        error: null,
+        event_channel: 'booking.created',
+        event_id: '1-0',
+        event_key: 'booking.created:b1',
+        attempted_at: '2025-01-15T10:00:00.000Z'
+      });
+    });
+
+    it('should keep the error of failed attempts', async () => {
+      const record = await recordDelivery({ userId: 'u1', channel: 'sms', result: { success: false, to: '+15550100', error: 'timeout' } });
+
+      expect(record).toMatchObject({ status: 'failed', error: 'timeout', response: { to: '+15550100' }, notification_id: null, event_id: null });
+    });
+  });
+
+  describe('listDeliveries', () => {
+    beforeEach(async () => {
+      await recordDelivery({ userId: 'u1', notificationId: 'n1', channel: 'email', source, result: { success: false, error: 'down' }, now: new Date('2025-01-15T10:00:00Z') });
+      await recordDelivery({ userId: 'u1', notificationId: 'n1', channel: 'email', source, result: { success: true }, now: new Date('2025-01-15T10:01:00Z') });
+      await recordDelivery({ userId: 'u1', notificationId: 'n1', channel: 'sms', source, result: { success: false, suppressed: true }, now: new Date('2025-01-15T10:02:00Z') });
+      await recordDelivery({ userId: 'u2', notificationId: 'n2', channel: 'email', result: { success: true }, now: new Date('2025-01-16T10:00:00Z') });
+    });
+
+    it('should list a notification\'s attempts newest first', () => {
+      const { total, items } = listDeliveries({ notification_id: 'n1' });
+
+      expect(total).toBe(3);
+      expect(items.map(d => `${d.channel}:${d.status}`)).toEqual(['sms:suppressed', 'email:sent', 'email:failed']);
+    });
+
+    it('should filter by fields and time range and page results', () => {
+      expect(listDeliveries({ channel: 'email', status: 'sent' }).total).toBe(2);
+      expect(listDeliveries({ event_id: '1-0' }).total).toBe(3);
+      expect(listDeliveries({ since: new Date('2025-01-16T00:00:00Z') }).items[0].user_id).toBe('u2');
+      expect(listDeliveries({ until: new Date('2025-01-15T10:01:00Z') }).total).toBe(1);
+      expect(listDeliveries({}, { limit: 2, offset: 3 }).items).toHaveLength(1);
+    });
+
+    it('should purge records older than DELIVERY_RETENTION_DAYS', async () => {
+      process.env.DELIVERY_RETENTION_DAYS = '1';
+      try {
+        expect(await purgeDeliveries(new Date('2025-01-16T12:00:00Z'))).toBe(3);
+      } finally {
+        delete process.env.DELIVERY_RETENTION_DAYS;
+      }
+      expect(listDeliveries().total).toBe(1);
+    });
+  });
+
+  describe('admin API', () => {
+    const originalKey = process.env.ADMIN_API_KEY;
+    let app;
+
+    beforeEach(async () => {
+      process.env.ADMIN_API_KEY = 'secret';
+      app = express();
+      app.use('/deliveries', createDeliveryRouter());
+      await recordDelivery({ userId: 'u1', notificationId: 'n1', channel: 'email', recipient: 'a@example.com', source, result: { success: true } });
+      await recordDelivery({ userId: 'u2', notificationId: 'n2', channel: 'push', recipient: 'u2', result: { success: false, error: 'Push service responded 503' } });
+    });
+
+    afterEach(() => {
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    });
+
+    it('should require the admin key', async () => {
+      const res = await request(app).get('/deliveries');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should search deliveries', async () => {
+      const res = await request(app).get('/deliveries?status=failed').set('X-Admin-Key', 'secret');
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination).toEqual({ total: 1, limit: 50, offset: 0 });
+      expect(res.body.data[0]).toMatchObject({ user_id: 'u2', channel: 'push', error: 'Push service responded 503' });
+    });
+
+    it('should search by recipient and inspect one delivery', async () => {
+      const search = await request(app).get('/deliveries?recipient=a@example.com').set('X-Admin-Key', 'secret');
+      const one = await request(app).get(`/deliveries/${search.body.data[0].id}`).set('X-Admin-Key', 'secret');
+      const missing = await request(app).get('/deliveries/nope').set('X-Admin-Key', 'secret');
+
+      expect(one.body.data.event_key).toBe('booking.created:b1');
+      expect(missing.status).toBe(404);
+    });
+
+    it('should validate filters', async () => {
+      const badStatus = await request(app).get('/deliveries?status=lost').set('X-Admin-Key', 'secret');
+      const badDate = await request(app).get('/deliveries?since=yesterday').set('X-Admin-Key', 'secret');
+
+      expect(badStatus.status).toBe(400);
+      expect(badDate.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
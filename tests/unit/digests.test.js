@@ -0,0 +1,161 @@
+/**
+ * Unit tests for digest emails: send times, queueing, sending each item
+ * exactly once and rendering.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  nextDigestTime,
+  queueDigestItem,
+  pendingDigestItems,
+  renderDigest,
+  runDigest
+} = require('../../src/digests');
+const { findJobs } = require('../../src/scheduler');
+
+describe('Digests', () => {
+  let userCounter = 0;
+  let userId;
+
+  const item = (title, extra = {}) => ({
+    category: 'achievement',
+    type: 'milestone_reached',
+    title,
+    message: `${title} reached`,
+    notification_id: `n-${title}`,
+    source: { event_channel: 'milestone.reached', event_id: 'e1' },
+    ...extra
+  });
+  const digestJobs = () => findJobs(job => job.key === `digest:${userId}` && job.status === 'pending');
+
+  beforeEach(() => {
+    userCounter += 1;
+    userId = `digest-user-${userCounter}`;
+  });
+
+  describe('nextDigestTime', () => {
+    const config = { hour: 8, weekday: 1 };
+
+    it('should send daily digests at the configured hour in the user timezone', () => {
+      // 06:00 in New York: today at 08:00
+      expect(nextDigestTime('daily', 'America/New_York', new Date('2025-01-15T11:00:00Z'), config))
+        .toEqual(new Date('2025-01-15T13:00:00Z'));
+      // 09:00 in New York: tomorrow at 08:00
+      expect(nextDigestTime('daily', 'America/New_York', new Date('2025-01-15T14:00:00Z'), config))
+        .toEqual(new Date('2025-01-16T13:00:00Z'));
+    });
+
+    it('should send weekly digests on the configured weekday', () => {
+      // Wednesday 15 January 2025: next Monday is the 20th
+      expect(nextDigestTime('weekly', 'UTC', new Date('2025-01-15T11:00:00Z'), config))
+        .toEqual(new Date('2025-01-20T08:00:00Z'));
+      // Monday after 08:00: the following Monday
+      expect(nextDigestTime('weekly', 'UTC', new Date('2025-01-20T09:00:00Z'), config))
+        .toEqual(new Date('2025-01-27T08:00:00Z'));
+    });
+
+    it('should use the local date, not the UTC date', () => {
+      // Already Tuesday 01:00 in Tokyo while it is Monday in UTC
+      expect(nextDigestTime('daily', 'Asia/Tokyo', new Date('2025-01-20T16:00:00Z'), config))
+        .toEqual(new Date('2025-01-20T23:00:00Z'));
+    });
+  });
+
+  describe('queueDigestItem', () => {
+    const now = new Date('2025-01-15T11:00:00Z');
+
+    it('should store the item and schedule one digest job per user', async () => {
+      const first = await queueDigestItem(userId, item('5k'), { frequency: 'daily', timezone: 'UTC' }, now);
+      const second = await queueDigestItem(userId, item('10k'), { frequency: 'daily', timezone: 'UTC' }, now);
+
+      expect(first).toMatchObject({ success: true, deferred: true, digest: 'daily', deliver_at: '2025-01-16T08:00:00.000Z' });
+      expect(second.job_id).toBe(first.job_id);
+      expect(digestJobs()).toHaveLength(1);
+      expect(pendingDigestItems(userId).map(pending => pending.title)).toEqual(['5k', '10k']);
+    });
+
+    it('should reschedule the job when the frequency changes', async () => {
+      await queueDigestItem(userId, item('5k'), { frequency: 'daily', timezone: 'UTC' }, now);
+      const weekly = await queueDigestItem(userId, item('10k'), { frequency: 'weekly', timezone: 'UTC' }, now);
+
+      expect(digestJobs()).toEqual([expect.objectContaining({ id: weekly.job_id, payload: expect.objectContaining({ frequency: 'weekly' }) })]);
+    });
+  });
+
+  describe('runDigest', () => {
+    const settings = { frequency: 'daily', timezone: 'UTC' };
+
+    it('should send every pending item in one digest and never again', async () => {
+      await queueDigestItem(userId, item('5k'), settings);
+      await queueDigestItem(userId, item('10k'), settings);
+      const send = jest.fn().mockResolvedValue({ success: true });
+
+      const sent = await runDigest(userId, { send, ...settings });
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send.mock.calls[0][0].map(pending => pending.title)).toEqual(['5k', '10k']);
+      expect(sent).toMatchObject({ digest_id: send.mock.calls[0][1], count: 2 });
+      expect(pendingDigestItems(userId)).toEqual([]);
+
+      expect(await runDigest(userId, { send, ...settings })).toBeNull();
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the items for a retry when sending fails', async () => {
+      await queueDigestItem(userId, item('5k'), settings);
+      const send = jest.fn().mockResolvedValue({ success: false, error: 'SMTP down' });
+
+      await expect(runDigest(userId, { send, ...settings })).rejects.toThrow('SMTP down');
+      expect(pendingDigestItems(userId)).toHaveLength(1);
+    });
+
+    it('should mark items as digested when there is nowhere to send them', async () => {
+      await queueDigestItem(userId, item('5k'), settings);
+
+      await runDigest(userId, { send: async () => ({ success: false, skipped: true, error: 'No email address' }), ...settings });
+
+      expect(pendingDigestItems(userId)).toEqual([]);
+    });
+
+    it('should leave items queued while sending for the next digest', async () => {
+      await queueDigestItem(userId, item('5k'), settings);
+      const send = jest.fn(async () => {
+        await queueDigestItem(userId, item('10k'), settings);
+        return { success: true };
+      });
+
+      await runDigest(userId, { send, ...settings });
+
+      expect(pendingDigestItems(userId).map(pending => pending.title)).toEqual(['10k']);
+      expect(digestJobs()).toHaveLength(1);
+    });
+  });
+
+  describe('renderDigest', () => {
+    const items = [
+      { title: 'Milestone <reached>', message: '10 & counting' },
+      { title: 'Achievement earned', message: 'First session' }
+    ];
+
+    it('should list every item and escape them in HTML', () => {
+      const content = renderDigest({ first_name: 'Ana' }, items, 'weekly', 'en');
+
+      expect(content.subject).toBe('Your weekly FitSync summary: 2 update(s)');
+      expect(content.html).toContain('<li><strong>Milestone &lt;reached&gt;</strong><br>10 &amp; counting</li>');
+      expect(content.text).toContain('- Milestone <reached>\n  10 & counting\n- Achievement earned');
+      expect(content.text).toContain('this week');
+    });
+
+    it('should render in the user locale', () => {
+      const content = renderDigest({ first_name: 'Ana' }, items, 'daily', 'es');
+
+      expect(content.subject).toBe('Tu resumen diario de FitSync: 2 novedad(es)');
+      expect(content.text).toContain('Hola, Ana:');
+    });
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Unit tests for the notification fan-out: preferences, quiet hours,
+ * digests, the delivery audit trail and retries after a partial failure.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/httpClient', () => ({
+  getUserContact: jest.fn(),
+  getBookingDetails: jest.fn()
+}));
+
+const { createDispatcher } = require('../../src/dispatch');
+const { createMemoryStore } = require('../../src/storage');
+const { updatePreferences } = require('../../src/preferences');
+const { listDeliveries } = require('../../src/deliveries');
+const { queueDigestItem, pendingDigestItems, runDigest } = require('../../src/digests');
+const { findJobs, registerJobHandler, scheduleJob, runDueJobs } = require('../../src/scheduler');
+const { createEventContext, runWithEventContext } = require('../../src/events/context');
+const { getUserContact, getBookingDetails } = require('../../src/utils/httpClient');
+
+describe('Dispatch', () => {
+  const content = {
+    title: 'Goal reached',
+    message: 'You reached your goal',
+    subject: 'You reached your goal',
+    html: '<p>You reached your goal</p>',
+    text: 'You reached your goal',
+    sms: 'You reached your goal'
+  };
+  let userCounter = 0;
+  let userId;
+  let user;
+  let store;
+  let hub;
+  let transports;
+  let dispatcher;
+
+  const deliveriesFor = channel => listDeliveries({ user_id: userId, channel }).items;
+  const dispatch = (category = 'achievement', type = 'milestone_reached') =>
+    dispatcher.dispatchNotification(userId, user, category, content, { type, metadata: { goal: 'g1' } });
+
+  // "HH:MM" in UTC, `minutes` from now
+  function clock(minutes) {
+    return new Date(Date.now() + minutes * 60000).toISOString().slice(11, 16);
+  }
+
+  beforeEach(() => {
+    userCounter += 1;
+    userId = `dispatch-user-${userCounter}`;
+    user = { id: userId, email: `${userId}@example.com`, phone: '+15550100' };
+    store = createMemoryStore();
+    hub = { notificationCreated: jest.fn().mockResolvedValue() };
+    transports = {
+      email: jest.fn().mockResolvedValue({ success: true, messageId: 'm1' }),
+      sms: jest.fn().mockResolvedValue({ success: true, sid: 's1' }),
+      push: jest.fn().mockResolvedValue({ success: true, sent: 1 }),
+      hasSubscriptions: jest.fn().mockReturnValue(true)
+    };
+    dispatcher = createDispatcher({ store, hub, transports });
+  });
+
+  describe('dispatchNotification', () => {
+    it('should store the in-app notification and send on the enabled channels', async () => {
+      const results = await dispatch();
+
+      const [stored] = await store.list(userId);
+      expect(stored).toMatchObject({ type: 'milestone_reached', category: 'achievement', title: content.title });
+      expect(hub.notificationCreated).toHaveBeenCalledWith(userId, stored);
+      expect(transports.email).toHaveBeenCalledWith(user.email, content.subject, content);
+      expect(transports.push).toHaveBeenCalledWith(userId, {
+        title: content.title,
+        body: content.message,
+        data: { goal: 'g1', notification_id: stored.id, type: 'milestone_reached', category: 'achievement' }
+      });
+      // SMS is off by default for achievements
+      expect(transports.sms).not.toHaveBeenCalled();
+      expect(results.sms).toEqual({ success: false, suppressed: true });
+    });
+
+    it('should record every channel in the delivery audit trail', async () => {
+      await dispatch();
+
+      const [stored] = await store.list(userId);
+      expect(deliveriesFor('in_app')[0]).toMatchObject({ notification_id: stored.id, status: 'sent' });
+      expect(deliveriesFor('email')[0]).toMatchObject({ notification_id: stored.id, recipient: user.email, status: 'sent' });
+      expect(deliveriesFor('sms')[0]).toMatchObject({ status: 'suppressed' });
+      expect(deliveriesFor('push')[0]).toMatchObject({ recipient: userId, status: 'sent' });
+    });
+
+    it('should honour the channels the user turned off', async () => {
+      await updatePreferences(userId, { categories: { achievement: { in_app: false, email: false } } });
+
+      const results = await dispatch();
+
+      expect(await store.list(userId)).toEqual([]);
+      expect(results.in_app).toBeNull();
+      expect(transports.email).not.toHaveBeenCalled();
+      expect(deliveriesFor('in_app')[0].status).toBe('suppressed');
+      expect(deliveriesFor('email')[0].status).toBe('suppressed');
+      expect(transports.push).toHaveBeenCalled();
+    });
+
+    it('should hold email, SMS and push until quiet hours end', async () => {
+      await updatePreferences(userId, {
+        categories: { achievement: { sms: true } },
+        quiet_hours: { start: clock(-60), end: clock(60) }
+      });
+
+      const results = await dispatch();
+
+      expect(transports.email).not.toHaveBeenCalled();
+      expect(transports.sms).not.toHaveBeenCalled();
+      expect(transports.push).not.toHaveBeenCalled();
+      expect(results.email).toMatchObject({ success: true, deferred: true });
+      const jobs = findJobs(job => job.type === 'deferred_delivery' && job.payload.user_id === userId);
+      expect(jobs.map(job => job.payload.channel).sort()).toEqual(['email', 'push', 'sms']);
+      expect(deliveriesFor('email')[0].status).toBe('queued');
+      // The in-app notification is not held
+      expect(await store.list(userId)).toHaveLength(1);
+    });
+
+    it('should not hold transactional categories during quiet hours', async () => {
+      await updatePreferences(userId, { quiet_hours: { start: clock(-60), end: clock(60) } });
+
+      await dispatch('booking_reminder', 'booking_reminder');
+
+      expect(transports.email).toHaveBeenCalled();
+      expect(transports.sms).toHaveBeenCalled();
+    });
+
+    it('should queue email for the digest of categories the user batches', async () => {
+      await updatePreferences(userId, { digest: { frequency: 'daily' } });
+
+      await dispatch();
+
+      expect(transports.email).not.toHaveBeenCalled();
+      const [stored] = await store.list(userId);
+      expect(pendingDigestItems(userId)).toEqual([
+        expect.objectContaining({ category: 'achievement', title: content.title, notification_id: stored.id })
+      ]);
+    });
+
+    it('should skip SMS without a phone number and not fail', async () => {
+      await updatePreferences(userId, { categories: { achievement: { sms: true } } });
+      user.phone = null;
+
+      const results = await dispatch();
+
+      expect(results.sms).toMatchObject({ success: false, skipped: true });
+      expect(transports.sms).not.toHaveBeenCalled();
+    });
+
+    it('should throw on a failed channel and only repeat that channel on retry', async () => {
+      await updatePreferences(userId, { categories: { achievement: { sms: true } } });
+      transports.sms.mockResolvedValueOnce({ success: false, error: 'carrier down' });
+      const context = createEventContext({ channel: 'milestone.reached', eventId: '1-0', eventKey: 'milestone.reached:g1' });
+
+      await expect(runWithEventContext(context, () => dispatch())).rejects.toThrow(`sms: carrier down (user ${userId})`);
+      await runWithEventContext(context, () => dispatch());
+
+      expect(await store.list(userId)).toHaveLength(1);
+      expect(transports.email).toHaveBeenCalledTimes(1);
+      expect(transports.push).toHaveBeenCalledTimes(1);
+      expect(transports.sms).toHaveBeenCalledTimes(2);
+      expect(deliveriesFor('sms').map(record => record.status).sort()).toEqual(['failed', 'sent']);
+    });
+  });
+
+  describe('deliverBroadcast', () => {
+    it('should send the announcement linked to the broadcast', async () => {
+      await dispatcher.deliverBroadcast(user, { id: 'b1', title: 'Closed Monday', message: 'The gym is closed' });
+
+      const [stored] = await store.list(userId);
+      expect(stored).toMatchObject({ type: 'announcement', category: 'announcement', metadata: { broadcast_id: 'b1' } });
+      expect(deliveriesFor('email')[0]).toMatchObject({ event_channel: 'broadcast', event_id: 'b1', event_key: `broadcast:b1:${userId}` });
+    });
+
+    it('should keep a long message in full for in-app and email', async () => {
+      const message = 'The gym is closed on Monday for maintenance. '.repeat(110).trim();
+      await updatePreferences(userId, { categories: { announcement: { push: true } } });
+
+      await dispatcher.deliverBroadcast(user, { id: 'b2', title: 'Closed Monday', message });
+
+      const [stored] = await store.list(userId);
+      expect(stored.message).toBe(message);
+      expect(transports.email.mock.calls[0][2].text).toContain(message);
+      // The push channel shortens it to fit one push message
+      expect(transports.push.mock.calls[0][1].body).toBe(message);
+    });
+  });
+
+  describe('sendDigest', () => {
+    const settings = { frequency: 'daily', timezone: 'UTC' };
+    const item = (category, title) => ({
+      category,
+      type: category,
+      title,
+      message: `${title} details`,
+      notification_id: `n-${title}`,
+      source: { event_channel: 'milestone.reached', event_id: '1-0' }
+    });
+    const digest = () => runDigest(userId, {
+      send: (items, digestId) => dispatcher.sendDigest(userId, items, digestId, 'daily'),
+      ...settings
+    });
+
+    beforeEach(async () => {
+      getUserContact.mockResolvedValue(user);
+      await queueDigestItem(userId, item('achievement', 'First 5k'), settings);
+      await queueDigestItem(userId, item('announcement', 'Gym closed'), settings);
+      await updatePreferences(userId, { categories: { announcement: { email: false } } });
+    });
+
+    it('should email the items and drop those whose email was turned off', async () => {
+      const { digest_id: digestId } = await digest();
+
+      expect(transports.email).toHaveBeenCalledTimes(1);
+      const [, , body] = transports.email.mock.calls[0];
+      expect(body.text).toContain('First 5k');
+      expect(body.text).not.toContain('Gym closed');
+      expect(deliveriesFor('email')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ notification_id: 'n-First 5k', status: 'sent', response: expect.objectContaining({ digest_id: digestId }) }),
+        expect.objectContaining({ notification_id: 'n-Gym closed', status: 'suppressed' })
+      ]));
+    });
+
+    it('should not send when every item was dropped', async () => {
+      await updatePreferences(userId, { categories: { achievement: { email: false } } });
+
+      await digest();
+
+      expect(transports.email).not.toHaveBeenCalled();
+      expect(pendingDigestItems(userId)).toEqual([]);
+    });
+
+    it('should record dropped items once when a failed digest is retried', async () => {
+      transports.email.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+      const context = createEventContext({ channel: 'digest', eventId: 'job-1', eventKey: 'job:job-1' });
+
+      await expect(runWithEventContext(context, digest)).rejects.toThrow('SMTP down');
+      expect(pendingDigestItems(userId)).toHaveLength(2);
+      await runWithEventContext(context, digest);
+
+      expect(transports.email).toHaveBeenCalledTimes(2);
+      expect(pendingDigestItems(userId)).toEqual([]);
+      const statuses = notificationId => deliveriesFor('email')
+        .filter(record => record.notification_id === notificationId)
+        .map(record => record.status)
+        .sort();
+      expect(statuses('n-First 5k')).toEqual(['failed', 'sent']);
+      expect(statuses('n-Gym closed')).toEqual(['suppressed']);
+    });
+  });
+
+  describe('sendBookingReminder', () => {
+    const payload = { booking_id: 'bk1', booking_date: '2025-01-15', start_time: '10:00', offset: '24h' };
+
+    it('should remind the client of the booking', async () => {
+      getBookingDetails.mockResolvedValue({ id: 'bk1', status: 'confirmed' });
+      getUserContact.mockResolvedValue(user);
+
+      await dispatcher.sendBookingReminder({ ...payload, client_id: userId });
+
+      const [stored] = await store.list(userId);
+      expect(stored).toMatchObject({ type: 'booking_reminder', metadata: { booking_id: 'bk1', offset: '24h' } });
+      expect(transports.email).toHaveBeenCalled();
+    });
+
+    it('should only repeat the failed channel when the reminder job is retried', async () => {
+      getBookingDetails.mockResolvedValue({ id: 'bk1', status: 'confirmed' });
+      getUserContact.mockResolvedValue(user);
+      transports.sms.mockResolvedValueOnce({ success: false, error: 'carrier down' });
+      registerJobHandler('booking_reminder', dispatcher.sendBookingReminder);
+      const job = await scheduleJob({ type: 'booking_reminder', runAt: new Date(Date.now() - 1000), payload: { ...payload, client_id: userId } });
+
+      await runDueJobs();
+      expect(findJobs(j => j.id === job.id)[0]).toMatchObject({ status: 'pending', attempts: 1, last_error: expect.stringContaining('carrier down') });
+
+      await runDueJobs(new Date(Date.now() + 24 * 3600000));
+
+      expect(findJobs(j => j.id === job.id)).toEqual([]);
+      expect(await store.list(userId)).toHaveLength(1);
+      expect(hub.notificationCreated).toHaveBeenCalledTimes(1);
+      expect(transports.email).toHaveBeenCalledTimes(1);
+      expect(transports.push).toHaveBeenCalledTimes(1);
+      expect(transports.sms).toHaveBeenCalledTimes(2);
+      expect(deliveriesFor('sms')[0]).toMatchObject({ event_channel: 'booking_reminder', event_id: job.id });
+    });
+
+    it('should skip reminders for cancelled bookings', async () => {
+      getBookingDetails.mockResolvedValue({ id: 'bk1', status: 'cancelled' });
+
+      await dispatcher.sendBookingReminder({ ...payload, client_id: userId });
+
+      expect(getUserContact).not.toHaveBeenCalled();
+      expect(await store.list(userId)).toEqual([]);
+    });
+
+    it('should throw when the client cannot be fetched', async () => {
+      getBookingDetails.mockResolvedValue(null);
+      getUserContact.mockResolvedValue(null);
+
+      await expect(dispatcher.sendBookingReminder({ ...payload, client_id: userId }))
+        .rejects.toThrow(`Could not fetch client ${userId} for booking reminder`);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for the nodemailer email channel.
+ */
+
+const mockSendMail = jest.fn();
+const mockVerify = jest.fn();
+
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({
+    sendMail: mockSendMail,
+    verify: mockVerify,
+    close: jest.fn()
+  }))
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const nodemailer = require('nodemailer');
+const email = require('../../src/channels/email');
+
+describe('Email channel', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    email.resetTransport();
+    process.env = { ...originalEnv };
+    nodemailer.createTransport.mockImplementation(() => ({
+      sendMail: mockSendMail,
+      verify: mockVerify,
+      close: jest.fn()
+    }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getEmailConfig', () => {
+    it('should default to mock mode under test', () => {
+      process.env.SMTP_HOST = 'smtp.example.com';
+      expect(email.getEmailConfig().mode).toBe('mock');
+    });
+
+    it('should honour EMAIL_MODE and SMTP settings', () => {
+      process.env.EMAIL_MODE = 'smtp';
+      process.env.SMTP_HOST = 'localhost';
+      process.env.SMTP_PORT = '1025';
+      process.env.EMAIL_FROM = 'FitSync <hello@fitsync.com>';
+
+      const config = email.getEmailConfig();
+
+      expect(config.mode).toBe('smtp');
+      expect(config.port).toBe(1025);
+      expect(config.secure).toBe(false);
+      expect(config.from).toBe('FitSync <hello@fitsync.com>');
+    });
+
+    it('should use implicit TLS on port 465', () => {
+      process.env.SMTP_PORT = '465';
+      expect(email.getEmailConfig().secure).toBe(true);
+    });
+  });
+
+  describe('getTransport', () => {
+    it('should build a JSON transport in mock mode', () => {
+      process.env.EMAIL_MODE = 'mock';
+      email.getTransport();
+      expect(nodemailer.createTransport).toHaveBeenCalledWith({ jsonTransport: true });
+    });
+
+    it('should build an SMTP transport from config', () => {
+      process.env.EMAIL_MODE = 'smtp';
+      process.env.SMTP_HOST = 'localhost';
+      process.env.SMTP_PORT = '1025';
+      process.env.SMTP_USER = 'user';
+      process.env.SMTP_PASSWORD = 'secret';
+
+      email.getTransport();
+
+      expect(nodemailer.createTransport).toHaveBeenCalledWith({
+        host: 'localhost',
+        port: 1025,
+        secure: false,
+        auth: { user: 'user', pass: 'secret' }
+      });
+    });
+
+    it('should reject an unknown mode', () => {
+      process.env.EMAIL_MODE = 'carrier-pigeon';
+      expect(() => email.getTransport()).toThrow('Unknown EMAIL_MODE');
+    });
+  });
+
+  describe('sendEmail', () => {
+    it('should send text and HTML bodies from the configured address', async () => {
+      process.env.EMAIL_FROM = 'noreply@fitsync.com';
+      mockSendMail.mockResolvedValue({ messageId: '<abc@fitsync>', response: '250 OK' });
+
+      const result = await email.sendEmail('client@example.com', 'Hello', { text: 'Hi', html: '<b>Hi</b>' });
+
+      expect(mockSendMail).toHaveBeenCalledWith({
+        from: 'noreply@fitsync.com',
+        to: 'client@example.com',
+        subject: 'Hello',
+        text: 'Hi',
+        html: '<b>Hi</b>'
+      });
+      expect(result).toEqual({ success: true, messageId: '<abc@fitsync>', response: '250 OK' });
+    });
+
+    it('should derive an escaped HTML body from plain text', async () => {
+      mockSendMail.mockResolvedValue({ messageId: 'id' });
+
+      await email.sendEmail('client@example.com', 'Hello', 'Hi <you>\n\nBye');
+
+      expect(mockSendMail.mock.calls[0][0].html).toBe('<p>Hi &lt;you&gt;</p><p>Bye</p>');
+    });
+
+    it('should report transport errors instead of throwing', async () => {
+      mockSendMail.mockRejectedValue(new Error('Connection refused'));
+
+      const result = await email.sendEmail('client@example.com', 'Hello', 'Hi');
+
+      expect(result).toEqual({ success: false, error: 'Connection refused' });
+    });
+
+    it('should skip sending without a recipient', async () => {
+      const result = await email.sendEmail(undefined, 'Hello', 'Hi');
+
+      expect(result.success).toBe(false);
+      expect(mockSendMail).not.toHaveBeenCalled();
+    });
+  });
+});
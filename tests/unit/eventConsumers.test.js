@@ -0,0 +1,360 @@
+/**
+ * Unit tests for the pub/sub and Redis Streams event consumers and the
+ * single-instance lock.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  createEventConsumer,
+  createPubSubConsumer,
+  createStreamConsumer,
+  parseEventPayload,
+  createInstanceLock,
+  InstanceLockError
+} = require('../../src/events');
+const { listQuarantined, removeQuarantined } = require('../../src/events/quarantine');
+const metrics = require('../../src/metrics');
+const { metricValue } = require('../helpers/metrics');
+
+async function clearQuarantine() {
+  for (const record of listQuarantined({ limit: 1000 }).items) {
+    await removeQuarantined(record.id);
+  }
+}
+
+describe('Event Consumers', () => {
+  describe('parseEventPayload', () => {
+    it('should parse JSON pub/sub messages', () => {
+      expect(parseEventPayload('{"booking_id":"b1"}')).toEqual({ booking_id: 'b1' });
+    });
+
+    it('should parse the data field of a stream entry', () => {
+      expect(parseEventPayload({ data: '{"booking_id":"b1"}' })).toEqual({ booking_id: 'b1' });
+      expect(parseEventPayload({ payload: '{"booking_id":"b2"}' })).toEqual({ booking_id: 'b2' });
+    });
+
+    it('should treat other stream entries as flat field maps', () => {
+      expect(parseEventPayload({ booking_id: 'b1', client_id: 'c1' })).toEqual({ booking_id: 'b1', client_id: 'c1' });
+    });
+
+    it('should reject malformed messages', () => {
+      expect(() => parseEventPayload('not json')).toThrow();
+      expect(() => parseEventPayload(42)).toThrow('Event payload must be');
+    });
+  });
+
+  describe('createEventConsumer', () => {
+    it('should default to pub/sub', () => {
+      expect(createEventConsumer({ client: {}, handlers: {} }).mode).toBe('pubsub');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => createEventConsumer({ client: {}, handlers: {}, mode: 'kafka' })).toThrow('Unknown EVENT_CONSUMER_MODE');
+    });
+  });
+
+  describe('pub/sub consumer', () => {
+    it('should subscribe to every channel and pass parsed payloads', async () => {
+      const listeners = {};
+      const client = {
+        subscribe: jest.fn(async (channel, listener) => { listeners[channel] = listener; }),
+        unsubscribe: jest.fn()
+      };
+      const handler = jest.fn();
+      const consumer = createPubSubConsumer({ client, handlers: { 'booking.created': handler, 'booking.cancelled': jest.fn() } });
+
+      await consumer.start();
+      await listeners['booking.created']('{"booking_id":"b1"}');
+
+      expect(client.subscribe).toHaveBeenCalledTimes(2);
+      expect(handler).toHaveBeenCalledWith({ booking_id: 'b1' });
+    });
+
+    it('should contain handler failures', async () => {
+      const listeners = {};
+      const client = { subscribe: jest.fn(async (channel, listener) => { listeners[channel] = listener; }) };
+      const consumer = createPubSubConsumer({ client, handlers: { 'booking.created': jest.fn().mockRejectedValue(new Error('boom')) } });
+
+      await consumer.start();
+
+      await expect(listeners['booking.created']('{}')).resolves.toBeUndefined();
+      expect(consumer.inFlight()).toBe(0);
+    });
+
+    it('should quarantine messages that are not valid JSON', async () => {
+      await clearQuarantine();
+      const before = await metricValue(metrics.eventsFailed, { channel: 'achievement.earned', reason: 'invalid' });
+      const listeners = {};
+      const client = { subscribe: jest.fn(async (channel, listener) => { listeners[channel] = listener; }) };
+      const handler = jest.fn();
+      const consumer = createPubSubConsumer({ client, handlers: { 'achievement.earned': handler } });
+
+      await consumer.start();
+      await listeners['achievement.earned']('{"user_id": 5');
+
+      expect(handler).not.toHaveBeenCalled();
+      const { items } = listQuarantined({ channel: 'achievement.earned' });
+      expect(items).toHaveLength(1);
+      expect(items[0].payload).toBe('{"user_id": 5');
+      expect(items[0].errors[0]).toMatch(/^payload could not be parsed: /);
+      expect(await metricValue(metrics.eventsFailed, { channel: 'achievement.earned', reason: 'invalid' })).toBe(before + 1);
+    });
+
+    it('should report its subscriptions', async () => {
+      const client = { subscribe: jest.fn().mockResolvedValue(), unsubscribe: jest.fn().mockResolvedValue() };
+      const consumer = createPubSubConsumer({ client, handlers: { 'booking.created': jest.fn(), 'booking.cancelled': jest.fn() } });
+
+      expect(consumer.status()).toEqual({ running: false, channels: 2, subscribed: 0 });
+      await consumer.start();
+      expect(consumer.status()).toEqual({ running: true, channels: 2, subscribed: 2 });
+      await consumer.stop();
+      expect(consumer.status().running).toBe(false);
+    });
+  });
+
+  describe('streams consumer', () => {
+    const config = {
+      group: 'notification-service',
+      consumer: 'worker-1',
+      prefix: '',
+      startId: '$',
+      batchSize: 10,
+      blockMs: 10,
+      claimIdleMs: 60000,
+      claimIntervalMs: 30000
+    };
+
+    // Reads go through client.duplicate(); the fake hands back the same mocks
+    function createClient() {
+      const client = {
+        xGroupCreate: jest.fn().mockResolvedValue('OK'),
+        xReadGroup: jest.fn().mockResolvedValue(null),
+        xAck: jest.fn().mockResolvedValue(1),
+        xAutoClaim: jest.fn().mockResolvedValue({ nextId: '0-0', messages: [] }),
+        connect: jest.fn().mockResolvedValue(),
+        quit: jest.fn().mockResolvedValue(),
+        on: jest.fn()
+      };
+      client.duplicate = jest.fn(() => client);
+      return client;
+    }
+
+    it('should create consumer groups and tolerate existing ones', async () => {
+      const client = createClient();
+      client.xGroupCreate
+        .mockResolvedValueOnce('OK')
+        .mockRejectedValueOnce(new Error('BUSYGROUP Consumer Group name already exists'));
+      const consumer = createStreamConsumer({
+        client,
+        handlers: { 'booking.created': jest.fn(), 'booking.cancelled': jest.fn() },
+        config
+      });
+
+      await consumer.start();
+      await consumer.stop();
+
+      expect(client.xGroupCreate).toHaveBeenCalledWith('booking.created', 'notification-service', '$', { MKSTREAM: true });
+      expect(client.xGroupCreate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should read on a duplicate connection and close it on stop', async () => {
+      const client = createClient();
+      // A real read blocks; resolving at once would spin the loop
+      const reader = {
+        ...createClient(),
+        xReadGroup: jest.fn(() => new Promise(resolve => setTimeout(() => resolve(null), 1)))
+      };
+      client.duplicate.mockReturnValue(reader);
+      const consumer = createStreamConsumer({ client, handlers: { 'booking.created': jest.fn() }, config });
+
+      await consumer.start();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await consumer.stop();
+
+      expect(reader.connect).toHaveBeenCalled();
+      expect(reader.xReadGroup).toHaveBeenCalled();
+      expect(client.xReadGroup).not.toHaveBeenCalled();
+      expect(reader.quit).toHaveBeenCalled();
+    });
+
+    it('should report whether it is reading', async () => {
+      const client = createClient();
+      const consumer = createStreamConsumer({ client, handlers: { 'booking.created': jest.fn() }, config });
+
+      expect(consumer.status()).toEqual({ running: false, channels: 1, subscribed: 0, last_error: null });
+      await consumer.start();
+      expect(consumer.status()).toEqual({ running: true, channels: 1, subscribed: 1, last_error: null });
+      await consumer.stop();
+      expect(consumer.status().running).toBe(false);
+    });
+
+    it('should acknowledge entries after successful handling', async () => {
+      const client = createClient();
+      client.xReadGroup.mockResolvedValueOnce([
+        { name: 'booking.created', messages: [{ id: '1-0', message: { data: '{"booking_id":"b1"}' } }] }
+      ]);
+      const handler = jest.fn();
+      const consumer = createStreamConsumer({ client, handlers: { 'booking.created': handler }, config });
+
+      await consumer.readNew();
+
+      expect(client.xReadGroup).toHaveBeenCalledWith(
+        'notification-service',
+        'worker-1',
+        [{ key: 'booking.created', id: '>' }],
+        { COUNT: 10, BLOCK: 10 }
+      );
+      expect(handler).toHaveBeenCalledWith({ booking_id: 'b1' }, { id: '1-0', channel: 'booking.created' });
+      expect(client.xAck).toHaveBeenCalledWith('booking.created', 'notification-service', '1-0');
+    });
+
+    it('should leave failed entries pending', async () => {
+      const client = createClient();
+      client.xReadGroup.mockResolvedValueOnce([
+        { name: 'booking.created', messages: [{ id: '1-0', message: { data: '{}' } }] }
+      ]);
+      const consumer = createStreamConsumer({
+        client,
+        handlers: { 'booking.created': jest.fn().mockRejectedValue(new Error('SMTP down')) },
+        config
+      });
+
+      await consumer.readNew();
+
+      expect(client.xAck).not.toHaveBeenCalled();
+    });
+
+    it('should reclaim and process idle pending entries', async () => {
+      const client = createClient();
+      client.xAutoClaim
+        .mockResolvedValueOnce({ nextId: '5-0', messages: [{ id: '2-0', message: { data: '{"n":1}' } }, null] })
+        .mockResolvedValueOnce({ nextId: '0-0', messages: [{ id: '5-0', message: { data: '{"n":2}' } }] });
+      const handler = jest.fn();
+      const consumer = createStreamConsumer({ client, handlers: { 'milestone.reached': handler }, config });
+
+      const claimed = await consumer.reclaimPending();
+
+      expect(claimed).toBe(2);
+      expect(client.xAutoClaim).toHaveBeenCalledWith(
+        'milestone.reached', 'notification-service', 'worker-1', 60000, '0-0', { COUNT: 10 }
+      );
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(client.xAck).toHaveBeenCalledWith('milestone.reached', 'notification-service', '5-0');
+    });
+
+    it('should quarantine and acknowledge unparseable entries', async () => {
+      await clearQuarantine();
+      const before = await metricValue(metrics.eventsFailed, { channel: 'milestone.reached', reason: 'invalid' });
+      const client = createClient();
+      client.xReadGroup.mockResolvedValueOnce([
+        { name: 'milestone.reached', messages: [{ id: '3-0', message: { data: 'not json' } }] }
+      ]);
+      const handler = jest.fn();
+      const consumer = createStreamConsumer({ client, handlers: { 'milestone.reached': handler }, config });
+
+      await consumer.readNew();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(client.xAck).toHaveBeenCalledWith('milestone.reached', 'notification-service', '3-0');
+      const { items } = listQuarantined({ channel: 'milestone.reached' });
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({ event_id: '3-0', payload: { data: 'not json' } });
+      expect(items[0].errors[0]).toMatch(/^payload could not be parsed: /);
+      expect(await metricValue(metrics.eventsFailed, { channel: 'milestone.reached', reason: 'invalid' })).toBe(before + 1);
+    });
+
+    it('should read prefixed stream keys but report the channel', async () => {
+      const client = createClient();
+      client.xReadGroup.mockResolvedValueOnce([
+        { name: 'events:booking.created', messages: [{ id: '1-0', message: { data: '{}' } }] }
+      ]);
+      const handler = jest.fn();
+      const consumer = createStreamConsumer({
+        client,
+        handlers: { 'booking.created': handler },
+        config: { ...config, prefix: 'events:' }
+      });
+
+      await consumer.readNew();
+
+      expect(handler).toHaveBeenCalledWith({}, { id: '1-0', channel: 'booking.created' });
+      expect(client.xAck).toHaveBeenCalledWith('events:booking.created', 'notification-service', '1-0');
+    });
+  });
+
+  describe('instance lock', () => {
+    const config = { key: 'notification-service:instance', owner: 'host-a-1', ttlMs: 30000 };
+
+    // Lock commands against one shared in-memory Redis
+    function createRedis() {
+      const keys = new Map();
+      const connection = {
+        isReady: true,
+        on: jest.fn(),
+        connect: jest.fn().mockResolvedValue(),
+        quit: jest.fn().mockResolvedValue(),
+        get: jest.fn(async key => (keys.has(key) ? keys.get(key) : null)),
+        set: jest.fn(async (key, value, { NX }) => {
+          if (NX && keys.has(key)) return null;
+          keys.set(key, value);
+          return 'OK';
+        }),
+        // The renew and release scripts: act only while `owner` holds the key
+        eval: jest.fn(async (script, { keys: [key], arguments: [owner] }) => {
+          if (keys.get(key) !== owner) return 0;
+          if (script.includes("'del'")) keys.delete(key);
+          return 1;
+        })
+      };
+      return { keys, client: { duplicate: () => connection }, connection };
+    }
+
+    it('should take the lock on its own connection and give it back', async () => {
+      const redis = createRedis();
+      const lock = createInstanceLock({ client: redis.client, config });
+
+      await lock.acquire();
+      expect(redis.connection.connect).toHaveBeenCalled();
+      expect(redis.connection.set).toHaveBeenCalledWith(config.key, config.owner, { NX: true, PX: 30000 });
+      expect(redis.keys.get(config.key)).toBe('host-a-1');
+
+      await lock.release();
+      expect(redis.keys.has(config.key)).toBe(false);
+      expect(redis.connection.quit).toHaveBeenCalled();
+    });
+
+    it('should refuse to start while another instance holds the lock', async () => {
+      const redis = createRedis();
+      redis.keys.set(config.key, 'host-b-7');
+      const lock = createInstanceLock({ client: redis.client, config });
+
+      const attempt = lock.acquire();
+
+      await expect(attempt).rejects.toThrow(InstanceLockError);
+      await expect(attempt).rejects.toThrow('Another instance (host-b-7) holds notification-service:instance');
+      await lock.release();
+      expect(redis.keys.get(config.key)).toBe('host-b-7');
+    });
+
+    it('should report a lock taken over by another instance', async () => {
+      const redis = createRedis();
+      const onLost = jest.fn();
+      const lock = createInstanceLock({ client: redis.client, onLost, config });
+      await lock.acquire();
+
+      await lock.renew();
+      expect(onLost).not.toHaveBeenCalled();
+
+      redis.keys.set(config.key, 'host-b-7');
+      await lock.renew();
+
+      expect(onLost).toHaveBeenCalledTimes(1);
+      await lock.release();
+    });
+  });
+});
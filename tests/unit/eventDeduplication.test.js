@@ -0,0 +1,150 @@
+/**
+ * Unit tests for event deduplication keys and the processed-event ledger.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { deriveEventKey } = require('../../src/events/eventKey');
+const { registerEventHandler } = require('../../src/handlers');
+const ledger = require('../../src/events/ledger');
+const { createEventProcessor } = require('../../src/events/processor');
+const metrics = require('../../src/metrics');
+const { metricValue } = require('../helpers/metrics');
+
+describe('Event Deduplication', () => {
+  beforeEach(async () => {
+    await ledger.purgeExpired(Infinity);
+  });
+
+  describe('deriveEventKey', () => {
+    it('should prefer an explicit event_id', () => {
+      expect(deriveEventKey('booking.created', { event_id: 'evt-1', booking_id: 'b1' }))
+        .toBe('booking.created:id:evt-1');
+    });
+
+    it('should build the key from the channel fields', () => {
+      expect(deriveEventKey('booking.created', { booking_id: 'b1', client_id: 'c1' }))
+        .toBe('booking.created:b1');
+      expect(deriveEventKey('booking.rescheduled', { booking_id: 'b1', booking_date: '2025-01-15', start_time: '10:00' }))
+        .toBe('booking.rescheduled:b1:2025-01-15:10:00');
+    });
+
+    it('should use the key fields a registered handler declares', () => {
+      registerEventHandler({ channel: 'class.booked', keyFields: ['class_id', 'client_id'], handle: async () => {} });
+
+      expect(deriveEventKey('class.booked', { class_id: 'k1', client_id: 'c1', note: 'hi' })).toBe('class.booked:k1:c1');
+    });
+
+    it('should tell reschedules to different times apart', () => {
+      const first = deriveEventKey('booking.rescheduled', { booking_id: 'b1', booking_date: '2025-01-15', start_time: '10:00' });
+      const second = deriveEventKey('booking.rescheduled', { booking_id: 'b1', booking_date: '2025-01-16', start_time: '10:00' });
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should hash the payload when the fields are missing, ignoring key order', () => {
+      const key = deriveEventKey('custom.event', { a: 1, b: { c: 2, d: 3 } });
+
+      expect(key).toMatch(/^custom\.event:sha256:[0-9a-f]{64}$/);
+      expect(deriveEventKey('custom.event', { b: { d: 3, c: 2 }, a: 1 })).toBe(key);
+      expect(deriveEventKey('custom.event', { a: 2, b: { c: 2, d: 3 } })).not.toBe(key);
+    });
+  });
+
+  describe('ledger', () => {
+    it('should refuse keys that are in flight or processed', async () => {
+      expect(ledger.claim('k1')).toBe(true);
+      expect(ledger.claim('k1')).toBe(false);
+
+      ledger.release('k1');
+      expect(ledger.claim('k1')).toBe(true);
+
+      await ledger.markProcessed('k1', 'booking.created');
+      ledger.release('k1');
+
+      expect(ledger.isProcessed('k1')).toBe(true);
+      expect(ledger.claim('k1')).toBe(false);
+    });
+
+    it('should forget keys after EVENT_DEDUPE_TTL_HOURS', async () => {
+      process.env.EVENT_DEDUPE_TTL_HOURS = '1';
+      const now = Date.parse('2025-01-15T10:00:00Z');
+
+      try {
+        await ledger.markProcessed('k2', 'booking.created', now);
+      } finally {
+        delete process.env.EVENT_DEDUPE_TTL_HOURS;
+      }
+
+      expect(ledger.isProcessed('k2', now + 59 * 60000)).toBe(true);
+      expect(ledger.isProcessed('k2', now + 61 * 60000)).toBe(false);
+      expect(await ledger.purgeExpired(now + 61 * 60000)).toBe(1);
+    });
+  });
+
+  describe('event processor', () => {
+    const config = { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 };
+    const wait = () => Promise.resolve();
+
+    it('should skip and count redelivered events', async () => {
+      const handler = jest.fn();
+      const processor = createEventProcessor({ handlers: { 'booking.created': handler }, config, wait });
+      const duplicates = () => metricValue(metrics.eventsDuplicate, { channel: 'booking.created' });
+      const before = await duplicates();
+
+      await processor.processEvent('booking.created', { booking_id: 'dup-1' });
+      const result = await processor.processEvent('booking.created', { booking_id: 'dup-1' });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ status: 'duplicate', attempts: 0, key: 'booking.created:dup-1' });
+      expect(await duplicates()).toBe(before + 1);
+    });
+
+    it('should skip a copy that arrives while the first is being handled', async () => {
+      let finish;
+      const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+      const processor = createEventProcessor({ handlers: { 'booking.cancelled': handler }, config, wait });
+
+      const first = processor.processEvent('booking.cancelled', { booking_id: 'dup-2' });
+      const second = await processor.processEvent('booking.cancelled', { booking_id: 'dup-2' });
+      finish();
+
+      expect(second.status).toBe('duplicate');
+      expect((await first).status).toBe('handled');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not record dead-lettered events as processed', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValueOnce();
+      const processor = createEventProcessor({ handlers: { 'program.assigned': handler }, config, wait });
+      const payload = { program_id: 'p1', client_id: 'c1' };
+
+      expect((await processor.processEvent('program.assigned', payload)).status).toBe('dead_lettered');
+      expect((await processor.processEvent('program.assigned', payload)).status).toBe('handled');
+      expect((await processor.processEvent('program.assigned', payload)).status).toBe('duplicate');
+    });
+
+    it('should use key fields declared for a channel', async () => {
+      const handler = jest.fn();
+      const processor = createEventProcessor({
+        handlers: { 'workout.logged': handler },
+        keyFields: { 'workout.logged': ['workout_id'] },
+        config,
+        wait
+      });
+
+      await processor.processEvent('workout.logged', { workout_id: 'w1', sent_at: '10:00' });
+      const result = await processor.processEvent('workout.logged', { workout_id: 'w1', sent_at: '10:05' });
+
+      expect(result).toEqual({ status: 'duplicate', attempts: 0, key: 'workout.logged:w1' });
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+});
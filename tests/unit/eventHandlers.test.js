@@ -1,5 +1,6 @@
 /**
- * Unit tests for event handlers in notification-service.
+ * Unit tests for the event handler registry and the event handlers in
+ * src/handlers/events, called directly with a fake dispatcher.
  */
 
 // Mock dependencies before requiring modules
@@ -10,388 +11,308 @@ jest.mock('../../src/utils/httpClient', () => ({
   getBookingDetails: jest.fn()
 }));
 
+jest.mock('../../src/scheduler/bookingReminders', () => ({
+  scheduleBookingReminders: jest.fn(),
+  cancelBookingReminders: jest.fn()
+}));
+
 jest.mock('../../src/config/logger', () => ({
   info: jest.fn(),
   error: jest.fn(),
   warn: jest.fn()
 }));
 
-const { getUserContact, getProgramDetails, getBookingDetails } = require('../../src/utils/httpClient');
-const logger = require('../../src/config/logger');
-
-// Import the event handlers by recreating them for testing
-// (Since they're not exported from index.js, we'll test the logic separately)
+const { getUserContact, getProgramDetails } = require('../../src/utils/httpClient');
+const { scheduleBookingReminders, cancelBookingReminders } = require('../../src/scheduler/bookingReminders');
+const {
+  registerEventHandler,
+  getEventHandler,
+  listEventChannels,
+  createEventHandlers,
+  getEventSchemas
+} = require('../../src/handlers');
+const { validateEventPayload } = require('../../src/events/schemas');
+
+const contacts = {
+  'client-456': { id: 'client-456', first_name: 'John', last_name: 'Doe', email: 'john@example.com', locale: 'en' },
+  'trainer-789': { id: 'trainer-789', first_name: 'Ana', email: 'ana@example.com', locale: 'es' }
+};
 
 describe('Event Handlers', () => {
+  let deps;
+
+  const handle = (channel, data) => getEventHandler(channel).handle(data, deps);
+  const dispatched = userId => deps.dispatchNotification.mock.calls.filter(([id]) => id === userId);
+
   beforeEach(() => {
     jest.clearAllMocks();
+    getUserContact.mockImplementation(async id => contacts[id] || null);
+    getProgramDetails.mockResolvedValue({ id: 'program-123', name: 'Strength Phase 1' });
+    scheduleBookingReminders.mockResolvedValue([]);
+    cancelBookingReminders.mockResolvedValue(0);
+    deps = { dispatchNotification: jest.fn().mockResolvedValue({ email: { success: true } }) };
   });
 
-  describe('handleBookingCreated', () => {
-    const mockSendEmail = jest.fn().mockResolvedValue(true);
-    const mockStoreNotification = jest.fn();
-
-    const bookingCreatedData = {
-      booking_id: 'booking-123',
-      client_id: 'client-456',
-      trainer_id: 'trainer-789',
-      booking_date: '2025-01-15',
-      start_time: '10:00'
-    };
-
-    it('should create email with correct subject and body', () => {
-      const { client_id, booking_date, start_time, booking_id } = bookingCreatedData;
-      
-      const emailSubject = 'Booking Confirmation';
-      const emailBody = `Your booking for ${booking_date} at ${start_time} has been confirmed. Booking ID: ${booking_id}`;
-      
-      expect(emailSubject).toBe('Booking Confirmation');
-      expect(emailBody).toContain('2025-01-15');
-      expect(emailBody).toContain('10:00');
-      expect(emailBody).toContain('booking-123');
+  describe('registry', () => {
+    it('should register one handler module per subscribed channel', () => {
+      expect(listEventChannels().sort()).toEqual([
+        'achievement.earned',
+        'booking.cancelled',
+        'booking.completed',
+        'booking.created',
+        'booking.rescheduled',
+        'milestone.reached',
+        'program.assigned',
+        'program.completed'
+      ]);
     });
 
-    it('should create notification with correct structure', () => {
-      const { booking_id, booking_date, start_time, client_id } = bookingCreatedData;
-      
-      const notification = {
-        type: 'booking_confirmation',
-        category: 'booking_confirmation',
-        title: 'Booking Confirmed',
-        message: `Your session on ${booking_date} at ${start_time} has been booked successfully.`,
-        metadata: { booking_id, booking_date, start_time }
-      };
-      
-      expect(notification.type).toBe('booking_confirmation');
-      expect(notification.title).toBe('Booking Confirmed');
-      expect(notification.metadata.booking_id).toBe('booking-123');
+    it('should expose a schema for every registered channel', () => {
+      expect(Object.keys(getEventSchemas()).sort()).toEqual(listEventChannels().sort());
     });
-  });
 
-  describe('handleBookingCancelled', () => {
-    const bookingCancelledData = {
-      booking_id: 'booking-123',
-      client_id: 'client-456',
-      reason: 'Schedule conflict'
-    };
+    it('should bind dependencies into the handlers it creates', async () => {
+      const handlers = createEventHandlers(deps);
 
-    it('should include cancellation reason in email', () => {
-      const { booking_id, reason } = bookingCancelledData;
-      
-      const emailBody = `Your booking has been cancelled. ${reason ? `Reason: ${reason}` : ''}`;
-      
-      expect(emailBody).toContain('Schedule conflict');
+      await handlers['achievement.earned']({ achievement_id: 'a1', client_id: 'client-456', title: 'First 5k' }, { id: '1-0' });
+
+      expect(deps.dispatchNotification).toHaveBeenCalledWith('client-456', contacts['client-456'], 'achievement', expect.any(Object), expect.any(Object));
     });
 
-    it('should handle missing reason gracefully', () => {
-      const dataWithoutReason = {
-        booking_id: 'booking-123',
-        client_id: 'client-456'
-      };
-      
-      const reason = dataWithoutReason.reason;
-      const emailBody = `Your booking has been cancelled. ${reason ? `Reason: ${reason}` : ''}`;
-      
-      expect(emailBody).toBe('Your booking has been cancelled. ');
+    it('should register new event types', async () => {
+      const handler = jest.fn();
+      registerEventHandler({ channel: 'test.registered', schema: { user_id: { type: 'id', required: true } }, handle: handler });
+
+      await createEventHandlers(deps)['test.registered']({ user_id: 'u1' }, { id: '2-0' });
+
+      expect(handler).toHaveBeenCalledWith({ user_id: 'u1' }, deps, { id: '2-0' });
+      expect(getEventSchemas()['test.registered']).toBeDefined();
     });
 
-    it('should create cancellation notification', () => {
-      const { booking_id, reason } = bookingCancelledData;
-      
-      const notification = {
-        type: 'booking_cancellation',
-        category: 'booking_reminder',
-        title: 'Booking Cancelled',
-        message: `Your booking has been cancelled. ${reason || ''}`,
-        metadata: { booking_id }
-      };
-      
-      expect(notification.type).toBe('booking_cancellation');
-      expect(notification.message).toContain('Schedule conflict');
+    it('should reject incomplete and duplicate registrations', () => {
+      expect(() => registerEventHandler({ handle: jest.fn() })).toThrow('must declare a channel');
+      expect(() => registerEventHandler({ channel: 'test.incomplete' })).toThrow('must export handle()');
+      expect(() => registerEventHandler({ channel: 'booking.created', handle: jest.fn() })).toThrow('already registered');
     });
   });
 
-  describe('handleProgramAssigned', () => {
-    const programAssignedData = {
-      program_id: 'program-123',
+  describe('booking.created', () => {
+    const data = {
+      booking_id: 'booking-123',
       client_id: 'client-456',
       trainer_id: 'trainer-789',
-      workout_plan_id: 'workout-111',
-      diet_plan_id: 'diet-222'
+      booking_date: '2025-01-15',
+      start_time: '10:00'
     };
 
-    const mockClient = {
-      id: 'client-456',
-      first_name: 'John',
-      last_name: 'Doe',
-      email: 'john.doe@example.com'
-    };
+    it('should accept a valid payload', () => {
+      expect(validateEventPayload('booking.created', data, getEventSchemas())).toEqual([]);
+    });
 
-    const mockProgram = {
-      id: 'program-123',
-      name: '12-Week Strength Program'
-    };
+    it('should confirm the booking to the client', async () => {
+      await handle('booking.created', data);
 
-    it('should fetch client contact info', async () => {
-      getUserContact.mockResolvedValue(mockClient);
-      
-      const client = await getUserContact(programAssignedData.client_id);
-      
-      expect(getUserContact).toHaveBeenCalledWith('client-456');
-      expect(client.email).toBe('john.doe@example.com');
+      const [[, client, category, content, notification]] = dispatched('client-456');
+      expect(client).toBe(contacts['client-456']);
+      expect(category).toBe('booking_confirmation');
+      expect(content.subject).toBe('Booking Confirmation');
+      expect(content.message).toBe('Your session on Jan 15, 2025 at 10:00 AM has been booked successfully.');
+      expect(content.text).toContain('Booking ID: booking-123');
+      expect(notification).toEqual({
+        type: 'booking_confirmation',
+        metadata: { booking_id: 'booking-123', booking_date: '2025-01-15', start_time: '10:00' }
+      });
     });
 
-    it('should fetch program details', async () => {
-      getProgramDetails.mockResolvedValue(mockProgram);
-      
-      const program = await getProgramDetails(programAssignedData.program_id);
-      
-      expect(getProgramDetails).toHaveBeenCalledWith('program-123');
-      expect(program.name).toBe('12-Week Strength Program');
+    it('should schedule reminders', async () => {
+      await handle('booking.created', data);
+
+      expect(scheduleBookingReminders).toHaveBeenCalledWith(data);
     });
 
-    it('should use default program name if not found', async () => {
-      getProgramDetails.mockResolvedValue(null);
-      
-      const program = await getProgramDetails(programAssignedData.program_id);
-      const programName = program ? program.name || 'Training Program' : 'Training Program';
-      
-      expect(programName).toBe('Training Program');
+    it('should notify the trainer in their own locale', async () => {
+      await handle('booking.created', data);
+
+      const [[, trainer, category, content, notification]] = dispatched('trainer-789');
+      expect(trainer).toBe(contacts['trainer-789']);
+      expect(category).toBe('trainer_booking');
+      expect(content.message).toBe('John Doe reservó una sesión el 15 ene 2025 a las 10:00.');
+      expect(notification.type).toBe('trainer_booking_created');
+      expect(notification.metadata).toMatchObject({ booking_id: 'booking-123', client_id: 'client-456' });
     });
 
-    it('should create program notification with metadata', () => {
-      const { program_id, workout_plan_id, diet_plan_id } = programAssignedData;
-      
-      const notification = {
-        type: 'program_assigned',
-        category: 'program_assigned',
-        title: 'New Program Assigned',
-        message: `Your trainer assigned you: ${mockProgram.name}`,
-        metadata: { program_id, workout_plan_id, diet_plan_id }
-      };
-      
-      expect(notification.type).toBe('program_assigned');
-      expect(notification.metadata.workout_plan_id).toBe('workout-111');
-      expect(notification.metadata.diet_plan_id).toBe('diet-222');
+    it('should fail so the event is retried when the client cannot be fetched', async () => {
+      getUserContact.mockResolvedValueOnce(null);
+
+      await expect(handle('booking.created', data)).rejects.toThrow('Could not fetch client client-456 for booking confirmation');
+      expect(deps.dispatchNotification).not.toHaveBeenCalled();
     });
 
-    it('should handle client fetch failure', async () => {
-      getUserContact.mockResolvedValue(null);
-      
-      const client = await getUserContact(programAssignedData.client_id);
-      
-      expect(client).toBeNull();
+    it('should fail so the event is retried when the trainer cannot be fetched', async () => {
+      getUserContact.mockImplementation(async id => (id === 'client-456' ? contacts[id] : null));
+
+      await expect(handle('booking.created', data)).rejects.toThrow('Could not fetch trainer trainer-789');
     });
   });
 
-  describe('handleAchievementEarned', () => {
-    const achievementData = {
-      achievement_id: 'achievement-123',
-      client_id: 'client-456',
-      type: 'weight_milestone',
-      title: '5kg Lost!',
-      description: 'Congratulations on losing 5kg!'
-    };
+  describe('booking.cancelled', () => {
+    const data = { booking_id: 'booking-123', client_id: 'client-456', trainer_id: 'trainer-789', reason: 'Schedule conflict' };
 
-    const mockClient = {
-      id: 'client-456',
-      first_name: 'Jane',
-      email: 'jane@example.com'
-    };
+    it('should cancel reminders and include the reason', async () => {
+      await handle('booking.cancelled', data);
 
-    it('should create achievement email with celebration emoji', async () => {
-      getUserContact.mockResolvedValue(mockClient);
-      
-      const emailSubject = '🎉 Achievement Unlocked!';
-      const emailBody = `Congratulations ${mockClient.first_name}!\n\nYou've earned a new achievement: ${achievementData.title}\n\n${achievementData.description || ''}\n\nKeep up the great work!`;
-      
-      expect(emailSubject).toBe('🎉 Achievement Unlocked!');
-      expect(emailBody).toContain('Jane');
-      expect(emailBody).toContain('5kg Lost!');
+      expect(cancelBookingReminders).toHaveBeenCalledWith('booking-123');
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('booking_reminder');
+      expect(content.message).toBe('Your booking has been cancelled. Schedule conflict');
+      expect(content.text).toContain('Reason: Schedule conflict');
+      expect(notification).toEqual({ type: 'booking_cancellation', metadata: { booking_id: 'booking-123' } });
     });
 
-    it('should create achievement notification', () => {
-      const { achievement_id, type, title } = achievementData;
-      
-      const notification = {
-        type: 'achievement',
-        category: 'achievement',
-        title: 'Achievement Unlocked!',
-        message: `Congratulations! You've earned: ${title}`,
-        metadata: { achievement_id, type }
-      };
-      
-      expect(notification.type).toBe('achievement');
-      expect(notification.category).toBe('achievement');
-      expect(notification.message).toContain('5kg Lost!');
+    it('should handle a missing reason', async () => {
+      await handle('booking.cancelled', { booking_id: 'booking-123', client_id: 'client-456' });
+
+      const [[, , , content]] = dispatched('client-456');
+      expect(content.message).toBe('Your booking has been cancelled.');
+      expect(content.text).not.toContain('Reason');
+    });
+
+    it('should fail so the event is retried when the client cannot be fetched', async () => {
+      getUserContact.mockResolvedValueOnce(null);
+
+      await expect(handle('booking.cancelled', data)).rejects.toThrow('Could not fetch client client-456 for booking cancellation');
+      expect(deps.dispatchNotification).not.toHaveBeenCalled();
     });
 
-    it('should handle missing description', () => {
-      const dataWithoutDesc = { ...achievementData, description: null };
-      
-      const emailBody = `Congratulations!\n\nYou've earned a new achievement: ${dataWithoutDesc.title}\n\n${dataWithoutDesc.description || ''}\n\nKeep up the great work!`;
-      
-      expect(emailBody).not.toContain('null');
+    it('should only notify the trainer when the event names one', async () => {
+      await handle('booking.cancelled', { booking_id: 'booking-123', client_id: 'client-456' });
+      expect(dispatched('trainer-789')).toHaveLength(0);
+
+      await handle('booking.cancelled', data);
+      expect(dispatched('trainer-789')[0][2]).toBe('trainer_booking');
     });
   });
 
-  describe('handleProgramCompleted', () => {
-    const programCompletedData = {
-      program_id: 'program-123',
-      client_id: 'client-456',
-      trainer_id: 'trainer-789'
-    };
+  describe('booking.rescheduled', () => {
+    it('should move the reminders without notifying anyone', async () => {
+      const data = { booking_id: 'booking-123', client_id: 'client-456', booking_date: '2025-01-16', start_time: '09:00' };
 
-    const mockClient = {
-      id: 'client-456',
-      first_name: 'Mike',
-      email: 'mike@example.com'
-    };
+      await handle('booking.rescheduled', data);
 
-    it('should create completion email', async () => {
-      getUserContact.mockResolvedValue(mockClient);
-      
-      const emailSubject = 'Program Completed!';
-      const emailBody = `Congratulations ${mockClient.first_name}!\n\nYou've successfully completed your training program!\n\nGreat work on finishing your program. Keep up the momentum!`;
-      
-      expect(emailSubject).toBe('Program Completed!');
-      expect(emailBody).toContain('Mike');
-      expect(emailBody).toContain('successfully completed');
+      expect(scheduleBookingReminders).toHaveBeenCalledWith(data);
+      expect(deps.dispatchNotification).not.toHaveBeenCalled();
     });
+  });
+
+  describe('booking.completed', () => {
+    const data = { booking_id: 'booking-123', client_id: 'client-456', trainer_id: 'trainer-789', workout_date: '2025-01-15' };
+
+    it('should prompt the client to log the workout', async () => {
+      await handle('booking.completed', data);
 
-    it('should create completion notification', () => {
-      const { program_id } = programCompletedData;
-      
-      const notification = {
-        type: 'program_completed',
-        category: 'program_assigned',
-        title: 'Program Completed!',
-        message: 'Congratulations on completing your training program!',
-        metadata: { program_id }
-      };
-      
-      expect(notification.type).toBe('program_completed');
-      expect(notification.metadata.program_id).toBe('program-123');
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('booking_confirmation');
+      expect(content.title).toBe('Session Completed');
+      expect(notification).toEqual({ type: 'booking_completed', metadata: { booking_id: 'booking-123' } });
+      expect(dispatched('trainer-789')[0][4].type).toBe('trainer_booking_completed');
+    });
+
+    it('should fail when the client cannot be fetched', async () => {
+      getUserContact.mockResolvedValueOnce(null);
+
+      await expect(handle('booking.completed', data)).rejects.toThrow('Could not fetch client client-456');
+      expect(deps.dispatchNotification).not.toHaveBeenCalled();
     });
   });
 
-  describe('handleBookingCompleted', () => {
-    const bookingCompletedData = {
-      booking_id: 'booking-123',
+  describe('program.assigned', () => {
+    const data = {
+      program_id: 'program-123',
       client_id: 'client-456',
       trainer_id: 'trainer-789',
-      workout_date: '2025-01-15'
+      workout_plan_id: 'workout-111',
+      diet_plan_id: 'diet-222'
     };
 
-    it('should create session completed notification', () => {
-      const { booking_id, workout_date } = bookingCompletedData;
-      
-      const notification = {
-        type: 'booking_completed',
-        category: 'booking_confirmation',
-        title: 'Session Completed',
-        message: `Your training session on ${workout_date} is complete. Log your workout!`,
-        metadata: { booking_id }
-      };
-      
-      expect(notification.type).toBe('booking_completed');
-      expect(notification.message).toContain('2025-01-15');
-      expect(notification.message).toContain('Log your workout');
+    it('should name the assigned program', async () => {
+      await handle('program.assigned', data);
+
+      expect(getProgramDetails).toHaveBeenCalledWith('program-123');
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('program_assigned');
+      expect(content.message).toBe('Your trainer assigned you: Strength Phase 1');
+      expect(notification).toEqual({
+        type: 'program_assigned',
+        metadata: { program_id: 'program-123', workout_plan_id: 'workout-111', diet_plan_id: 'diet-222' }
+      });
     });
-  });
 
-  describe('handleMilestoneReached', () => {
-    const milestoneData = {
-      client_id: 'client-456',
-      milestone_type: 'Weight Loss',
-      achieved_value: '75kg',
-      previous_value: '80kg'
-    };
+    it('should use the default program name when the program is not found', async () => {
+      getProgramDetails.mockResolvedValueOnce(null);
+
+      await handle('program.assigned', data);
 
-    it('should create milestone email with progress info', () => {
-      const { milestone_type, achieved_value, previous_value } = milestoneData;
-      
-      const emailBody = `Congratulations!\n\nYou've reached a new milestone:\n${milestone_type}: ${achieved_value}\n\nProgress from: ${previous_value} → ${achieved_value}\n\nKeep up the amazing work!`;
-      
-      expect(emailBody).toContain('Weight Loss');
-      expect(emailBody).toContain('75kg');
-      expect(emailBody).toContain('80kg → 75kg');
+      expect(dispatched('client-456')[0][3].message).toBe('Your trainer assigned you: Training Program');
     });
 
-    it('should create milestone notification', () => {
-      const notification = {
-        type: 'milestone',
-        category: 'achievement',
-        title: 'Milestone Achieved!',
-        message: `You've reached: ${milestoneData.milestone_type}`,
-        metadata: milestoneData
-      };
-      
-      expect(notification.type).toBe('milestone');
-      expect(notification.category).toBe('achievement');
+    it('should fail when the client cannot be fetched', async () => {
+      getUserContact.mockResolvedValueOnce(null);
+
+      await expect(handle('program.assigned', data)).rejects.toThrow('Could not fetch client client-456 for program notification');
     });
   });
-});
 
-describe('Notification Structure', () => {
-  it('should have required fields', () => {
-    const notification = {
-      id: Date.now().toString(),
-      type: 'test',
-      category: 'test_category',
-      title: 'Test Title',
-      message: 'Test message',
-      metadata: {},
-      read_at: null,
-      created_at: new Date()
-    };
+  describe('program.completed', () => {
+    it('should congratulate the client and tell the trainer', async () => {
+      await handle('program.completed', { program_id: 'program-123', client_id: 'client-456', trainer_id: 'trainer-789' });
+
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('program_assigned');
+      expect(content.subject).toBe('Program Completed!');
+      expect(notification).toEqual({ type: 'program_completed', metadata: { program_id: 'program-123' } });
 
-    expect(notification).toHaveProperty('id');
-    expect(notification).toHaveProperty('type');
-    expect(notification).toHaveProperty('category');
-    expect(notification).toHaveProperty('title');
-    expect(notification).toHaveProperty('message');
-    expect(notification).toHaveProperty('read_at');
-    expect(notification).toHaveProperty('created_at');
+      const [[, , trainerCategory, trainerContent]] = dispatched('trainer-789');
+      expect(trainerCategory).toBe('trainer_client_progress');
+      expect(trainerContent.message).toBe('John Doe completó Strength Phase 1.');
+    });
   });
 
-  it('should start with read_at as null', () => {
-    const notification = {
-      id: '123',
-      type: 'test',
-      read_at: null,
-      created_at: new Date()
+  describe('achievement.earned', () => {
+    const data = {
+      achievement_id: 'achievement-1',
+      client_id: 'client-456',
+      type: 'streak',
+      title: '7 Day Streak',
+      description: 'Worked out 7 days in a row'
     };
 
-    expect(notification.read_at).toBeNull();
-  });
-});
+    it('should describe the achievement', async () => {
+      await handle('achievement.earned', data);
 
-describe('Email/SMS Mock Functions', () => {
-  describe('sendEmail mock', () => {
-    it('should resolve to true on success', async () => {
-      const mockSendEmail = jest.fn().mockResolvedValue(true);
-      const result = await mockSendEmail('test@example.com', 'Subject', 'Body');
-      expect(result).toBe(true);
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('achievement');
+      expect(content.text).toContain('7 Day Streak');
+      expect(content.text).toContain('Worked out 7 days in a row');
+      expect(notification).toEqual({ type: 'achievement', metadata: { achievement_id: 'achievement-1', type: 'streak' } });
     });
 
-    it('should be called with correct parameters', async () => {
-      const mockSendEmail = jest.fn().mockResolvedValue(true);
-      await mockSendEmail('user@fitsync.com', 'Welcome', 'Welcome to FitSync!');
-      
-      expect(mockSendEmail).toHaveBeenCalledWith(
-        'user@fitsync.com',
-        'Welcome',
-        'Welcome to FitSync!'
-      );
+    it('should handle a missing description', async () => {
+      await handle('achievement.earned', { ...data, description: undefined });
+
+      expect(dispatched('client-456')[0][3].text).not.toContain('undefined');
     });
   });
 
-  describe('sendSMS mock', () => {
-    it('should resolve to true on success', async () => {
-      const mockSendSMS = jest.fn().mockResolvedValue(true);
-      const result = await mockSendSMS('+1234567890', 'Your code is 123456');
-      expect(result).toBe(true);
+  describe('milestone.reached', () => {
+    it('should include the progress made', async () => {
+      const data = { client_id: 'client-456', milestone_type: 'Weight', achieved_value: 80, previous_value: 85 };
+
+      await handle('milestone.reached', data);
+
+      const [[, , category, content, notification]] = dispatched('client-456');
+      expect(category).toBe('achievement');
+      expect(content.text).toContain('85 → 80');
+      expect(notification).toEqual({ type: 'milestone', metadata: data });
     });
   });
 });
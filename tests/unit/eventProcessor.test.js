@@ -0,0 +1,245 @@
+/**
+ * Unit tests for event retries, the dead-letter store and its admin API.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { createEventProcessor } = require('../../src/events/processor');
+const { once, getEventContext } = require('../../src/events/context');
+const { listDeadLetters, getDeadLetter, removeDeadLetter } = require('../../src/events/deadLetters');
+const { createDeadLetterRouter } = require('../../src/routes/deadLetters');
+const { purgeExpired } = require('../../src/events/ledger');
+
+describe('Event Processor', () => {
+  const config = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 250 };
+  let wait;
+
+  beforeEach(async () => {
+    wait = jest.fn().mockResolvedValue();
+    for (const record of listDeadLetters({ limit: 1000 }).items) {
+      await removeDeadLetter(record.id);
+    }
+    await purgeExpired(Infinity);
+  });
+
+  it('should handle successful events once', async () => {
+    const handler = jest.fn();
+    const processor = createEventProcessor({ handlers: { 'booking.created': handler }, config, wait });
+
+    const result = await processor.handlers['booking.created']({ booking_id: 'b1' }, { id: '1-0' });
+
+    expect(result).toEqual({ status: 'handled', attempts: 1 });
+    expect(handler).toHaveBeenCalledWith({ booking_id: 'b1' }, { id: '1-0' });
+    expect(wait).not.toHaveBeenCalled();
+  });
+
+  it('should retry with exponential backoff capped at the maximum', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockResolvedValueOnce();
+    const processor = createEventProcessor({ handlers: { 'booking.created': handler }, config, wait });
+
+    const result = await processor.processEvent('booking.created', {});
+
+    expect(result).toEqual({ status: 'handled', attempts: 3 });
+    expect(wait.mock.calls).toEqual([[100], [200]]);
+  });
+
+  it('should dead-letter events that keep failing', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Could not fetch client c1'));
+    const processor = createEventProcessor({ handlers: { 'program.assigned': handler }, config, wait });
+
+    const result = await processor.processEvent('program.assigned', { client_id: 'c1' }, { id: '7-0' });
+
+    expect(result.status).toBe('dead_lettered');
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(getDeadLetter(result.dead_letter_id)).toMatchObject({
+      channel: 'program.assigned',
+      event_id: '7-0',
+      payload: { client_id: 'c1' },
+      error: 'Could not fetch client c1',
+      attempts: 3
+    });
+  });
+
+  it('should not repeat completed steps when retrying', async () => {
+    const store = jest.fn().mockResolvedValue({ id: 'n1' });
+    const send = jest.fn()
+      .mockResolvedValueOnce({ success: false, error: 'timeout' })
+      .mockResolvedValueOnce({ success: true });
+
+    const handler = async () => {
+      await once('user:in_app', store);
+      const result = await once('user:email', send, r => r.success);
+      if (!result.success) throw new Error(result.error);
+    };
+    const processor = createEventProcessor({ handlers: { 'achievement.earned': handler }, config, wait });
+
+    const result = await processor.processEvent('achievement.earned', {});
+
+    expect(result.attempts).toBe(2);
+    expect(store).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should expose the event context to handlers', async () => {
+    let seen;
+    const processor = createEventProcessor({
+      handlers: { 'booking.created': () => { seen = { ...getEventContext() }; } },
+      config,
+      wait
+    });
+
+    await processor.processEvent('booking.created', {}, { id: '9-0' });
+
+    expect(seen).toMatchObject({ channel: 'booking.created', eventId: '9-0', attempt: 1 });
+    expect(getEventContext()).toBeNull();
+  });
+
+  describe('retryDeadLetter', () => {
+    it('should remove the dead letter when the retry succeeds', async () => {
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockRejectedValueOnce(new Error('down'))
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValueOnce();
+      const processor = createEventProcessor({ handlers: { 'booking.created': handler }, config, wait });
+      const { dead_letter_id } = await processor.processEvent('booking.created', { booking_id: 'b1' });
+
+      const result = await processor.retryDeadLetter(dead_letter_id);
+
+      expect(result.status).toBe('handled');
+      expect(handler).toHaveBeenLastCalledWith({ booking_id: 'b1' }, { id: null, channel: 'booking.created' });
+      expect(getDeadLetter(dead_letter_id)).toBeNull();
+    });
+
+    it('should record another failed attempt', async () => {
+      const processor = createEventProcessor({
+        handlers: { 'booking.created': jest.fn().mockRejectedValue(new Error('still down')) },
+        config,
+        wait
+      });
+      const { dead_letter_id } = await processor.processEvent('booking.created', {});
+
+      const result = await processor.retryDeadLetter(dead_letter_id);
+
+      expect(result.status).toBe('failed');
+      expect(getDeadLetter(dead_letter_id)).toMatchObject({ attempts: 4, error: 'still down' });
+    });
+
+    it('should not repeat steps completed before the event was dead-lettered', async () => {
+      const store = jest.fn().mockResolvedValue({ id: 'n1' });
+      const send = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: 'timeout' })
+        .mockResolvedValueOnce({ success: false, error: 'timeout' })
+        .mockResolvedValueOnce({ success: false, error: 'timeout' })
+        .mockResolvedValueOnce({ success: false, error: 'timeout' })
+        .mockResolvedValueOnce({ success: true });
+      let storedId;
+      const handler = async () => {
+        storedId = (await once('user:in_app', store)).id;
+        const result = await once('user:email', send, r => r.success);
+        if (!result.success) throw new Error(result.error);
+      };
+      const processor = createEventProcessor({ handlers: { 'achievement.earned': handler }, config, wait });
+      const { dead_letter_id } = await processor.processEvent('achievement.earned', {});
+
+      expect(getDeadLetter(dead_letter_id).completed).toEqual({ 'user:in_app': { id: 'n1' } });
+
+      expect((await processor.retryDeadLetter(dead_letter_id)).status).toBe('failed');
+      expect((await processor.retryDeadLetter(dead_letter_id)).status).toBe('handled');
+
+      expect(store).toHaveBeenCalledTimes(1);
+      expect(storedId).toBe('n1');
+      expect(send).toHaveBeenCalledTimes(5);
+    });
+
+    it('should return null for unknown dead letters', async () => {
+      const processor = createEventProcessor({ handlers: {}, config, wait });
+
+      expect(await processor.retryDeadLetter('missing')).toBeNull();
+    });
+  });
+
+  describe('admin API', () => {
+    let app;
+    let processor;
+    let handler;
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+      handler = jest.fn().mockRejectedValue(new Error('down'));
+      processor = createEventProcessor({ handlers: { 'booking.created': handler }, config, wait });
+      app = express();
+      app.use('/api/admin/dead-letters', createDeadLetterRouter({ processor }));
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require the admin key', async () => {
+      const res = await request(app).get('/api/admin/dead-letters');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should be disabled without ADMIN_API_KEY', async () => {
+      delete process.env.ADMIN_API_KEY;
+
+      const res = await request(app).get('/api/admin/dead-letters').set('X-Admin-Key', 'admin-secret');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('ADMIN_DISABLED');
+    });
+
+    it('should list and inspect dead letters', async () => {
+      const { dead_letter_id } = await processor.processEvent('booking.created', { booking_id: 'b1' });
+
+      const list = await request(app).get('/api/admin/dead-letters?channel=booking.created').set('X-Admin-Key', 'admin-secret');
+      const detail = await request(app).get(`/api/admin/dead-letters/${dead_letter_id}`).set('X-Admin-Key', 'admin-secret');
+
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.pagination.total).toBe(1);
+      expect(detail.body.data.payload).toEqual({ booking_id: 'b1' });
+    });
+
+    it('should retry dead letters', async () => {
+      const { dead_letter_id } = await processor.processEvent('booking.created', {});
+      handler.mockResolvedValueOnce();
+
+      const res = await request(app).post(`/api/admin/dead-letters/${dead_letter_id}/retry`).set('X-Admin-Key', 'admin-secret');
+
+      expect(res.status).toBe(200);
+      expect(getDeadLetter(dead_letter_id)).toBeNull();
+    });
+
+    it('should report failed retries', async () => {
+      const { dead_letter_id } = await processor.processEvent('booking.created', {});
+
+      const res = await request(app).post(`/api/admin/dead-letters/${dead_letter_id}/retry`).set('X-Admin-Key', 'admin-secret');
+
+      expect(res.status).toBe(500);
+      expect(res.body.error.code).toBe('RETRY_FAILED');
+      expect(res.body.data.attempts).toBe(4);
+    });
+
+    it('should discard dead letters', async () => {
+      const { dead_letter_id } = await processor.processEvent('booking.created', {});
+
+      const res = await request(app).delete(`/api/admin/dead-letters/${dead_letter_id}`).set('X-Admin-Key', 'admin-secret');
+      const again = await request(app).delete(`/api/admin/dead-letters/${dead_letter_id}`).set('X-Admin-Key', 'admin-secret');
+
+      expect(res.status).toBe(200);
+      expect(again.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for event payload schemas, the quarantine store and its admin API.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const logger = require('../../src/config/logger');
+const { createEventProcessor } = require('../../src/events/processor');
+const { validateEventPayload } = require('../../src/events/schemas');
+const { getEventSchemas } = require('../../src/handlers');
+const { listQuarantined, getQuarantined, removeQuarantined } = require('../../src/events/quarantine');
+const metrics = require('../../src/metrics');
+const { metricValue } = require('../helpers/metrics');
+const { purgeExpired } = require('../../src/events/ledger');
+const { createQuarantineRouter } = require('../../src/routes/quarantine');
+
+describe('Event Validation', () => {
+  const schemas = getEventSchemas();
+  const booking = {
+    booking_id: 'b1',
+    client_id: 'c1',
+    trainer_id: 't1',
+    booking_date: '2025-01-15',
+    start_time: '10:00'
+  };
+
+  beforeEach(async () => {
+    for (const record of listQuarantined({ limit: 1000 }).items) {
+      await removeQuarantined(record.id);
+    }
+    await purgeExpired(Infinity);
+  });
+
+  describe('validateEventPayload', () => {
+    it('should accept valid payloads', () => {
+      expect(validateEventPayload('booking.created', booking, schemas)).toEqual([]);
+      expect(validateEventPayload('booking.created', { ...booking, booking_date: '2025-01-15T00:00:00Z', trainer_id: null }, schemas)).toEqual([]);
+      expect(validateEventPayload('milestone.reached', { client_id: 42, milestone_type: 'weight', achieved_value: '80.5' }, schemas)).toEqual([]);
+    });
+
+    it('should report missing required fields', () => {
+      expect(validateEventPayload('booking.created', { booking_id: 'b1' }, schemas)).toEqual([
+        'client_id is required',
+        'booking_date is required',
+        'start_time is required'
+      ]);
+    });
+
+    it('should report wrong types and date formats', () => {
+      expect(validateEventPayload('booking.created', {
+        ...booking,
+        client_id: '',
+        booking_date: '2025-02-30',
+        start_time: '25:00'
+      }, schemas)).toEqual([
+        'client_id must be a non-empty string or integer ID',
+        'booking_date must be a date (YYYY-MM-DD)',
+        'start_time must be a time (HH:MM)'
+      ]);
+      expect(validateEventPayload('milestone.reached', { client_id: 'c1', milestone_type: 'weight', achieved_value: 'lots' }, schemas))
+        .toEqual(['achieved_value must be a number']);
+    });
+
+    it('should reject payloads that are not objects', () => {
+      expect(validateEventPayload('program.assigned', ['c1'], schemas)).toEqual(['payload must be a JSON object']);
+      expect(validateEventPayload('program.assigned', null, schemas)).toEqual(['payload must be a JSON object']);
+    });
+
+    it('should accept anything on channels without a schema', () => {
+      expect(validateEventPayload('user.deleted', 'anything', schemas)).toEqual([]);
+    });
+  });
+
+  describe('processor', () => {
+    let handler;
+    let processor;
+
+    beforeEach(() => {
+      handler = jest.fn();
+      processor = createEventProcessor({ handlers: { 'booking.created': handler }, schemas });
+    });
+
+    it('should quarantine invalid events without running the handler', async () => {
+      const before = await metricValue(metrics.eventsFailed, { channel: 'booking.created', reason: 'invalid' });
+
+      const result = await processor.processEvent('booking.created', { booking_id: 'b9', client_id: 'c1' }, { id: '5-0' });
+
+      expect(result).toMatchObject({ status: 'invalid', attempts: 0, errors: ['booking_date is required', 'start_time is required'] });
+      expect(handler).not.toHaveBeenCalled();
+      expect(getQuarantined(result.quarantine_id)).toMatchObject({
+        channel: 'booking.created',
+        event_id: '5-0',
+        payload: { booking_id: 'b9', client_id: 'c1' }
+      });
+      expect(await metricValue(metrics.eventsFailed, { channel: 'booking.created', reason: 'invalid' })).toBe(before + 1);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('booking_date is required'));
+    });
+
+    it('should still handle the corrected event after quarantining the invalid one', async () => {
+      await processor.processEvent('booking.created', { booking_id: 'b1', client_id: 'c1' });
+
+      const result = await processor.processEvent('booking.created', booking);
+
+      expect(result.status).toBe('handled');
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should handle valid events as before', async () => {
+      const result = await processor.processEvent('booking.created', booking);
+
+      expect(result).toEqual({ status: 'handled', attempts: 1 });
+      expect(handler).toHaveBeenCalledWith(booking, {});
+    });
+  });
+
+  describe('admin API', () => {
+    let app;
+    let processor;
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'admin-secret';
+      processor = createEventProcessor({ handlers: { 'booking.created': jest.fn() }, schemas });
+      app = express();
+      app.use('/api/admin/quarantine', createQuarantineRouter());
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_KEY;
+    });
+
+    it('should require the admin key', async () => {
+      const res = await request(app).get('/api/admin/quarantine');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should list, inspect and discard quarantined events', async () => {
+      const { quarantine_id } = await processor.processEvent('booking.created', { booking_id: 'b1' });
+
+      const list = await request(app).get('/api/admin/quarantine?channel=booking.created').set('X-Admin-Key', 'admin-secret');
+      const detail = await request(app).get(`/api/admin/quarantine/${quarantine_id}`).set('X-Admin-Key', 'admin-secret');
+      const removed = await request(app).delete(`/api/admin/quarantine/${quarantine_id}`).set('X-Admin-Key', 'admin-secret');
+      const missing = await request(app).get(`/api/admin/quarantine/${quarantine_id}`).set('X-Admin-Key', 'admin-secret');
+
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.pagination.total).toBe(1);
+      expect(list.body).not.toHaveProperty('counts');
+      expect(detail.body.data.errors).toContain('client_id is required');
+      expect(removed.status).toBe(200);
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Unit tests for the readiness checks and the liveness/readiness probes.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/httpClient', () => ({
+  pingService: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createHealthChecker } = require('../../src/health');
+const { redisCheck, storageCheck, emailCheck, serviceCheck } = require('../../src/health/checks');
+const { createHealthRouter } = require('../../src/routes/health');
+const { createMemoryStore } = require('../../src/storage');
+const { createStreamConsumer } = require('../../src/events/streamConsumer');
+const { pingService } = require('../../src/utils/httpClient');
+
+describe('Health checks', () => {
+  const config = { timeoutMs: 50, slowMs: 1000, cacheMs: 15000 };
+
+  describe('createHealthChecker', () => {
+    it('should report healthy checks with their latency', async () => {
+      const checker = createHealthChecker({
+        config,
+        checks: [{ name: 'storage', critical: true, run: async () => ({ driver: 'memory' }) }]
+      });
+
+      const result = await checker.run();
+
+      expect(result.status).toBe('healthy');
+      expect(result.checks.storage).toEqual({
+        status: 'healthy',
+        driver: 'memory',
+        latency_ms: expect.any(Number),
+        critical: true
+      });
+    });
+
+    it('should be unhealthy when a critical check fails', async () => {
+      const checker = createHealthChecker({
+        config,
+        checks: [
+          { name: 'redis', critical: true, run: async () => { throw new Error('Redis connection is not ready'); } },
+          { name: 'email', run: async () => ({}) }
+        ]
+      });
+
+      const result = await checker.run();
+
+      expect(result.status).toBe('unhealthy');
+      expect(result.checks.redis).toMatchObject({ status: 'unhealthy', error: 'Redis connection is not ready' });
+      expect(result.checks.email.status).toBe('healthy');
+    });
+
+    it('should only be degraded when a non-critical check fails', async () => {
+      const checker = createHealthChecker({
+        config,
+        checks: [
+          { name: 'redis', critical: true, run: async () => ({}) },
+          { name: 'user_service', run: async () => { throw new Error('connect ECONNREFUSED'); } }
+        ]
+      });
+
+      const result = await checker.run();
+
+      expect(result.status).toBe('degraded');
+      expect(result.checks.user_service).toMatchObject({ status: 'unhealthy', critical: false });
+    });
+
+    it('should fail checks that exceed the timeout', async () => {
+      const checker = createHealthChecker({
+        config,
+        checks: [{ name: 'email', run: () => new Promise(() => {}) }]
+      });
+
+      const result = await checker.run();
+
+      expect(result.checks.email).toMatchObject({ status: 'unhealthy', error: 'Timed out after 50ms' });
+    });
+
+    it('should mark slow checks as degraded', async () => {
+      let time = 0;
+      const checker = createHealthChecker({
+        config,
+        now: () => time,
+        checks: [{ name: 'schedule_service', run: async () => { time += 1500; return {}; } }]
+      });
+
+      const result = await checker.run();
+
+      expect(result.status).toBe('degraded');
+      expect(result.checks.schedule_service).toMatchObject({ status: 'degraded', latency_ms: 1500, reason: 'Responded in 1500ms' });
+    });
+
+    it('should keep the status a check reports', async () => {
+      const checker = createHealthChecker({
+        config,
+        checks: [{ name: 'redis', critical: true, run: async () => ({ status: 'degraded', reason: 'partial' }) }]
+      });
+
+      expect((await checker.run()).status).toBe('degraded');
+    });
+
+    it('should reuse cached results until they expire', async () => {
+      let time = 0;
+      const run = jest.fn().mockResolvedValue({});
+      const checker = createHealthChecker({ config, now: () => time, checks: [{ name: 'email', cached: true, run }] });
+
+      await checker.run();
+      time = 10000;
+      await checker.run();
+      expect(run).toHaveBeenCalledTimes(1);
+
+      time = 20000;
+      await checker.run();
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('checks', () => {
+    function fakeConsumer(mode, status) {
+      return { mode, status: () => status };
+    }
+
+    it('should fail the Redis check when the connection is down', async () => {
+      const check = redisCheck({ getClient: () => ({ isReady: false }), getConsumer: () => null });
+
+      await expect(check.run()).rejects.toThrow('Redis connection is not ready');
+    });
+
+    it('should fail the Redis check when the consumer is not running', async () => {
+      const check = redisCheck({
+        getClient: () => ({ isReady: true }),
+        getConsumer: () => fakeConsumer('pubsub', { running: false, channels: 8, subscribed: 0 })
+      });
+
+      await expect(check.run()).rejects.toThrow('Event consumer is not running');
+    });
+
+    it('should report pub/sub subscriptions without pinging', async () => {
+      const client = { isReady: true, ping: jest.fn() };
+      const check = redisCheck({
+        getClient: () => client,
+        getConsumer: () => fakeConsumer('pubsub', { running: true, channels: 8, subscribed: 8 })
+      });
+
+      expect(await check.run()).toEqual({ mode: 'pubsub', channels: 8, subscribed: 8 });
+      expect(client.ping).not.toHaveBeenCalled();
+    });
+
+    it('should be degraded when some channels are not subscribed', async () => {
+      const check = redisCheck({
+        getClient: () => ({ isReady: true }),
+        getConsumer: () => fakeConsumer('pubsub', { running: true, channels: 8, subscribed: 5 })
+      });
+
+      expect(await check.run()).toMatchObject({ status: 'degraded', subscribed: 5 });
+    });
+
+    it('should ping Redis and report stream read errors', async () => {
+      const client = { isReady: true, ping: jest.fn().mockResolvedValue('PONG') };
+      const check = redisCheck({
+        getClient: () => client,
+        getConsumer: () => fakeConsumer('streams', {
+          running: true,
+          channels: 8,
+          subscribed: 8,
+          last_error: { message: 'NOGROUP', at: '2025-01-15T10:00:00.000Z' }
+        })
+      });
+
+      const result = await check.run();
+
+      expect(client.ping).toHaveBeenCalled();
+      expect(result).toMatchObject({
+        status: 'degraded',
+        reason: 'Last stream read failed: NOGROUP',
+        last_error_at: '2025-01-15T10:00:00.000Z'
+      });
+    });
+
+    it('should stay healthy while the stream consumer blocks on a read', async () => {
+      // Like a Redis connection, each fake runs one command at a time
+      function createConnection() {
+        let queue = Promise.resolve();
+        const run = command => {
+          const result = queue.then(command);
+          queue = result.catch(() => {});
+          return result;
+        };
+        return {
+          isReady: true,
+          on: jest.fn(),
+          connect: jest.fn().mockResolvedValue(),
+          quit: jest.fn().mockResolvedValue(),
+          duplicate: () => createConnection(),
+          ping: () => run(async () => 'PONG'),
+          xGroupCreate: () => run(async () => 'OK'),
+          xAck: () => run(async () => 1),
+          xAutoClaim: () => run(async () => ({ nextId: '0-0', messages: [] })),
+          xReadGroup: (group, consumer, streams, { BLOCK }) =>
+            run(() => new Promise(resolve => setTimeout(() => resolve(null), BLOCK)))
+        };
+      }
+
+      const client = createConnection();
+      const consumer = createStreamConsumer({
+        client,
+        handlers: { 'booking.created': jest.fn() },
+        config: { group: 'g', consumer: 'c', prefix: '', startId: '$', batchSize: 10, blockMs: 300, claimIdleMs: 60000, claimIntervalMs: 30000 }
+      });
+      await consumer.start();
+      // Let the loop reach its blocking read
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const checker = createHealthChecker({
+        config: { ...config, timeoutMs: 100 },
+        checks: [redisCheck({ getClient: () => client, getConsumer: () => consumer })]
+      });
+      const result = await checker.run();
+      await consumer.stop();
+
+      expect(result.checks.redis).toMatchObject({ status: 'healthy', mode: 'streams', subscribed: 1 });
+    });
+
+    it('should check the notification store and collections', async () => {
+      const store = createMemoryStore();
+      await store.add('1', { title: 'Hello' });
+
+      expect(await storageCheck(store).run()).toEqual({
+        driver: 'memory',
+        notifications: 1,
+        collections: expect.any(Number)
+      });
+    });
+
+    it('should verify the mock mail transport', async () => {
+      expect(await emailCheck().run()).toEqual({ mode: 'mock' });
+    });
+
+    it('should ping downstream services with the check timeout', async () => {
+      pingService.mockResolvedValue({ url: 'http://localhost:3001', status_code: 200 });
+      const check = serviceCheck('user', config);
+
+      expect(check).toMatchObject({ name: 'user_service', cached: true });
+      expect(await check.run()).toEqual({ url: 'http://localhost:3001', status_code: 200 });
+      expect(pingService).toHaveBeenCalledWith('user', { timeout: 50 });
+    });
+  });
+
+  describe('probe endpoints', () => {
+    function createApp({ state = 'running', result = { status: 'healthy', checks: {} } } = {}) {
+      const checker = { run: jest.fn().mockResolvedValue(result) };
+      const app = express();
+      app.use('/health', createHealthRouter({ checker, getState: () => state }));
+      return { app, checker };
+    }
+
+    it('should answer liveness without running checks', async () => {
+      const { app, checker } = createApp({ state: 'starting' });
+
+      const response = await request(app).get('/health/live');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'healthy', service: 'notification-service' });
+      expect(checker.run).not.toHaveBeenCalled();
+    });
+
+    it('should not be ready before startup completes', async () => {
+      const { app, checker } = createApp({ state: 'starting' });
+
+      const response = await request(app).get('/health/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toMatchObject({ status: 'unhealthy', state: 'starting' });
+      expect(checker.run).not.toHaveBeenCalled();
+    });
+
+    it('should be ready but report degraded checks', async () => {
+      const checks = { user_service: { status: 'unhealthy', critical: false, error: 'connect ECONNREFUSED' } };
+      const { app } = createApp({ result: { status: 'degraded', checks } });
+
+      const response = await request(app).get('/health/ready');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ status: 'degraded', state: 'running', checks });
+    });
+
+    it('should answer 503 when a critical check fails, on /health too', async () => {
+      const { app } = createApp({ result: { status: 'unhealthy', checks: {} } });
+
+      expect((await request(app).get('/health/ready')).status).toBe(503);
+      expect((await request(app).get('/health')).status).toBe(503);
+    });
+  });
+});
@@ -17,6 +17,11 @@ jest.mock('../../src/config/logger', () => ({
   warn: jest.fn()
 }));
 
+const { getUsersBatch } = require('../../src/utils/httpClient');
+
+// The user service client the module created
+const batchClient = axios.create.mock.results[0].value;
+
 describe('HTTP Client', () => {
   let userServiceClient;
   let trainingServiceClient;
@@ -102,17 +107,16 @@ describe('HTTP Client', () => {
       expect(result[0].first_name).toBe('John');
     });
 
-    it('should return empty array on error', async () => {
-      userServiceClient.post.mockRejectedValue(new Error('Network error'));
+    it('should throw when the user service cannot be reached', async () => {
+      batchClient.post.mockRejectedValue(new Error('Network error'));
 
-      let result = [];
-      try {
-        await userServiceClient.post('/api/users/batch', { user_ids: ['user-1'] });
-      } catch (error) {
-        result = [];
-      }
+      await expect(getUsersBatch(['user-1'])).rejects.toThrow('Network error');
+    });
+
+    it('should return only the users the service knows', async () => {
+      batchClient.post.mockResolvedValue({ data: { data: [] } });
 
-      expect(result).toEqual([]);
+      await expect(getUsersBatch(['deleted-user'])).resolves.toEqual([]);
     });
 
     it('should send user_ids in request body', async () => {
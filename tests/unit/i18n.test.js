@@ -0,0 +1,79 @@
+/**
+ * Unit tests for locale resolution and formatting helpers.
+ */
+
+const {
+  normalizeLocale,
+  resolveLocale,
+  localeChain,
+  formatDate,
+  formatTime,
+  formatNumber
+} = require('../../src/utils/i18n');
+
+describe('i18n', () => {
+  describe('resolveLocale', () => {
+    it('should use the locale from the user record', () => {
+      expect(resolveLocale({ locale: 'es-MX' })).toBe('es-MX');
+    });
+
+    it('should accept a language field and underscore tags', () => {
+      expect(resolveLocale({ language: 'pt_br' })).toBe('pt-BR');
+    });
+
+    it('should fall back to English', () => {
+      expect(resolveLocale(null)).toBe('en');
+      expect(resolveLocale({})).toBe('en');
+      expect(resolveLocale({ locale: 'not a locale!' })).toBe('en');
+    });
+  });
+
+  describe('localeChain', () => {
+    it('should try the region, then the language, then the default', () => {
+      expect(localeChain('es-MX')).toEqual(['es-MX', 'es', 'en']);
+    });
+
+    it('should not repeat the default locale', () => {
+      expect(localeChain('en')).toEqual(['en']);
+    });
+
+    it('should fall back to the default for invalid tags', () => {
+      expect(normalizeLocale('??')).toBeNull();
+      expect(localeChain('??')).toEqual(['en']);
+    });
+  });
+
+  describe('formatDate', () => {
+    it('should format date-only values without shifting the day', () => {
+      expect(formatDate('2025-01-15', 'en-US')).toBe('Jan 15, 2025');
+      expect(formatDate('2025-01-15', 'de')).toBe('15.01.2025');
+    });
+
+    it('should pass through unparseable values', () => {
+      expect(formatDate('next tuesday', 'en')).toBe('next tuesday');
+      expect(formatDate(undefined, 'en')).toBe('');
+    });
+  });
+
+  describe('formatTime', () => {
+    it('should format wall-clock times for the locale', () => {
+      expect(formatTime('14:30', 'en-US')).toBe('2:30 PM');
+      expect(formatTime('14:30:00', 'de')).toBe('14:30');
+    });
+
+    it('should pass through unparseable values', () => {
+      expect(formatTime('noon', 'en')).toBe('noon');
+    });
+  });
+
+  describe('formatNumber', () => {
+    it('should use the locale separators', () => {
+      expect(formatNumber(1234.5, 'en')).toBe('1,234.5');
+      expect(formatNumber('1234.5', 'de')).toBe('1.234,5');
+    });
+
+    it('should pass through non-numeric values', () => {
+      expect(formatNumber('5km', 'en')).toBe('5km');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the service metrics recorded by the event processor,
+ * delivery tracking and HTTP client, and their Prometheus rendering.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const metrics = require('../../src/metrics');
+const { createEventProcessor } = require('../../src/events/processor');
+const { purgeExpired } = require('../../src/events/ledger');
+const { recordDelivery } = require('../../src/deliveries');
+const { metricValue: value, observationCount } = require('../helpers/metrics');
+
+describe('Metrics', () => {
+  describe('service metrics', () => {
+    const config = { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 };
+    const wait = () => Promise.resolve();
+
+    beforeEach(async () => {
+      metrics.registry.resetMetrics();
+      await purgeExpired(Infinity);
+    });
+
+    it('should count received, handled, failed and duplicate events per channel', async () => {
+      const handler = jest.fn()
+        .mockResolvedValueOnce()
+        .mockRejectedValue(new Error('down'));
+      const processor = createEventProcessor({
+        handlers: { 'booking.created': handler },
+        schemas: { 'booking.created': { booking_id: { type: 'id', required: true } } },
+        config,
+        wait
+      });
+
+      await processor.processEvent('booking.created', { booking_id: 'm1' });
+      await processor.processEvent('booking.created', { booking_id: 'm1' });
+      await processor.processEvent('booking.created', { booking_id: 'm2' });
+      await processor.processEvent('booking.created', {});
+
+      const channel = 'booking.created';
+      expect(await value(metrics.eventsReceived, { channel })).toBe(4);
+      expect(await value(metrics.eventsHandled, { channel })).toBe(1);
+      expect(await value(metrics.eventsDuplicate, { channel })).toBe(1);
+      expect(await value(metrics.eventsFailed, { channel, reason: 'dead_lettered' })).toBe(1);
+      expect(await value(metrics.eventsFailed, { channel, reason: 'invalid' })).toBe(1);
+      expect(await observationCount(metrics.handlerDuration, { channel, outcome: 'success' })).toBe(1);
+      expect(await observationCount(metrics.handlerDuration, { channel, outcome: 'error' })).toBe(2);
+    });
+
+    it('should count deliveries per channel and outcome', async () => {
+      await recordDelivery({ userId: 'u1', channel: 'email', result: { success: true } });
+      await recordDelivery({ userId: 'u1', channel: 'email', result: { success: false, error: 'SMTP down' } });
+      await recordDelivery({ userId: 'u1', channel: 'sms', result: { success: false, suppressed: true } });
+
+      expect(await value(metrics.deliveries, { channel: 'email', status: 'sent' })).toBe(1);
+      expect(await value(metrics.deliveries, { channel: 'email', status: 'failed' })).toBe(1);
+      expect(await value(metrics.deliveries, { channel: 'sms', status: 'suppressed' })).toBe(1);
+    });
+
+    it('should time downstream calls and count errors per service', async () => {
+      const notFound = Object.assign(new Error('Not Found'), { response: { status: 404 } });
+      const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+      await metrics.timeHttpCall('user', async () => ({ data: {} }));
+      await expect(metrics.timeHttpCall('user', async () => { throw notFound; })).rejects.toBe(notFound);
+      await expect(metrics.timeHttpCall('training', async () => { throw refused; })).rejects.toBe(refused);
+
+      expect(await observationCount(metrics.httpClientDuration, { service: 'user', outcome: 'success' })).toBe(1);
+      expect(await observationCount(metrics.httpClientDuration, { service: 'user', outcome: 'error' })).toBe(1);
+      expect(await value(metrics.httpClientErrors, { service: 'user', code: 404 })).toBe(1);
+      expect(await value(metrics.httpClientErrors, { service: 'training', code: 'ECONNREFUSED' })).toBe(1);
+    });
+
+    it('should report the notification store size on every scrape', async () => {
+      let size = 12;
+      metrics.trackStoreSize({ size: async () => size });
+
+      expect(await metrics.registry.metrics()).toContain('notification_store_notifications 12');
+      size = 7;
+      expect(await metrics.registry.metrics()).toContain('notification_store_notifications 7');
+    });
+
+    it('should render the metrics in the Prometheus text format', async () => {
+      metrics.eventsFailed.inc({ channel: 'booking.created', reason: 'invalid' });
+      metrics.handlerDuration.observe({ channel: 'booking.created', outcome: 'success' }, 0.2);
+
+      const text = await metrics.registry.metrics();
+
+      expect(metrics.registry.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(text).toContain('# TYPE notification_events_failed_total counter');
+      expect(text).toContain('notification_events_failed_total{channel="booking.created",reason="invalid"} 1');
+      expect(text).toContain('notification_handler_duration_seconds_bucket{le="0.25",channel="booking.created",outcome="success"} 1');
+      expect(text).toContain('notification_handler_duration_seconds_count{channel="booking.created",outcome="success"} 1');
+    });
+  });
+});
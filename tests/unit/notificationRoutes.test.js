@@ -0,0 +1,263 @@
+/**
+ * Unit tests for the notification API routes.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createMemoryStore, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../../src/storage');
+const { recordDelivery } = require('../../src/deliveries');
+const { createNotificationRouter, parseListQuery, MAX_BULK_IDS } = require('../../src/routes/notifications');
+
+describe('Notification routes', () => {
+  let store;
+  let hub;
+  let app;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    hub = { unreadCountChanged: jest.fn().mockResolvedValue() };
+    app = express();
+    app.use(express.json());
+    app.use('/notifications', (req, res, next) => {
+      req.userId = req.get('x-user') || 'user-1';
+      next();
+    }, createNotificationRouter({ store, hub }));
+  });
+
+  describe('parseListQuery', () => {
+    it('should default to the first page of everything', () => {
+      expect(parseListQuery({}).options).toMatchObject({ unreadOnly: false, cursor: undefined, limit: DEFAULT_PAGE_SIZE });
+    });
+
+    it('should read the filters', () => {
+      const { options } = parseListQuery({ category: 'marketing', unread: '1', since: '2025-01-15T10:00:00Z', limit: '5' });
+
+      expect(options).toMatchObject({ category: 'marketing', unreadOnly: true, limit: 5 });
+      expect(options.since).toEqual(new Date('2025-01-15T10:00:00Z'));
+    });
+  });
+
+  describe('GET /', () => {
+    it("should page through the user's notifications newest first", async () => {
+      for (let i = 0; i < 3; i++) {
+        await store.add('user-1', { category: 'marketing', title: `n${i}` });
+      }
+      await store.add('user-2', { category: 'marketing', title: 'other' });
+
+      const first = await request(app).get('/notifications').query({ limit: 2 });
+      expect(first.status).toBe(200);
+      expect(first.body.data.map(n => n.title)).toEqual(['n2', 'n1']);
+      expect(first.body.pagination).toEqual({ limit: 2, next_cursor: expect.any(String) });
+
+      const second = await request(app).get('/notifications').query({ limit: 2, cursor: first.body.pagination.next_cursor });
+      expect(second.body.data.map(n => n.title)).toEqual(['n0']);
+      expect(second.body.pagination.next_cursor).toBeNull();
+    });
+
+    it.each([
+      [{ limit: '0' }, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`],
+      [{ limit: String(MAX_PAGE_SIZE + 1) }, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`],
+      [{ limit: 'ten' }, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`],
+      [{ since: 'yesterday' }, 'since must be an ISO 8601 timestamp'],
+      [{ cursor: 'not-a-cursor' }, 'cursor is invalid']
+    ])('should reject %j', async (query, message) => {
+      const response = await request(app).get('/notifications').query(query);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ success: false, error: { code: 'VALIDATION_ERROR', message } });
+    });
+  });
+
+  describe('GET /unread/count', () => {
+    it("should count the user's unread notifications", async () => {
+      const read = await store.add('user-1', { category: 'marketing' });
+      await store.add('user-1', { category: 'marketing' });
+      await store.add('user-2', { category: 'marketing' });
+      await store.markRead('user-1', read.id);
+
+      const response = await request(app).get('/notifications/unread/count');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: { count: 1 } });
+    });
+  });
+
+  describe('GET /:id/deliveries', () => {
+    it('should list the delivery attempts of the notification', async () => {
+      const stored = await store.add('user-1', { category: 'marketing' });
+      await recordDelivery({ userId: 'user-1', notificationId: stored.id, channel: 'email', recipient: 'a@example.com', result: { success: true } });
+
+      const response = await request(app).get(`/notifications/${stored.id}/deliveries`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([expect.objectContaining({ notification_id: stored.id, channel: 'email', status: 'sent' })]);
+    });
+
+    it("should answer 404 for another user's notification", async () => {
+      const stored = await store.add('user-2', { category: 'marketing' });
+
+      const response = await request(app).get(`/notifications/${stored.id}/deliveries`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /:id/read', () => {
+    it('should mark the notification read and push the new unread count', async () => {
+      const stored = await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).put(`/notifications/${stored.id}/read`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: stored.id, read_at: expect.any(String) });
+      expect(hub.unreadCountChanged).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should answer 404 for an unknown notification', async () => {
+      const response = await request(app).put('/notifications/missing/read');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toEqual({ code: 'NOT_FOUND', message: 'Notification not found' });
+      expect(hub.unreadCountChanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('should delete the notification', async () => {
+      const stored = await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).delete(`/notifications/${stored.id}`);
+
+      expect(response.status).toBe(200);
+      expect(await store.get('user-1', stored.id)).toBeNull();
+      expect(hub.unreadCountChanged).toHaveBeenCalledWith('user-1');
+    });
+
+    it("should not delete another user's notification", async () => {
+      const stored = await store.add('user-2', { category: 'marketing' });
+
+      const response = await request(app).delete(`/notifications/${stored.id}`);
+
+      expect(response.status).toBe(404);
+      expect(await store.get('user-2', stored.id)).not.toBeNull();
+    });
+  });
+
+  describe('PUT /read', () => {
+    it('should mark every unread notification read and report the unread count', async () => {
+      await store.add('user-1', { category: 'booking_reminder' });
+      await store.add('user-1', { category: 'marketing' });
+      await store.add('user-2', { category: 'marketing' });
+
+      const response = await request(app).put('/notifications/read').send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, data: { affected: 2, unread_count: 0 } });
+      expect(hub.unreadCountChanged).toHaveBeenCalledWith('user-1');
+      expect(await store.countUnread('user-2')).toBe(1);
+    });
+
+    it('should only mark the given category read', async () => {
+      await store.add('user-1', { category: 'booking_reminder' });
+      await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).put('/notifications/read').send({ category: 'marketing' });
+
+      expect(response.body.data).toEqual({ affected: 1, unread_count: 1 });
+    });
+
+    it('should only mark notifications created before the timestamp read', async () => {
+      await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).put('/notifications/read').send({ before: '2000-01-01T00:00:00Z' });
+
+      expect(response.body.data).toEqual({ affected: 0, unread_count: 1 });
+      expect(hub.unreadCountChanged).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ category: '' }, 'category must be a non-empty string'],
+      [{ category: 42 }, 'category must be a non-empty string'],
+      [{ before: 'yesterday' }, 'before must be an ISO 8601 timestamp'],
+      [{ before: 1736935200000 }, 'before must be an ISO 8601 timestamp']
+    ])('should reject %j', async (body, message) => {
+      await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).put('/notifications/read').send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toEqual({ code: 'VALIDATION_ERROR', message });
+      expect(await store.countUnread('user-1')).toBe(1);
+    });
+  });
+
+  describe('PUT /:id/unread', () => {
+    it('should mark a read notification unread', async () => {
+      const stored = await store.add('user-1', { category: 'marketing' });
+      await store.markRead('user-1', stored.id);
+
+      const response = await request(app).put(`/notifications/${stored.id}/unread`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ affected: 1, unread_count: 1 });
+      expect(hub.unreadCountChanged).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should report nothing affected when the notification is already unread', async () => {
+      const stored = await store.add('user-1', { category: 'marketing' });
+
+      const response = await request(app).put(`/notifications/${stored.id}/unread`);
+
+      expect(response.body.data).toEqual({ affected: 0, unread_count: 1 });
+      expect(hub.unreadCountChanged).not.toHaveBeenCalled();
+    });
+
+    it("should answer 404 for another user's notification", async () => {
+      const stored = await store.add('user-2', { category: 'marketing' });
+
+      const response = await request(app).put(`/notifications/${stored.id}/unread`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('POST /bulk-delete', () => {
+    it('should delete the listed notifications and ignore unknown IDs', async () => {
+      const first = await store.add('user-1', { category: 'marketing' });
+      const second = await store.add('user-1', { category: 'marketing' });
+      const other = await store.add('user-2', { category: 'marketing' });
+
+      const response = await request(app)
+        .post('/notifications/bulk-delete')
+        .send({ ids: [first.id, other.id, 'missing'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ affected: 1, unread_count: 1 });
+      expect(await store.get('user-1', second.id)).not.toBeNull();
+      expect(await store.get('user-2', other.id)).not.toBeNull();
+    });
+
+    it.each([
+      ['a missing list', {}],
+      ['an empty list', { ids: [] }],
+      ['a string', { ids: 'n1' }],
+      ['non-string IDs', { ids: ['n1', 2] }],
+      ['too many IDs', { ids: Array.from({ length: MAX_BULK_IDS + 1 }, (_, i) => `n${i}`) }]
+    ])('should reject %s', async (label, body) => {
+      const response = await request(app).post('/notifications/bulk-delete').send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toEqual({
+        code: 'VALIDATION_ERROR',
+        message: `ids must be an array of 1 to ${MAX_BULK_IDS} notification IDs`
+      });
+    });
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Unit tests for the notification storage backends.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  createNotificationStore,
+  createMemoryStore,
+  createFileStore,
+  createCollection,
+  decodeCursor
+} = require('../../src/storage');
+const { createNotificationId } = require('../../src/storage/ids');
+
+describe('Notification Store', () => {
+  describe('createNotificationStore', () => {
+    it('should default to the memory backend under test', () => {
+      expect(createNotificationStore().name).toBe('memory');
+    });
+
+    it('should create a file backend when requested', () => {
+      const store = createNotificationStore({ driver: 'file', filePath: '/tmp/x.log' });
+      expect(store.name).toBe('file');
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createNotificationStore({ driver: 'mongo' })).toThrow('Unknown notification store driver');
+    });
+  });
+
+  describe('memory backend', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = createMemoryStore();
+      await store.init();
+    });
+
+    it('should add notifications with id, read_at and created_at', async () => {
+      const stored = await store.add('user-1', { type: 'test', title: 'Test', message: 'msg' });
+
+      expect(stored.id).toBeDefined();
+      expect(stored.read_at).toBeNull();
+      expect(stored.created_at).toBeInstanceOf(Date);
+      expect(await store.list('user-1')).toHaveLength(1);
+    });
+
+    it('should return an empty list for unknown users', async () => {
+      expect(await store.list('nobody')).toEqual([]);
+    });
+
+    it('should mark a notification as read', async () => {
+      const stored = await store.add('user-1', { type: 'test' });
+
+      const updated = await store.markRead('user-1', stored.id);
+
+      expect(updated.read_at).toBeInstanceOf(Date);
+      expect(await store.countUnread('user-1')).toBe(0);
+    });
+
+    it('should return null when marking an unknown notification', async () => {
+      expect(await store.markRead('user-1', 'missing')).toBeNull();
+    });
+
+    it('should remove notifications and report whether one was found', async () => {
+      const stored = await store.add('user-1', { type: 'test' });
+
+      expect(await store.remove('user-1', stored.id)).toBe(true);
+      expect(await store.remove('user-1', stored.id)).toBe(false);
+      expect(await store.list('user-1')).toEqual([]);
+    });
+
+    it('should not let users touch each other\'s notifications', async () => {
+      const stored = await store.add('user-1', { type: 'test' });
+
+      expect(await store.get('user-2', stored.id)).toBeNull();
+      expect(await store.remove('user-2', stored.id)).toBe(false);
+    });
+  });
+
+  describe('bulk operations', () => {
+    let store;
+    let items;
+
+    beforeEach(async () => {
+      store = createMemoryStore();
+      items = [];
+      const seed = [
+        ['2025-01-10T10:00:00Z', 'achievement'],
+        ['2025-01-12T10:00:00Z', 'achievement'],
+        ['2025-01-14T10:00:00Z', 'booking_reminder']
+      ];
+      for (const [time, category] of seed) {
+        const stored = await store.add('user-1', { type: category, category });
+        stored.created_at = new Date(time);
+        items.push(stored);
+      }
+      await store.add('user-2', { type: 'achievement', category: 'achievement' });
+    });
+
+    it('should mark all unread notifications read', async () => {
+      await store.markRead('user-1', items[0].id);
+
+      const changed = await store.markManyRead('user-1');
+
+      expect(changed.map(n => n.id)).toEqual([items[1].id, items[2].id]);
+      expect(await store.countUnread('user-1')).toBe(0);
+      expect(await store.countUnread('user-2')).toBe(1);
+    });
+
+    it('should mark read by category or before a timestamp', async () => {
+      const byCategory = await store.markManyRead('user-1', { category: 'booking_reminder' });
+      const byTime = await store.markManyRead('user-1', { before: new Date('2025-01-11T00:00:00Z') });
+
+      expect(byCategory.map(n => n.id)).toEqual([items[2].id]);
+      expect(byTime.map(n => n.id)).toEqual([items[0].id]);
+      expect(await store.countUnread('user-1')).toBe(1);
+    });
+
+    it('should mark a notification unread', async () => {
+      await store.markRead('user-1', items[0].id);
+
+      expect((await store.markUnread('user-1', items[0].id)).read_at).toBeNull();
+      expect(await store.markUnread('user-1', 'missing')).toBeNull();
+      expect(await store.countUnread('user-1')).toBe(3);
+    });
+
+    it('should delete listed notifications and ignore unknown IDs', async () => {
+      const [other] = await store.list('user-2');
+
+      const removed = await store.removeMany('user-1', [items[0].id, items[2].id, 'missing', other.id]);
+
+      expect(removed).toEqual([items[0].id, items[2].id]);
+      expect((await store.list('user-1')).map(n => n.id)).toEqual([items[1].id]);
+      expect(await store.list('user-2')).toHaveLength(1);
+    });
+  });
+
+  describe('notification IDs', () => {
+    it('should not collide within the same millisecond', () => {
+      const now = Date.now();
+      const ids = Array.from({ length: 1000 }, () => createNotificationId(now));
+
+      expect(new Set(ids).size).toBe(1000);
+    });
+
+    it('should sort in creation order', () => {
+      const ids = [createNotificationId(1000), createNotificationId(1000), createNotificationId(2000)];
+
+      expect([...ids].sort()).toEqual(ids);
+    });
+
+    it('should give notifications stored back to back distinct IDs', async () => {
+      const store = createMemoryStore();
+      const first = await store.add('user-1', { type: 'a' });
+      const second = await store.add('user-1', { type: 'b' });
+
+      expect(first.id).not.toBe(second.id);
+      await store.markRead('user-1', second.id);
+      expect((await store.get('user-1', first.id)).read_at).toBeNull();
+    });
+  });
+
+  describe('query', () => {
+    let store;
+
+    async function addAt(userId, time, notification) {
+      const stored = await store.add(userId, notification);
+      stored.created_at = new Date(time);
+      return stored;
+    }
+
+    beforeEach(async () => {
+      store = createMemoryStore();
+      await addAt('user-1', '2025-01-15T10:00:00Z', { type: 'booking_confirmation', category: 'booking_confirmation' });
+      await addAt('user-1', '2025-01-15T12:00:00Z', { type: 'achievement', category: 'achievement' });
+      await addAt('user-1', '2025-01-15T11:00:00Z', { type: 'milestone', category: 'achievement' });
+      await addAt('user-1', '2025-01-15T12:00:00Z', { type: 'booking_cancellation', category: 'booking_reminder' });
+    });
+
+    it('should return notifications newest first, newer IDs first on ties', async () => {
+      const { items, next_cursor } = await store.query('user-1');
+
+      expect(items.map(n => n.type)).toEqual(['booking_cancellation', 'achievement', 'milestone', 'booking_confirmation']);
+      expect(next_cursor).toBeNull();
+    });
+
+    it('should page through results with a cursor', async () => {
+      const first = await store.query('user-1', { limit: 3 });
+      const second = await store.query('user-1', { limit: 3, cursor: first.next_cursor });
+
+      expect(first.items).toHaveLength(3);
+      expect(decodeCursor(first.next_cursor)).toEqual({ time: Date.parse('2025-01-15T11:00:00Z'), id: first.items[2].id });
+      expect(second.items.map(n => n.type)).toEqual(['booking_confirmation']);
+      expect(second.next_cursor).toBeNull();
+    });
+
+    it('should keep pages stable when newer notifications arrive', async () => {
+      const first = await store.query('user-1', { limit: 2 });
+      await store.add('user-1', { type: 'new' });
+
+      const second = await store.query('user-1', { limit: 2, cursor: first.next_cursor });
+
+      expect(second.items.map(n => n.type)).toEqual(['milestone', 'booking_confirmation']);
+    });
+
+    it('should filter by category, type, unread and since', async () => {
+      const [latest] = (await store.query('user-1')).items;
+      await store.markRead('user-1', latest.id);
+
+      const byCategory = await store.query('user-1', { category: 'achievement' });
+      const byType = await store.query('user-1', { type: 'milestone' });
+      const unread = await store.query('user-1', { unreadOnly: true });
+      const since = await store.query('user-1', { since: new Date('2025-01-15T11:00:00Z') });
+
+      expect(byCategory.items.map(n => n.type)).toEqual(['achievement', 'milestone']);
+      expect(byType.items).toHaveLength(1);
+      expect(unread.items.map(n => n.id)).not.toContain(latest.id);
+      expect(since.items.map(n => n.type)).toEqual(['booking_cancellation', 'achievement']);
+    });
+
+    it('should reject malformed cursors', async () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      await expect(store.query('user-1', { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('file backend', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-store-'));
+      filePath = path.join(dir, 'nested', 'notifications.log');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should fail its check once the storage directory is gone', async () => {
+      const store = createFileStore({ filePath });
+      await store.init();
+      await store.add('user-1', { type: 'booking_confirmation', title: 'Booked' });
+
+      expect(await store.check()).toEqual({ driver: 'file', path: filePath, notifications: 1 });
+
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+      await expect(store.check()).rejects.toThrow('ENOENT');
+    });
+
+    it('should persist notifications across restarts', async () => {
+      const first = createFileStore({ filePath });
+      await first.init();
+      const stored = await first.add('user-1', { type: 'booking_confirmation', title: 'Booked' });
+      await first.close();
+
+      const second = createFileStore({ filePath });
+      await second.init();
+      const [restored] = await second.list('user-1');
+
+      expect(restored.id).toBe(stored.id);
+      expect(restored.title).toBe('Booked');
+      expect(restored.created_at).toBeInstanceOf(Date);
+    });
+
+    it('should replay read and delete operations', async () => {
+      const first = createFileStore({ filePath });
+      await first.init();
+      const kept = await first.add('user-1', { type: 'kept' });
+      await new Promise(resolve => setTimeout(resolve, 2));
+      const dropped = await first.add('user-1', { type: 'dropped' });
+      await first.markRead('user-1', kept.id);
+      await first.remove('user-1', dropped.id);
+      await first.close();
+
+      const second = createFileStore({ filePath });
+      await second.init();
+      const restored = await second.list('user-1');
+
+      expect(restored).toHaveLength(1);
+      expect(restored[0].type).toBe('kept');
+      expect(restored[0].read_at).toBeInstanceOf(Date);
+    });
+
+    it('should replay bulk operations', async () => {
+      const first = createFileStore({ filePath });
+      await first.init();
+      const a = await first.add('user-1', { type: 'a', category: 'achievement' });
+      const b = await first.add('user-1', { type: 'b', category: 'achievement' });
+      const c = await first.add('user-1', { type: 'c', category: 'booking_reminder' });
+      await first.markManyRead('user-1', { category: 'achievement' });
+      await first.markUnread('user-1', a.id);
+      await first.removeMany('user-1', [c.id]);
+      await first.close();
+
+      const second = createFileStore({ filePath });
+      await second.init();
+      const restored = await second.list('user-1');
+
+      expect(restored.map(n => n.id)).toEqual([a.id, b.id]);
+      expect(restored[0].read_at).toBeNull();
+      expect(restored[1].read_at).toBeInstanceOf(Date);
+    });
+
+    it('should compact the log on startup', async () => {
+      const first = createFileStore({ filePath });
+      await first.init();
+      const stored = await first.add('user-1', { type: 'test' });
+      await first.markRead('user-1', stored.id);
+      await first.close();
+
+      const second = createFileStore({ filePath });
+      await second.init();
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).op).toBe('add');
+    });
+
+    it('should skip corrupt lines', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{not json\n');
+
+      const store = createFileStore({ filePath });
+      await store.init();
+
+      expect(store.size()).toBe(0);
+    });
+  });
+
+  describe('collections', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should store, read and delete records in memory', async () => {
+      const collection = createCollection('things', { driver: 'memory' });
+      await collection.init();
+
+      await collection.set('a', { value: 1 });
+
+      expect(collection.get('a')).toEqual({ value: 1 });
+      expect(collection.get('missing')).toBeNull();
+      expect(await collection.delete('a')).toBe(true);
+      expect(collection.size()).toBe(0);
+    });
+
+    it('should persist file collections across restarts', async () => {
+      const first = createCollection('things', { driver: 'file', dir });
+      await first.init();
+      await first.set('a', { value: 1 });
+      await first.set('b', { value: 2 });
+      await first.set('a', { value: 3 });
+      await first.delete('b');
+      await first.close();
+
+      const second = createCollection('things', { driver: 'file', dir });
+      await second.init();
+
+      expect(second.entries()).toEqual([['a', { value: 3 }]]);
+      expect(fs.readFileSync(path.join(dir, 'things.log'), 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the real-time notification stream (Server-Sent Events).
+ */
+
+const http = require('http');
+const express = require('express');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { createMemoryStore } = require('../../src/storage');
+const { createNotificationHub } = require('../../src/realtime/hub');
+const { createStreamRouter, acceptQueryToken, formatEvent } = require('../../src/routes/stream');
+
+function parseEvents(raw) {
+  return raw.split('\n\n')
+    .filter(frame => frame.includes('event: '))
+    .map(frame => {
+      const event = {};
+      for (const line of frame.split('\n')) {
+        const [field, ...rest] = line.split(': ');
+        event[field] = rest.join(': ');
+      }
+      return { id: event.id, event: event.event, data: JSON.parse(event.data) };
+    });
+}
+
+describe('Notification Stream', () => {
+  let store;
+  let hub;
+  let server;
+  let port;
+  let connections;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    hub = createNotificationHub({ store });
+    connections = [];
+
+    const app = express();
+    app.use('/stream', acceptQueryToken, (req, res, next) => {
+      req.userId = req.query.user || 'user-1';
+      next();
+    });
+    app.use('/stream', createStreamRouter({ hub, store, config: { heartbeatMs: 20, retryMs: 1000, replayLimit: 100 } }));
+
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    connections.forEach(req => req.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Open a stream and collect what it receives
+  function connect({ path = '/stream', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const received = { raw: '', res: null };
+      const req = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+        received.res = res;
+        res.setEncoding('utf8');
+        res.on('data', chunk => { received.raw += chunk; });
+        resolve(received);
+      });
+      req.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+      connections.push(req);
+    });
+  }
+
+  async function until(predicate, timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for stream data');
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  it('should format events as SSE frames', () => {
+    expect(formatEvent({ event: 'notification', id: 'n1', data: { a: 1 } }))
+      .toBe('id: n1\nevent: notification\ndata: {"a":1}\n\n');
+    expect(formatEvent({ event: 'unread_count', data: { count: 2 } }))
+      .toBe('event: unread_count\ndata: {"count":2}\n\n');
+  });
+
+  it('should open an event stream with the current unread count', async () => {
+    await store.add('user-1', { type: 'test' });
+
+    const stream = await connect();
+    await until(() => parseEvents(stream.raw).length === 1);
+
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.raw.startsWith('retry: 1000\n\n')).toBe(true);
+    expect(parseEvents(stream.raw)).toEqual([{ id: undefined, event: 'unread_count', data: { count: 1 } }]);
+  });
+
+  it('should push new notifications and unread counts to the user only', async () => {
+    const mine = await connect();
+    const theirs = await connect({ path: '/stream?user=user-2' });
+    await until(() => parseEvents(mine.raw).length === 1 && parseEvents(theirs.raw).length === 1);
+
+    const stored = await store.add('user-1', { type: 'achievement', title: 'Badge' });
+    await hub.notificationCreated('user-1', stored);
+    await until(() => parseEvents(mine.raw).length === 3);
+
+    const [, notification, count] = parseEvents(mine.raw);
+    expect(notification).toMatchObject({ id: stored.id, event: 'notification', data: { title: 'Badge' } });
+    expect(count).toEqual({ id: undefined, event: 'unread_count', data: { count: 1 } });
+    expect(parseEvents(theirs.raw)).toHaveLength(1);
+  });
+
+  it('should push unread count changes', async () => {
+    const stored = await store.add('user-1', { type: 'test' });
+    const stream = await connect();
+    await until(() => parseEvents(stream.raw).length === 1);
+
+    await store.markRead('user-1', stored.id);
+    await hub.unreadCountChanged('user-1');
+    await until(() => parseEvents(stream.raw).length === 2);
+
+    expect(parseEvents(stream.raw)[1].data).toEqual({ count: 0 });
+  });
+
+  it('should replay notifications missed since Last-Event-ID', async () => {
+    const seen = await store.add('user-1', { type: 'seen' });
+    const missed1 = await store.add('user-1', { type: 'missed-1' });
+    const missed2 = await store.add('user-1', { type: 'missed-2' });
+
+    const stream = await connect({ headers: { 'Last-Event-ID': seen.id } });
+    await until(() => parseEvents(stream.raw).length === 3);
+
+    const events = parseEvents(stream.raw);
+    expect(events.map(e => e.id)).toEqual([missed1.id, missed2.id, undefined]);
+    expect(events[2].data).toEqual({ count: 3 });
+  });
+
+  it('should replay nothing for an unknown Last-Event-ID', async () => {
+    await store.add('user-1', { type: 'test' });
+
+    const stream = await connect({ headers: { 'Last-Event-ID': 'gone' } });
+    await until(() => parseEvents(stream.raw).length === 1);
+
+    expect(parseEvents(stream.raw)[0].event).toBe('unread_count');
+  });
+
+  it('should send heartbeats', async () => {
+    const stream = await connect();
+
+    await until(() => stream.raw.includes(': heartbeat\n\n'));
+  });
+
+  it('should unsubscribe when the client disconnects', async () => {
+    const stream = await connect();
+    await until(() => parseEvents(stream.raw).length === 1);
+    expect(hub.connectionCount()).toBe(1);
+
+    connections[0].destroy();
+
+    await until(() => hub.connectionCount() === 0);
+    expect(hub.hasSubscribers('user-1')).toBe(false);
+  });
+
+  it('should end every stream when the hub closes', async () => {
+    const mine = await connect();
+    const theirs = await connect({ path: '/stream?user=user-2' });
+    await until(() => parseEvents(mine.raw).length === 1 && parseEvents(theirs.raw).length === 1);
+
+    let ended = 0;
+    mine.res.on('end', () => { ended += 1; });
+    theirs.res.on('end', () => { ended += 1; });
+
+    expect(hub.closeAll()).toBe(2);
+
+    await until(() => ended === 2);
+    expect(hub.connectionCount()).toBe(0);
+  });
+
+  it('should take the bearer token from access_token for EventSource clients', async () => {
+    let seenToken;
+    server.removeAllListeners('request');
+    const app = express();
+    app.use('/stream', acceptQueryToken, (req, res) => {
+      seenToken = req.get('authorization');
+      res.end();
+    });
+    server.on('request', app);
+
+    await connect({ path: '/stream?access_token=abc' });
+
+    expect(seenToken).toBe('Bearer abc');
+  });
+});
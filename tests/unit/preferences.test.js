@@ -0,0 +1,223 @@
+/**
+ * Unit tests for notification preferences.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const {
+  getPreferences,
+  updatePreferences,
+  getChannelSettings,
+  getQuietHoursEnd,
+  getDigestSettings,
+  PreferenceError
+} = require('../../src/preferences');
+const { createPreferenceRouter } = require('../../src/routes/preferences');
+
+describe('Notification Preferences', () => {
+  let userCounter = 0;
+  let userId;
+
+  beforeEach(() => {
+    userCounter += 1;
+    userId = `user-${userCounter}`;
+  });
+
+  describe('getPreferences', () => {
+    it('should return defaults for every category', async () => {
+      const preferences = await getPreferences(userId);
+
+      expect(Object.keys(preferences.categories)).toEqual([
+        'booking_confirmation',
+        'booking_reminder',
+        'program_assigned',
+        'achievement',
+        'announcement',
+        'trainer_booking',
+        'trainer_client_progress'
+      ]);
+      expect(preferences.categories.achievement).toMatchObject({ email: true, sms: false, in_app: true });
+      expect(preferences.categories.booking_confirmation.locked).toEqual(['email', 'in_app']);
+      expect(preferences.categories.trainer_booking).toMatchObject({ audience: 'trainer', in_app: true, locked: ['in_app'] });
+      expect(preferences.timezone).toBe('UTC');
+      expect(preferences.quiet_hours).toBeNull();
+      expect(preferences.digest).toBeNull();
+      expect(preferences.updated_at).toBeNull();
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should merge channel overrides per category', async () => {
+      await updatePreferences(userId, { categories: { achievement: { email: false } } });
+      const preferences = await updatePreferences(userId, { categories: { achievement: { sms: true } } });
+
+      expect(preferences.categories.achievement).toMatchObject({ email: false, sms: true, in_app: true });
+      expect(preferences.updated_at).toBeDefined();
+    });
+
+    it('should not affect other users', async () => {
+      await updatePreferences(userId, { categories: { achievement: { email: false } } });
+
+      const other = await getPreferences(`${userId}-other`);
+      expect(other.categories.achievement.email).toBe(true);
+    });
+
+    it('should refuse to turn off locked channels', async () => {
+      await expect(updatePreferences(userId, { categories: { booking_confirmation: { email: false } } }))
+        .rejects.toMatchObject({ code: 'PREFERENCE_LOCKED' });
+    });
+
+    it('should allow re-enabling a locked channel', async () => {
+      const preferences = await updatePreferences(userId, { categories: { booking_confirmation: { email: true } } });
+
+      expect(preferences.categories.booking_confirmation.email).toBe(true);
+    });
+
+    it('should reject unknown categories and channels', async () => {
+      await expect(updatePreferences(userId, { categories: { spam: { email: false } } }))
+        .rejects.toThrow('Unknown category: spam');
+      await expect(updatePreferences(userId, { categories: { achievement: { fax: false } } }))
+        .rejects.toThrow('Unknown channel: fax');
+    });
+
+    it('should reject non-boolean values and malformed bodies', async () => {
+      await expect(updatePreferences(userId, { categories: { achievement: { email: 'no' } } }))
+        .rejects.toBeInstanceOf(PreferenceError);
+      await expect(updatePreferences(userId, {})).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('should store timezone and quiet hours', async () => {
+      const preferences = await updatePreferences(userId, {
+        timezone: 'Europe/Madrid',
+        quiet_hours: { start: '22:00', end: '07:00' }
+      });
+
+      expect(preferences.timezone).toBe('Europe/Madrid');
+      expect(preferences.quiet_hours).toEqual({ start: '22:00', end: '07:00' });
+    });
+
+    it('should clear quiet hours with null', async () => {
+      await updatePreferences(userId, { quiet_hours: { start: '22:00', end: '07:00' } });
+      const preferences = await updatePreferences(userId, { quiet_hours: null });
+
+      expect(preferences.quiet_hours).toBeNull();
+    });
+
+    it('should reject invalid timezones and quiet hours', async () => {
+      await expect(updatePreferences(userId, { timezone: 'Nowhere/Special' }))
+        .rejects.toThrow('Unknown timezone');
+      await expect(updatePreferences(userId, { quiet_hours: { start: '9pm', end: '07:00' } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('getQuietHoursEnd', () => {
+    // 03:30 in New York
+    const now = new Date('2025-01-15T08:30:00Z');
+
+    beforeEach(async () => {
+      await updatePreferences(userId, {
+        timezone: 'America/New_York',
+        quiet_hours: { start: '22:00', end: '07:00' }
+      });
+    });
+
+    it('should defer non-urgent categories until quiet hours end', async () => {
+      expect(await getQuietHoursEnd(userId, 'achievement', now)).toEqual(new Date('2025-01-15T12:00:00Z'));
+    });
+
+    it('should never defer transactional categories', async () => {
+      expect(await getQuietHoursEnd(userId, 'booking_confirmation', now)).toBeNull();
+    });
+
+    it('should not defer users without quiet hours', async () => {
+      expect(await getQuietHoursEnd(`${userId}-other`, 'achievement', now)).toBeNull();
+    });
+  });
+
+  describe('getDigestSettings', () => {
+    it('should batch every digestible category by default', async () => {
+      await updatePreferences(userId, { timezone: 'Europe/Madrid', digest: { frequency: 'weekly' } });
+
+      expect((await getPreferences(userId)).digest).toEqual({ frequency: 'weekly', categories: ['achievement'] });
+      expect(await getDigestSettings(userId, 'achievement')).toEqual({ frequency: 'weekly', timezone: 'Europe/Madrid' });
+      expect(await getDigestSettings(userId, 'booking_reminder')).toBeNull();
+    });
+
+    it('should stop batching when the digest is cleared', async () => {
+      await updatePreferences(userId, { digest: { frequency: 'daily', categories: ['achievement'] } });
+      await updatePreferences(userId, { digest: null });
+
+      expect(await getDigestSettings(userId, 'achievement')).toBeNull();
+    });
+
+    it('should reject unknown frequencies and categories that cannot be batched', async () => {
+      await expect(updatePreferences(userId, { digest: { frequency: 'hourly' } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(updatePreferences(userId, { digest: { frequency: 'daily', categories: ['booking_reminder'] } }))
+        .rejects.toThrow('cannot be delivered as a digest');
+      await expect(updatePreferences(userId, { digest: { frequency: 'daily', categories: [] } }))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('getChannelSettings', () => {
+    it('should reflect user overrides', async () => {
+      await updatePreferences(userId, { categories: { program_assigned: { email: false, sms: true } } });
+
+      expect(await getChannelSettings(userId, 'program_assigned')).toEqual({ email: false, sms: true, in_app: true, push: true });
+    });
+
+    it('should enable every channel for unknown categories', async () => {
+      expect(await getChannelSettings(userId, 'something_new')).toEqual({ email: true, sms: true, in_app: true, push: true });
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/preferences', (req, res, next) => {
+        req.userId = userId;
+        next();
+      }, createPreferenceRouter());
+    });
+
+    it("should return the user's preferences", async () => {
+      const response = await request(app).get('/preferences');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.categories.achievement).toMatchObject({ email: true, sms: false, in_app: true });
+    });
+
+    it('should save updates and return the merged preferences', async () => {
+      const response = await request(app).put('/preferences').send({ categories: { achievement: { email: false } } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.categories.achievement.email).toBe(false);
+      expect((await getPreferences(userId)).categories.achievement.email).toBe(false);
+    });
+
+    it('should answer 400 with the code of a PreferenceError', async () => {
+      const invalid = await request(app).put('/preferences').send({ timezone: 'Nowhere/Special' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Unknown timezone: Nowhere/Special' }
+      });
+
+      const locked = await request(app).put('/preferences').send({ categories: { booking_confirmation: { email: false } } });
+      expect(locked.status).toBe(400);
+      expect(locked.body.error.code).toBe('PREFERENCE_LOCKED');
+    });
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Unit tests for the Web Push channel: delivery against a local push service
+ * stub, endpoint validation and the subscription API.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const webpush = require('web-push');
+const {
+  MAX_PAYLOAD_BYTES,
+  sendPushToUser,
+  saveSubscription,
+  listSubscriptions,
+  removeSubscription
+} = require('../../src/channels/push');
+const { createPushRouter } = require('../../src/routes/push');
+const { validateSubscription, checkEndpoint, SubscriptionError } = require('../../src/channels/push/subscriptions');
+const { decryptPayload } = require('../helpers/webPush');
+
+// A browser's side of a subscription
+function createUserAgent() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    privateKey: ecdh.getPrivateKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url'),
+    keys() {
+      return { p256dh: ecdh.getPublicKey().toString('base64url'), auth: this.auth };
+    }
+  };
+}
+
+function verifyVapid(authorization, endpoint) {
+  const [, token, publicKey] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  const [header, claims, signature] = token.split('.');
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') },
+    format: 'jwk'
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'));
+  return { valid, claims: JSON.parse(Buffer.from(claims, 'base64url').toString()), publicKey };
+}
+
+describe('Web Push', () => {
+  describe('delivery', () => {
+    const originalEnv = { ...process.env };
+    let server;
+    let baseUrl;
+    let received;
+    let statusFor;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+          res.statusCode = statusFor(req.url);
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+      received = [];
+      statusFor = () => 201;
+      const keys = webpush.generateVAPIDKeys();
+      process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+      process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+      process.env.VAPID_SUBJECT = 'mailto:ops@fitsync.test';
+      // The stub push service is plain http on localhost
+      process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true';
+      for (const device of listSubscriptions('push-user')) {
+        await removeSubscription('push-user', device.device_id);
+      }
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should skip users without subscriptions', async () => {
+      expect(await sendPushToUser('push-user', { title: 'Hi' })).toMatchObject({ success: false, skipped: true });
+    });
+
+    it('should skip when VAPID keys are not configured', async () => {
+      delete process.env.VAPID_PRIVATE_KEY;
+
+      expect(await sendPushToUser('push-user', { title: 'Hi' })).toMatchObject({ skipped: true, error: 'Web Push is not configured' });
+    });
+
+    it('should send an encrypted, VAPID-signed message to every device', async () => {
+      const phone = createUserAgent();
+      const laptop = createUserAgent();
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/phone`, keys: phone.keys() }, { deviceId: 'phone' });
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/laptop`, keys: laptop.keys() }, { deviceId: 'laptop' });
+
+      const result = await sendPushToUser('push-user', { title: 'Session booked', body: 'See you Monday' });
+
+      expect(result).toEqual({ success: true, sent: 2, failed: 0, removed: 0 });
+      const message = received.find(r => r.url === '/push/phone');
+      expect(message.headers['content-encoding']).toBe('aes128gcm');
+      expect(message.headers.ttl).toBe('86400');
+      expect(verifyVapid(message.headers.authorization)).toMatchObject({
+        valid: true,
+        claims: { aud: baseUrl, sub: 'mailto:ops@fitsync.test' },
+        publicKey: process.env.VAPID_PUBLIC_KEY
+      });
+      expect(JSON.parse(decryptPayload(message.body, phone))).toEqual({ title: 'Session booked', body: 'See you Monday' });
+    });
+
+    it('should shorten a body too long for one push message', async () => {
+      const agent = createUserAgent();
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/phone`, keys: agent.keys() }, { deviceId: 'phone' });
+      const body = 'Die Halle bleibt am Montag geschlossen. Schöne Grüße! '.repeat(90);
+
+      const result = await sendPushToUser('push-user', { title: 'Closed Monday', body, data: { broadcast_id: 'b1' } });
+
+      expect(result.success).toBe(true);
+      const payload = decryptPayload(received[0].body, agent);
+      expect(Buffer.byteLength(payload)).toBeLessThanOrEqual(MAX_PAYLOAD_BYTES);
+      const message = JSON.parse(payload);
+      expect(message).toMatchObject({ title: 'Closed Monday', data: { broadcast_id: 'b1' } });
+      expect(message.body.endsWith('…')).toBe(true);
+      expect(body.startsWith(message.body.slice(0, -1))).toBe(true);
+    });
+
+    it('should not send payloads that cannot fit one push message', async () => {
+      const agent = createUserAgent();
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/phone`, keys: agent.keys() }, { deviceId: 'phone' });
+
+      const result = await sendPushToUser('push-user', { title: 'x'.repeat(MAX_PAYLOAD_BYTES), body: 'Hi' });
+
+      expect(result).toMatchObject({ success: false, failed: 1, error: expect.stringContaining('the limit is 4079') });
+      expect(received).toEqual([]);
+    });
+
+    it('should remove subscriptions the push service reports gone', async () => {
+      const agent = createUserAgent();
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/gone`, keys: agent.keys() }, { deviceId: 'old' });
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/missing`, keys: agent.keys() }, { deviceId: 'older' });
+      statusFor = url => (url === '/push/gone' ? 410 : 404);
+
+      const result = await sendPushToUser('push-user', { title: 'Hi' });
+
+      expect(result).toMatchObject({ success: false, skipped: true, removed: 2 });
+      expect(listSubscriptions('push-user')).toEqual([]);
+    });
+
+    it('should drop subscriptions whose endpoint is no longer allowed', async () => {
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/internal`, keys: createUserAgent().keys() }, { deviceId: 'internal' });
+      delete process.env.PUSH_ALLOW_INSECURE_ENDPOINTS;
+
+      const result = await sendPushToUser('push-user', { title: 'Hi' });
+
+      expect(result).toMatchObject({ success: false, removed: 1 });
+      expect(received).toEqual([]);
+      expect(listSubscriptions('push-user')).toEqual([]);
+    });
+
+    it('should report other push service errors without removing the subscription', async () => {
+      const agent = createUserAgent();
+      await saveSubscription('push-user', { endpoint: `${baseUrl}/push/busy`, keys: agent.keys() }, { deviceId: 'busy' });
+      statusFor = () => 503;
+
+      const result = await sendPushToUser('push-user', { title: 'Hi' });
+
+      expect(result).toMatchObject({ success: false, failed: 1, error: 'busy: Push service responded 503' });
+      expect(listSubscriptions('push-user')).toHaveLength(1);
+    });
+  });
+
+  describe('endpoint validation', () => {
+    const originalEnv = { ...process.env };
+    const keys = createUserAgent().keys();
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it.each([
+      'http://push.example.com/abc',
+      'http://localhost:8080/push',
+      'https://localhost/push',
+      'https://api.localhost/push',
+      'https://127.0.0.1/push',
+      'https://2130706433/push',
+      'https://10.0.0.5/push',
+      'https://172.20.1.1/push',
+      'https://192.168.1.10/push',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/push',
+      'https://[::ffff:127.0.0.1]/push',
+      'https://[fd00::1]/push',
+      'https://[fe80::1]/push'
+    ])('should reject %s', endpoint => {
+      expect(() => validateSubscription({ endpoint, keys })).toThrow(SubscriptionError);
+    });
+
+    it('should accept public https endpoints', () => {
+      expect(validateSubscription({ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys }).endpoint)
+        .toBe('https://fcm.googleapis.com/fcm/send/abc');
+    });
+
+    it('should allow http and local endpoints only behind PUSH_ALLOW_INSECURE_ENDPOINTS', () => {
+      process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true';
+
+      expect(() => validateSubscription({ endpoint: 'http://127.0.0.1:9999/push', keys })).not.toThrow();
+      expect(() => validateSubscription({ endpoint: 'ftp://push.example.com/abc', keys })).toThrow('http(s) URL');
+    });
+
+    it('should reject hosts that resolve to private addresses before sending', async () => {
+      const lookup = jest.fn().mockResolvedValue([{ address: '203.0.113.7', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+      await expect(checkEndpoint('https://push.example.com/abc', { lookup })).rejects.toThrow('resolves to a private address');
+      expect(lookup).toHaveBeenCalledWith('push.example.com', { all: true });
+    });
+
+    it('should allow hosts that resolve to public addresses', async () => {
+      const lookup = jest.fn().mockResolvedValue([{ address: '203.0.113.7', family: 4 }]);
+
+      await expect(checkEndpoint('https://push.example.com/abc', { lookup })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('subscription API', () => {
+    const originalEnv = { ...process.env };
+    let app;
+
+    beforeEach(async () => {
+      app = express();
+      app.use(express.json());
+      app.use('/push', (req, res, next) => {
+        req.userId = req.get('x-user') || 'api-user';
+        next();
+      }, createPushRouter());
+      for (const userId of ['api-user', 'other-user']) {
+        for (const device of listSubscriptions(userId)) {
+          await removeSubscription(userId, device.device_id);
+        }
+      }
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should expose the VAPID public key', async () => {
+      const keys = webpush.generateVAPIDKeys();
+      Object.assign(process.env, { VAPID_PUBLIC_KEY: keys.publicKey, VAPID_PRIVATE_KEY: keys.privateKey, VAPID_SUBJECT: 'mailto:a@b.c' });
+
+      const res = await request(app).get('/push/public-key');
+
+      expect(res.body.data.public_key).toBe(keys.publicKey);
+    });
+
+    it('should report push as disabled without VAPID keys', async () => {
+      delete process.env.VAPID_PUBLIC_KEY;
+
+      const res = await request(app).get('/push/public-key');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('PUSH_DISABLED');
+    });
+
+    it('should register, list and unregister devices', async () => {
+      const subscription = { endpoint: 'https://push.example.com/abc', keys: createUserAgent().keys() };
+
+      const created = await request(app).post('/push/subscriptions').send({ subscription, device_id: 'phone' });
+      const listed = await request(app).get('/push/subscriptions');
+      const removed = await request(app).delete('/push/subscriptions/phone');
+      const missing = await request(app).delete('/push/subscriptions/phone');
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ device_id: 'phone', endpoint: subscription.endpoint });
+      expect(created.body.data.keys).toBeUndefined();
+      expect(listed.body.data.map(d => d.device_id)).toEqual(['phone']);
+      expect(removed.status).toBe(200);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should move an endpoint to the user who registered it last', async () => {
+      const subscription = { endpoint: 'https://push.example.com/shared', keys: createUserAgent().keys() };
+
+      await request(app).post('/push/subscriptions').set('X-User', 'other-user').send({ subscription });
+      await request(app).post('/push/subscriptions').send({ subscription });
+
+      expect(listSubscriptions('other-user')).toEqual([]);
+      expect(listSubscriptions('api-user')).toHaveLength(1);
+    });
+
+    it('should reject invalid subscriptions', async () => {
+      const res = await request(app).post('/push/subscriptions').send({ subscription: { endpoint: 'nope', keys: {} } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
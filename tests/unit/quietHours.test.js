@@ -0,0 +1,57 @@
+/**
+ * Unit tests for quiet hours calculation.
+ */
+
+const { isValidTimezone, quietHoursEnd } = require('../../src/preferences/quietHours');
+
+describe('Quiet Hours', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezones', () => {
+      expect(isValidTimezone('America/New_York')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('quietHoursEnd', () => {
+    it('should return null without quiet hours', () => {
+      expect(quietHoursEnd(null, 'UTC', new Date())).toBeNull();
+    });
+
+    it('should return null outside the window', () => {
+      // 14:00 in Colombo
+      const now = new Date('2025-01-15T08:30:00Z');
+      expect(quietHoursEnd(overnight, 'Asia/Colombo', now)).toBeNull();
+    });
+
+    it('should return the end of an overnight window after midnight', () => {
+      // 03:30 in New York
+      const now = new Date('2025-01-15T08:30:20Z');
+      expect(quietHoursEnd(overnight, 'America/New_York', now)).toEqual(new Date('2025-01-15T12:00:00Z'));
+    });
+
+    it('should return the end of an overnight window before midnight', () => {
+      // 23:15 UTC
+      const now = new Date('2025-01-15T23:15:00Z');
+      expect(quietHoursEnd(overnight, 'UTC', now)).toEqual(new Date('2025-01-16T07:00:00Z'));
+    });
+
+    it('should handle windows within a single day', () => {
+      const window = { start: '12:00', end: '14:00' };
+
+      expect(quietHoursEnd(window, 'UTC', new Date('2025-01-15T13:00:00Z'))).toEqual(new Date('2025-01-15T14:00:00Z'));
+      expect(quietHoursEnd(window, 'UTC', new Date('2025-01-15T14:00:00Z'))).toBeNull();
+    });
+
+    it('should ignore malformed windows', () => {
+      expect(quietHoursEnd({ start: '25:00', end: '07:00' }, 'UTC', new Date())).toBeNull();
+      expect(quietHoursEnd({ start: '07:00', end: '07:00' }, 'UTC', new Date())).toBeNull();
+    });
+  });
+});
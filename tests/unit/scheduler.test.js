@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the durable job scheduler.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  registerJobHandler,
+  scheduleJob,
+  cancelJob,
+  findJobs,
+  runDueJobs
+} = require('../../src/scheduler');
+const { once, getEventContext } = require('../../src/events/context');
+
+describe('Scheduler', () => {
+  const past = new Date(Date.now() - 1000);
+  const future = new Date(Date.now() + 3600000);
+
+  afterEach(async () => {
+    for (const job of findJobs()) {
+      await cancelJob(job.id);
+    }
+  });
+
+  it('should store pending jobs', async () => {
+    const job = await scheduleJob({ type: 'test', runAt: future, payload: { a: 1 } });
+
+    expect(job).toMatchObject({ type: 'test', status: 'pending', attempts: 0, payload: { a: 1 } });
+    expect(findJobs(j => j.id === job.id)).toHaveLength(1);
+  });
+
+  it('should reject invalid run times', async () => {
+    await expect(scheduleJob({ type: 'test', runAt: 'someday' })).rejects.toThrow('Invalid run time');
+  });
+
+  it('should run due jobs and remove them', async () => {
+    const handler = jest.fn();
+    registerJobHandler('due', handler);
+    await scheduleJob({ type: 'due', runAt: past, payload: { a: 1 } });
+    await scheduleJob({ type: 'due', runAt: future, payload: { a: 2 } });
+
+    expect(await runDueJobs()).toBe(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0]).toEqual({ a: 1 });
+    expect(findJobs(j => j.type === 'due')).toHaveLength(1);
+  });
+
+  it('should replace a pending job with the same key', async () => {
+    await scheduleJob({ type: 'keyed', runAt: future, key: 'k1' });
+    const replacement = await scheduleJob({ type: 'keyed', runAt: past, key: 'k1' });
+
+    const keyed = findJobs(j => j.key === 'k1');
+    expect(keyed).toHaveLength(1);
+    expect(keyed[0].id).toBe(replacement.id);
+  });
+
+  it('should cancel jobs by key', async () => {
+    await scheduleJob({ type: 'keyed', runAt: future, key: 'k2' });
+
+    expect(await cancelJob('k2')).toBe(1);
+    expect(await cancelJob('k2')).toBe(0);
+  });
+
+  it('should retry failed jobs later with the error recorded', async () => {
+    registerJobHandler('flaky', jest.fn().mockRejectedValue(new Error('SMTP down')));
+    const job = await scheduleJob({ type: 'flaky', runAt: past });
+
+    await runDueJobs();
+
+    const [retried] = findJobs(j => j.id === job.id);
+    expect(retried.status).toBe('pending');
+    expect(retried.attempts).toBe(1);
+    expect(retried.last_error).toBe('SMTP down');
+    expect(new Date(retried.run_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should run each job in an event context keyed by its id', async () => {
+    let context;
+    registerJobHandler('contextual', async () => { context = getEventContext(); });
+    const job = await scheduleJob({ type: 'contextual', runAt: past });
+
+    await runDueJobs();
+
+    expect(context).toMatchObject({ channel: 'contextual', eventId: job.id, eventKey: `job:${job.id}`, attempt: 1 });
+  });
+
+  it('should not repeat the steps a failed attempt completed', async () => {
+    const sent = jest.fn().mockResolvedValue({ success: true });
+    const failing = jest.fn().mockRejectedValueOnce(new Error('carrier down')).mockResolvedValue({ success: true });
+    registerJobHandler('partial', async () => {
+      await once('email', sent);
+      await once('sms', failing);
+    });
+    const job = await scheduleJob({ type: 'partial', runAt: past });
+
+    await runDueJobs();
+    expect(findJobs(j => j.id === job.id)[0].completed).toEqual({ email: { success: true } });
+
+    await runDueJobs(new Date(Date.now() + 365 * 24 * 3600000));
+
+    expect(sent).toHaveBeenCalledTimes(1);
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(findJobs(j => j.id === job.id)).toEqual([]);
+  });
+
+  it('should not bring back a job cancelled while it was running', async () => {
+    const job = await scheduleJob({ type: 'cancelled-midway', runAt: past });
+    registerJobHandler('cancelled-midway', async () => {
+      await cancelJob(job.id);
+      throw new Error('SMTP down');
+    });
+
+    await runDueJobs();
+
+    expect(findJobs(j => j.id === job.id)).toEqual([]);
+  });
+
+  it('should mark jobs failed after the last attempt', async () => {
+    registerJobHandler('doomed', jest.fn().mockRejectedValue(new Error('nope')));
+    const job = await scheduleJob({ type: 'doomed', runAt: past });
+
+    for (let i = 0; i < 5; i++) {
+      await runDueJobs(new Date(Date.now() + 365 * 24 * 3600000));
+    }
+
+    const [failed] = findJobs(j => j.id === job.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.attempts).toBe(5);
+  });
+
+  it('should fail jobs without a registered handler', async () => {
+    const job = await scheduleJob({ type: 'unknown-type', runAt: past });
+
+    await runDueJobs();
+
+    expect(findJobs(j => j.id === job.id)[0].last_error).toContain('No handler registered');
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Unit tests for graceful shutdown: request tracking and the drain sequence.
+ */
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../../src/config/logger');
+const { createRequestTracker, createShutdown } = require('../../src/shutdown');
+
+describe('Shutdown', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRequestTracker', () => {
+    function createApp(tracker, handler = (req, res) => res.json({ success: true })) {
+      const app = express();
+      app.use(tracker.middleware);
+      app.get('/health/ready', (req, res) => res.status(503).json({ status: 'unhealthy' }));
+      app.get('/api/work', handler);
+      return app;
+    }
+
+    it('should count responses until they finish', async () => {
+      const tracker = createRequestTracker();
+      let seen;
+      const app = createApp(tracker, (req, res) => {
+        seen = tracker.active();
+        res.json({ success: true });
+      });
+
+      await request(app).get('/api/work').expect(200);
+
+      expect(seen).toBe(1);
+      expect(tracker.active()).toBe(0);
+    });
+
+    it('should refuse new requests once closed, except health probes', async () => {
+      const tracker = createRequestTracker();
+      const app = createApp(tracker);
+      tracker.close();
+
+      const refused = await request(app).get('/api/work');
+      expect(refused.status).toBe(503);
+      expect(refused.headers.connection).toBe('close');
+      expect(refused.body.error.code).toBe('SHUTTING_DOWN');
+
+      await request(app).get('/health/ready').expect(503, { status: 'unhealthy' });
+      expect(tracker.active()).toBe(0);
+    });
+  });
+
+  describe('createShutdown', () => {
+    const config = { timeoutMs: 200, pollMs: 5 };
+
+    it('should stop intake, wait for in-flight work, flush and exit', async () => {
+      const order = [];
+      let inFlight = 2;
+      const exit = jest.fn();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: async () => {
+          order.push('stop');
+          setTimeout(() => { inFlight = 0; }, 20);
+        },
+        pending: () => ({ event_handlers: inFlight }),
+        flush: async () => {
+          order.push(`flush with ${inFlight} in flight`);
+        }
+      });
+
+      await shutdown('SIGTERM');
+
+      expect(order).toEqual(['stop', 'flush with 0 in flight']);
+      expect(exit).toHaveBeenCalledWith(0);
+      expect(logger.info).toHaveBeenCalledWith('In-flight work drained');
+    });
+
+    it('should give up waiting at the deadline and still flush', async () => {
+      const flush = jest.fn().mockResolvedValue();
+      const exit = jest.fn();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: async () => {},
+        pending: () => ({ event_handlers: 1, http_responses: 0 }),
+        flush
+      });
+
+      await shutdown('SIGINT');
+
+      expect(logger.warn).toHaveBeenCalledWith('Shutdown deadline passed with 1 event handlers still in flight');
+      expect(flush).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should bound a stop that never finishes by the deadline', async () => {
+      const exit = jest.fn();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: () => new Promise(() => {}),
+        pending: () => ({}),
+        flush: async () => {}
+      });
+
+      await shutdown('SIGTERM');
+
+      expect(logger.warn).toHaveBeenCalledWith('Shutdown deadline passed');
+      expect(exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should keep draining when stopping intake fails', async () => {
+      const exit = jest.fn();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: async () => { throw new Error('Redis is gone'); },
+        pending: () => ({}),
+        flush: async () => {}
+      });
+
+      await shutdown('SIGTERM');
+
+      expect(logger.error).toHaveBeenCalledWith('Error while stopping intake:', expect.any(Error));
+      expect(logger.info).toHaveBeenCalledWith('In-flight work drained');
+      expect(exit).toHaveBeenCalledWith(0);
+    });
+
+    it('should exit with 1 when flushing fails', async () => {
+      const exit = jest.fn();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: async () => {},
+        pending: () => ({}),
+        flush: async () => { throw new Error('EROFS'); }
+      });
+
+      await shutdown('SIGTERM');
+
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should exit immediately on a second signal', async () => {
+      let inFlight = 1;
+      const exit = jest.fn();
+      const flush = jest.fn().mockResolvedValue();
+      const shutdown = createShutdown({
+        config,
+        exit,
+        stopIntake: async () => {},
+        pending: () => ({ event_handlers: inFlight }),
+        flush
+      });
+
+      const first = shutdown('SIGINT');
+      await shutdown('SIGINT');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(flush).not.toHaveBeenCalled();
+
+      inFlight = 0;
+      await first;
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the SMS channel, its providers and phone normalization.
+ */
+
+const http = require('http');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { sendSMS, setProvider, createProvider, normalizePhoneNumber } = require('../../src/channels/sms');
+const { createTwilioProvider } = require('../../src/channels/sms/twilioProvider');
+
+describe('SMS channel', () => {
+  describe('normalizePhoneNumber', () => {
+    it('should keep valid E.164 numbers', () => {
+      expect(normalizePhoneNumber('+14155552671')).toBe('+14155552671');
+    });
+
+    it('should strip formatting characters', () => {
+      expect(normalizePhoneNumber('+1 (415) 555-2671')).toBe('+14155552671');
+    });
+
+    it('should convert a 00 international prefix', () => {
+      expect(normalizePhoneNumber('0044 20 7946 0958')).toBe('+442079460958');
+    });
+
+    it('should apply the default country code and drop the trunk zero', () => {
+      expect(normalizePhoneNumber('077 123 4567', '94')).toBe('+94771234567');
+      expect(normalizePhoneNumber('4155552671', '+1')).toBe('+14155552671');
+    });
+
+    it('should reject national numbers without a default country code', () => {
+      expect(normalizePhoneNumber('4155552671', undefined)).toBeNull();
+    });
+
+    it('should reject empty and invalid input', () => {
+      expect(normalizePhoneNumber(null)).toBeNull();
+      expect(normalizePhoneNumber('')).toBeNull();
+      expect(normalizePhoneNumber('+12')).toBeNull();
+      expect(normalizePhoneNumber('call me')).toBeNull();
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should default to the log provider', () => {
+      expect(createProvider().name).toBe('log');
+    });
+
+    it('should require Twilio credentials', () => {
+      expect(() => createProvider('twilio')).toThrow('TWILIO_ACCOUNT_SID');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider('pager')).toThrow('Unknown SMS_PROVIDER');
+    });
+  });
+
+  describe('sendSMS', () => {
+    afterEach(() => setProvider());
+
+    it('should normalize the number before handing it to the provider', async () => {
+      const send = jest.fn().mockResolvedValue({ messageId: 'SM1', status: 'queued' });
+      setProvider({ name: 'fake', send });
+
+      const result = await sendSMS('+1 415 555 2671', 'Hello');
+
+      expect(send).toHaveBeenCalledWith('+14155552671', 'Hello');
+      expect(result).toEqual({ success: true, to: '+14155552671', messageId: 'SM1', status: 'queued' });
+    });
+
+    it('should not call the provider for invalid numbers', async () => {
+      const send = jest.fn();
+      setProvider({ name: 'fake', send });
+
+      const result = await sendSMS('abc', 'Hello');
+
+      expect(send).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+
+    it('should report provider errors instead of throwing', async () => {
+      setProvider({ name: 'fake', send: jest.fn().mockRejectedValue(new Error('boom')) });
+
+      const result = await sendSMS('+14155552671', 'Hello');
+
+      expect(result).toEqual({ success: false, to: '+14155552671', error: 'boom' });
+    });
+  });
+
+  describe('Twilio provider against a local stub', () => {
+    let server;
+    let requests;
+    let statusCode;
+    let apiUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body });
+          res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(statusCode < 400
+            ? { sid: 'SM123', status: 'queued' }
+            : { message: 'The To number is not a valid phone number.' }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      statusCode = 201;
+    });
+
+    it('should post a form-encoded message with basic auth', async () => {
+      const provider = createTwilioProvider({ accountSid: 'AC1', authToken: 'token', from: '+15005550006', apiUrl });
+
+      const result = await provider.send('+14155552671', 'Session confirmed');
+
+      expect(result).toEqual({ messageId: 'SM123', status: 'queued' });
+      expect(requests[0].url).toBe('/2010-04-01/Accounts/AC1/Messages.json');
+      expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from('AC1:token').toString('base64')}`);
+      expect(Object.fromEntries(new URLSearchParams(requests[0].body))).toEqual({
+        To: '+14155552671',
+        From: '+15005550006',
+        Body: 'Session confirmed'
+      });
+    });
+
+    it('should surface the provider error message', async () => {
+      statusCode = 400;
+      const provider = createTwilioProvider({ accountSid: 'AC1', authToken: 'token', from: '+15005550006', apiUrl });
+
+      await expect(provider.send('+14155552671', 'Hi')).rejects.toThrow('not a valid phone number');
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the template engine and notification template registry.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { render } = require('../../src/utils/templateEngine');
+const { loadTemplates, renderTemplate, REQUIRED_TEMPLATES } = require('../../src/templates');
+
+describe('Template engine', () => {
+  it('should interpolate variables and dotted paths', () => {
+    expect(render('Hi {{client.first_name}}, see you {{ date }}', {
+      client: { first_name: 'John' },
+      date: '2025-01-15'
+    })).toBe('Hi John, see you 2025-01-15');
+  });
+
+  it('should render missing values as empty strings', () => {
+    expect(render('[{{missing}}][{{a.b.c}}]', {})).toBe('[][]');
+  });
+
+  it('should escape values only when rendering HTML', () => {
+    const data = { name: '<script>"x"&\'y\'</script>' };
+
+    expect(render('{{name}}', data, { escape: true }))
+      .toBe('&lt;script&gt;&quot;x&quot;&amp;&#39;y&#39;&lt;/script&gt;');
+    expect(render('{{name}}', data)).toBe(data.name);
+  });
+
+  it('should leave triple-brace values unescaped', () => {
+    expect(render('{{{html}}}', { html: '<b>bold</b>' }, { escape: true })).toBe('<b>bold</b>');
+  });
+
+  it('should not expand tags inside inserted values', () => {
+    expect(render('{{{a}}} {{b}}', { a: '{{b}}', b: 'X' })).toBe('{{b}} X');
+    expect(render('{{a}} {{{b}}}', { a: '{{{b}}}', b: 'X' }, { escape: true })).toBe('{{{b}}} X');
+  });
+
+  it('should render sections for truthy values', () => {
+    const template = '{{#reason}}Reason: {{reason}}{{/reason}}{{^reason}}No reason{{/reason}}';
+
+    expect(render(template, { reason: 'Trainer unavailable' })).toBe('Reason: Trainer unavailable');
+    expect(render(template, { reason: '' })).toBe('No reason');
+  });
+
+  it('should render nested sections', () => {
+    const template = '{{#a}}A{{#b}}B{{/b}}{{/a}}';
+
+    expect(render(template, { a: true, b: true })).toBe('AB');
+    expect(render(template, { a: true, b: false })).toBe('A');
+    expect(render(template, { a: false, b: true })).toBe('');
+  });
+});
+
+describe('Template registry', () => {
+  let dir;
+
+  function writeTemplate(name, files = {}, locale = 'en') {
+    const templateDir = path.join(dir, locale, name);
+    fs.mkdirSync(templateDir, { recursive: true });
+    const defaults = {
+      'meta.json': JSON.stringify({ subject: 'S', inApp: { title: 'T', message: 'M' } }),
+      'email.html': '<p>{{x}}</p>',
+      'email.txt': '{{x}}'
+    };
+    for (const [file, content] of Object.entries({ ...defaults, ...files })) {
+      if (content !== null) fs.writeFileSync(path.join(templateDir, file), content);
+    }
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load every bundled template', () => {
+    const templates = loadTemplates().locales.get('en');
+
+    for (const name of REQUIRED_TEMPLATES) {
+      expect(templates.has(name)).toBe(true);
+    }
+  });
+
+  it('should fail when a required template is missing', () => {
+    writeTemplate('present');
+
+    expect(() => loadTemplates({ dir, required: ['present', 'absent'] }))
+      .toThrow('en/absent: template is missing');
+  });
+
+  it('should fail when a template file is missing', () => {
+    writeTemplate('broken', { 'email.txt': null });
+
+    expect(() => loadTemplates({ dir, required: ['broken'] })).toThrow('en/broken:');
+  });
+
+  it('should fail when meta.json is incomplete', () => {
+    writeTemplate('broken', { 'meta.json': JSON.stringify({ subject: 'S' }) });
+
+    expect(() => loadTemplates({ dir, required: [] })).toThrow('inApp.title');
+  });
+
+  it('should fail on unknown filters', () => {
+    writeTemplate('broken', { 'email.txt': '{{x | shout}}' });
+
+    expect(() => loadTemplates({ dir, required: [] })).toThrow('unknown filter "shout"');
+  });
+
+  it('should validate non-default locales without requiring every template', () => {
+    writeTemplate('present');
+    writeTemplate('present', { 'email.html': null }, 'fr');
+
+    expect(() => loadTemplates({ dir, required: ['present'] })).toThrow('fr/present:');
+  });
+
+  it('should render all parts of a bundled template', () => {
+    const content = renderTemplate('booking_confirmation', {
+      client: { first_name: 'John' },
+      booking_id: 'booking-123',
+      booking_date: '2025-01-15',
+      start_time: '10:00'
+    });
+
+    expect(content.subject).toBe('Booking Confirmation');
+    expect(content.title).toBe('Booking Confirmed');
+    expect(content.message).toBe('Your session on Jan 15, 2025 at 10:00 AM has been booked successfully.');
+    expect(content.text).toContain('Booking ID: booking-123');
+    expect(content.html).toContain('<strong>Jan 15, 2025</strong>');
+    expect(content.html).toContain('<!DOCTYPE html>');
+    expect(content.sms).toContain('booking-123');
+  });
+
+  it('should escape user data in the HTML body only', () => {
+    const content = renderTemplate('program_assigned', {
+      client: { first_name: 'John' },
+      program_name: 'Strength <Phase 1>'
+    });
+
+    expect(content.html).toContain('Strength &lt;Phase 1&gt;');
+    expect(content.text).toContain('Strength <Phase 1>');
+    expect(content.message).toBe('Your trainer assigned you: Strength <Phase 1>');
+  });
+
+  it('should not expand tags typed into user text', () => {
+    const content = renderTemplate('announcement', {
+      client: { first_name: 'Ana', email: 'ana@example.com' },
+      title: 'Gym closed',
+      message: 'Reply to {{client.email}} or {{{client.email}}}'
+    });
+
+    for (const part of [content.html, content.text, content.message]) {
+      expect(part).toContain('{{client.email}}');
+      expect(part).not.toContain('ana@example.com');
+    }
+  });
+
+  it('should render from the user\'s locale catalog with locale formatting', () => {
+    const content = renderTemplate('milestone_reached', {
+      client: { first_name: 'Ana' },
+      milestone_type: 'Peso',
+      achieved_value: 1234.5,
+      previous_value: 1100
+    }, { locale: 'es-ES' });
+
+    expect(content.locale).toBe('es');
+    expect(content.subject).toBe('🎯 ¡Hito alcanzado!');
+    expect(content.text).toContain('Peso: 1234,5');
+    expect(content.text).toContain('1100 → 1234,5');
+    expect(content.html).toContain('<html lang="es">');
+  });
+
+  it('should format dates and times in both email and in-app copy', () => {
+    const content = renderTemplate('booking_confirmation', {
+      booking_id: 'b-1',
+      booking_date: '2025-01-15',
+      start_time: '14:30'
+    }, { locale: 'de' });
+
+    // No German catalog: English copy, German formatting
+    expect(content.locale).toBe('en');
+    expect(content.message).toBe('Your session on 15.01.2025 at 14:30 has been booked successfully.');
+    expect(content.text).toContain('15.01.2025');
+  });
+
+  it('should apply catalog defaults for missing values', () => {
+    const en = renderTemplate('program_assigned', { client: { first_name: 'John' }, program_name: null });
+    const es = renderTemplate('program_assigned', { client: { first_name: 'Ana' } }, { locale: 'es' });
+
+    expect(en.message).toBe('Your trainer assigned you: Training Program');
+    expect(es.message).toBe('Tu entrenador te asignó: Programa de entrenamiento');
+  });
+
+  it('should address trainer copy to the trainer and name the client', () => {
+    const en = renderTemplate('trainer_booking_created', {
+      trainer: { first_name: 'Sam' },
+      client_name: 'John Doe',
+      booking_id: 'b-1',
+      booking_date: '2025-01-15',
+      start_time: '10:00'
+    });
+    const es = renderTemplate('trainer_program_completed', { trainer: { first_name: 'Luis' } }, { locale: 'es' });
+
+    expect(en.subject).toBe('New booking: John Doe on Jan 15, 2025');
+    expect(en.message).toBe('John Doe booked a session on Jan 15, 2025 at 10:00 AM.');
+    expect(en.text).toContain('Hi Sam,');
+    expect(es.message).toBe('Un cliente completó su programa de entrenamiento.');
+    expect(es.text).toContain('Hola Luis,');
+  });
+
+  it('should ship every required template in every bundled locale', () => {
+    const { locales } = loadTemplates();
+
+    for (const [, templates] of locales) {
+      for (const name of REQUIRED_TEMPLATES) {
+        expect(templates.has(name)).toBe(true);
+      }
+    }
+  });
+
+  it('should throw for an unknown template', () => {
+    expect(() => renderTemplate('nope')).toThrow('Unknown notification template');
+  });
+});